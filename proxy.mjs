@@ -1,56 +1,415 @@
 import express from "express";
-import fetch from "node-fetch";
+import fs from "fs";
 import { pathToFileURL } from "url";
-import { Queue } from "./src/queue.js";
-
-// 简单的请求速率限制实现
-const rateLimit = {
-  windowMs: 60 * 1000, // 1 minute
-  max: 100, // max requests per window
-  requests: new Map(),
-  
-  check(ip) {
-    const now = Date.now();
-    const window = Math.floor(now / this.windowMs);
-    const key = `${ip}:${window}`;
-    
-    const count = this.requests.get(key) || 0;
-    if (count >= this.max) {
-      return false;
-    }
-    
-    this.requests.set(key, count + 1);
-    return true;
-  }
-};
+import { randomBytes } from "crypto";
+import { QueueError } from "./src/queue.js";
+import { LaneScheduler, parseModelConcurrency } from "./src/lanes.js";
+import { UpstreamPool, loadUpstreamsConfig, fetchFromUpstreams } from "./src/upstreams/pool.js";
+import { ollamaChatToOpenAI, ollamaStreamToChunks } from "./src/upstreams/ollamaChat.js";
+import { ModelManager, parseKeepAlive, normalizeKeepAlive, isModelNotFound } from "./src/models/manager.js";
+import { countInputTokens } from "./src/tokens/count.js";
+import { fitContext, formatTrimHeader, parseContextStrategies, truncateText } from "./src/context/window.js";
+import { validateChatRequest, chatRequestToPayload, createChatCollector, completionToChunks } from "./src/openai/chat.js";
+import { ResponseCache, cacheKey } from "./src/cache/responseCache.js";
+import { Registry, CONTENT_TYPE as METRICS_CONTENT_TYPE } from "./src/metrics/registry.js";
+import { logJSON, TranscriptWriter } from "./src/logging/requestLog.js";
+import { KeyRegistry, loadApiKeys, credentialFromHeaders } from "./src/auth/keys.js";
+import { KeyQuotas, TokenBuckets } from "./src/auth/rateLimit.js";
+import { BatchStore, validateBatchRequest, batchObject } from "./src/batches/store.js";
+import { validateSettingsPatch, mergeSettings, loadSettingsFile, saveSettingsFile } from "./src/admin/settings.js";
+import { InflightRequests } from "./src/admin/inflight.js";
+import { RecentRequests } from "./src/dashboard/recent.js";
+import { LiveTail } from "./src/dashboard/tail.js";
+import { DashboardSessions } from "./src/dashboard/sessions.js";
+import { DASHBOARD_HTML } from "./src/dashboard/page.js";
+import {
+  compileRoutingConfig,
+  defaultRoutingConfig,
+  findAlias,
+  globToRegExp,
+  loadRoutingConfig,
+  parseModelLimits,
+  routeModel,
+  watchRoutingConfig
+} from "./src/routing/rules.js";
 
 const app = express();
 app.use(express.json({ limit: "30mb" }));
 
-const OLLAMA_CHAT = "http://127.0.0.1:11434/v1/chat/completions";
-const BEARER = process.env.PROXY_BEARER || "local";
+// 每个 /v1 请求一个 id，通过 request-id 响应头返回，日志与对话记录都用它关联
+app.use("/v1", (req, res, next) => {
+  req.requestId = newId("req");
+  res.setHeader("request-id", req.requestId);
+  next();
+});
+
+const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || "http://127.0.0.1:11434";
+
+// API key 注册表：API_KEYS_FILE / API_KEYS_JSON，未配置时只有 PROXY_BEARER 一个不限额的管理员 key
+const apiKeys = new KeyRegistry(loadApiKeys(process.env));
+const quotas = new KeyQuotas();
+// 按来源 IP 限制认证失败次数，防止暴力猜 key
+const authFailures = new TokenBuckets();
+const AUTH_FAILURE_LIMIT = { capacity: Number(process.env.AUTH_FAILURES_PER_MINUTE || 30), periodMs: 60 * 1000 };
 
 // coder 在手机上可能很慢：给足时间
 const OLLAMA_TIMEOUT_MS = Number(process.env.OLLAMA_TIMEOUT_MS || 600000); // 10min
 
+// 上游列表：UPSTREAMS_FILE / UPSTREAMS_JSON，未配置时只有 OLLAMA_BASE_URL 一个
+const upstreams = new UpstreamPool(
+  loadUpstreamsConfig(process.env, { baseUrl: OLLAMA_BASE_URL, timeoutMs: OLLAMA_TIMEOUT_MS }),
+  { probeIntervalMs: Number(process.env.UPSTREAM_PROBE_INTERVAL_MS || 15000) }
+);
+
+// 模型生命周期（仅 Ollama 上游）：MODEL_PRELOAD 启动时预加载，MODEL_KEEP_ALIVE / DEFAULT_KEEP_ALIVE 让常用模型常驻内存，
+// MODEL_AUTO_PULL 里的模型不存在时先 pull 再重试
+const models = new ModelManager(upstreams, {
+  keepAlive: parseKeepAlive(process.env.MODEL_KEEP_ALIVE),
+  defaultKeepAlive: process.env.DEFAULT_KEEP_ALIVE ? normalizeKeepAlive(process.env.DEFAULT_KEEP_ALIVE) : undefined,
+  preload: (process.env.MODEL_PRELOAD || "").split(",").map(s => s.trim()).filter(Boolean),
+  autoPull: (process.env.MODEL_AUTO_PULL || "").split(",").map(s => s.trim()).filter(Boolean),
+  pullTimeoutMs: Number(process.env.MODEL_PULL_TIMEOUT_MS || 60 * 60 * 1000),
+  log: logJSON
+});
+
+// 每个模型的默认并发数；MODEL_CONCURRENCY 可以按模型单独设置
 const MAX_INFLIGHT = Number(process.env.MAX_INFLIGHT || 1);
-const queue = new Queue(MAX_INFLIGHT);
+// 排队上限与最长排队时间（每条车道）：超出时返回 529 overloaded_error，让客户端稍后重试
+const QUEUE_MAX_LENGTH = Number(process.env.QUEUE_MAX_LENGTH || 64);
+const QUEUE_MAX_WAIT_MS = Number(process.env.QUEUE_MAX_WAIT_MS || 300000);
+const QUEUE_PRIORITIES = ["interactive", "default", "background"];
+// 可选：同时运行的“重模型”总数（按体积或名字判定），防止几个大模型一起把内存撑爆
+const MAX_HEAVY_INFLIGHT = Number(process.env.MAX_HEAVY_INFLIGHT || 0);
+const HEAVY_MODEL_MIN_BYTES = Number(process.env.HEAVY_MODEL_MIN_BYTES || 4 * 1024 ** 3);
+const HEAVY_MODELS = (process.env.HEAVY_MODELS || "").split(",").map(s => s.trim()).filter(Boolean).map(globToRegExp);
+
+const lanes = new LaneScheduler({
+  defaultLimit: MAX_INFLIGHT,
+  modelLimits: parseModelConcurrency(process.env.MODEL_CONCURRENCY),
+  maxHeavyInflight: MAX_HEAVY_INFLIGHT,
+  isHeavy: model => HEAVY_MODELS.some(re => re.test(model)) || (upstreams.find(model)?.size ?? 0) >= HEAVY_MODEL_MIN_BYTES,
+  pool: upstreams,
+  queueOptions: {
+    maxQueueLength: QUEUE_MAX_LENGTH,
+    maxWaitMs: QUEUE_MAX_WAIT_MS,
+    priorities: QUEUE_PRIORITIES
+  }
+});
+
+// 运行时设置：初始值来自上面的环境变量 / 上游 / key 配置，GET/PATCH /admin/config 查看和修改，立即生效；
+// RUNTIME_CONFIG_FILE 保存修改后的设置，启动时覆盖环境变量里的值
+const RUNTIME_CONFIG_FILE = process.env.RUNTIME_CONFIG_FILE || "";
+const KEY_LIMITS = ["requestsPerMinute", "tokensPerDay", "maxConcurrency"];
+const definedFields = (obj, fields) => Object.fromEntries(fields.filter(f => obj[f] !== undefined).map(f => [f, obj[f]]));
+let settings = {
+  maxInflight: MAX_INFLIGHT,
+  modelConcurrency: Object.fromEntries(lanes.modelLimits.map(m => [m.pattern, m.limit])),
+  maxHeavyInflight: MAX_HEAVY_INFLIGHT,
+  queueMaxLength: QUEUE_MAX_LENGTH,
+  queueMaxWaitMs: QUEUE_MAX_WAIT_MS,
+  timeoutMs: OLLAMA_TIMEOUT_MS,
+  authFailuresPerMinute: AUTH_FAILURE_LIMIT.capacity,
+  upstreams: Object.fromEntries(upstreams.upstreams.map(u => [u.name, definedFields(u, ["timeoutMs", "maxInflight"])])),
+  keys: Object.fromEntries(apiKeys.keys.map(k => [k.name, definedFields(k, KEY_LIMITS)]))
+};
+
+function settingNames() {
+  return { upstreams: upstreams.upstreams.map(u => u.name), keys: apiKeys.keys.map(k => k.name) };
+}
+
+/**
+ * 让新的设置生效：车道并发与排队参数、上游超时与并发、key 配额、认证失败限流
+ * @param {Object} next - mergeSettings 合并后的完整设置
+ */
+function applySettings(next) {
+  const modelLimits = parseModelConcurrency(JSON.stringify(next.modelConcurrency));
+  for (const u of upstreams.upstreams) {
+    u.timeoutMs = next.upstreams[u.name].timeoutMs;
+    u.maxInflight = next.upstreams[u.name].maxInflight;
+  }
+  for (const k of apiKeys.keys) {
+    for (const field of KEY_LIMITS) k[field] = next.keys[k.name][field];
+  }
+  lanes.configure({
+    defaultLimit: next.maxInflight,
+    modelLimits,
+    maxHeavyInflight: next.maxHeavyInflight,
+    maxQueueLength: next.queueMaxLength,
+    maxWaitMs: next.queueMaxWaitMs || Infinity
+  });
+  AUTH_FAILURE_LIMIT.capacity = next.authFailuresPerMinute;
+  settings = next;
+}
+
+const savedSettings = RUNTIME_CONFIG_FILE ? loadSettingsFile(RUNTIME_CONFIG_FILE) : null;
+if (savedSettings) {
+  const invalid = validateSettingsPatch(savedSettings, settingNames());
+  if (invalid) throw new Error(`RUNTIME_CONFIG_FILE ${RUNTIME_CONFIG_FILE}: ${invalid}`);
+  applySettings(mergeSettings(settings, savedSettings));
+}
 
-function runQueued(fn) {
-  return queue.enqueue(fn);
+// 正在处理的请求（GET /admin/requests 列出，DELETE /admin/requests/:id 取消）
+const inflight = new InflightRequests();
+// dashboard：最近完成的请求，以及正在生成的请求的实时输出
+const recent = new RecentRequests(Number(process.env.DASHBOARD_RECENT_REQUESTS || 100));
+const tail = new LiveTail();
+const dashboardSessions = new DashboardSessions(Number(process.env.DASHBOARD_SESSION_MS || 60 * 60 * 1000));
+
+/**
+ * 按模型车道排队执行；传入 trace 时记录排队等待时间（queueWaitMs），signal abort 时还在排队的请求直接出队
+ * @param {(grant: { upstream: Object|null }) => Promise<*>} fn - 拿到并发名额后执行的任务，grant.upstream 为占好名额的上游
+ * @param {Object} opts
+ * @param {string} opts.model - 路由到的模型（决定车道）
+ * @param {Object} [opts.trace] - 请求级别的跟踪信息（trace.requestId 作为排队 id，可查询位置）
+ * @param {AbortSignal} [opts.signal] - 客户端断开信号
+ * @param {string} [opts.priority] - interactive / default / background
+ * @param {string} [opts.client] - 客户端标识（公平轮转用）
+ * @returns {Promise<*>}
+ * @throws {QueueError} 队列已满或排队超时
+ */
+function runQueued(fn, { model, trace, signal, priority, client }) {
+  const waited = metrics.queueWait.startTimer();
+  return lanes.run(grant => {
+    const seconds = waited();
+    if (trace) trace.queueWaitMs = Math.round(seconds * 1000);
+    return fn(grant);
+  }, { model, id: trace?.requestId, signal, priority, client });
 }
 
 /**
- * 检查请求的认证信息是否有效
+ * 请求的排队优先级：x-queue-priority 头优先，否则流式（有人在等着看）为 interactive，其余为 default
  * @param {express.Request} req - Express 请求对象
- * @returns {boolean} - 认证是否通过
+ * @param {boolean} stream - 是否流式
+ * @returns {string}
+ */
+function queuePriority(req, stream) {
+  const asked = String(req.headers["x-queue-priority"] || "").toLowerCase();
+  if (QUEUE_PRIORITIES.includes(asked)) return asked;
+  return stream ? "interactive" : "default";
+}
+
+// 上下文窗口：MODEL_CONTEXT 按模型设置上下文长度（token），DEFAULT_CONTEXT_TOKENS 用于其余模型（0 表示不管理）；
+// 超出时按 CONTEXT_STRATEGY 裁剪对话，同时把 Ollama 的 num_ctx 设成同样的值
+const MODEL_CONTEXT = parseModelLimits(process.env.MODEL_CONTEXT, "MODEL_CONTEXT");
+const DEFAULT_CONTEXT_TOKENS = Number(process.env.DEFAULT_CONTEXT_TOKENS || 0);
+const CONTEXT_STRATEGIES = parseContextStrategies(process.env.CONTEXT_STRATEGY || "truncate_tool_results,drop_oldest");
+const CONTEXT_TOOL_RESULT_KEEP_TOKENS = Number(process.env.CONTEXT_TOOL_RESULT_KEEP_TOKENS || 512);
+// summarize 策略用的模型，默认取已安装的最小模型
+const CONTEXT_SUMMARY_MODEL = process.env.CONTEXT_SUMMARY_MODEL || "";
+const CONTEXT_SUMMARY_MAX_TOKENS = Number(process.env.CONTEXT_SUMMARY_MAX_TOKENS || 512);
+const SUMMARY_PROMPT = "Summarize the earlier part of this conversation between a user and a coding assistant. "
+  + "Keep file paths, decisions, open tasks and errors that may still matter. Reply with the summary only.";
+
+/**
+ * 模型的上下文长度
+ * @param {string} model - 模型名
+ * @returns {number} - token 数；0 表示不管理
+ */
+function contextLimit(model) {
+  return MODEL_CONTEXT.find(m => m.test(model))?.limit ?? DEFAULT_CONTEXT_TOKENS;
+}
+
+/**
+ * 用小模型把较早的对话压缩成摘要（summarize 策略），和普通请求一样按车道排队
+ * @param {string} text - 要压缩的对话
+ * @param {Object} opts - runQueued 的 signal / priority / client
+ * @returns {Promise<string>}
+ */
+async function summarizeConversation(text, { signal, priority, client }) {
+  const model = CONTEXT_SUMMARY_MODEL || upstreams.smallest()?.name;
+  if (!model) throw new Error("no model available for summarize");
+  // 摘要模型自己的上下文也有限，放不下时截断中间部分
+  const room = (contextLimit(model) || 8192) - CONTEXT_SUMMARY_MAX_TOKENS - 256;
+  const payload = {
+    model,
+    messages: [
+      { role: "system", content: SUMMARY_PROMPT },
+      { role: "user", content: truncateText(text, room) }
+    ],
+    temperature: 0.2,
+    max_tokens: CONTEXT_SUMMARY_MAX_TOKENS
+  };
+  const data = await runQueued(grant => callOllamaJSON(payload, { signal, prefer: grant.upstream }), { model, signal, priority, client });
+  const summary = openAIToAnthropicContent(data.choices?.[0]?.message).find(b => b.type === "text")?.text;
+  if (!summary?.trim()) throw new Error(`empty summary from ${model}`);
+  return summary;
+}
+
+/**
+ * 按模型的上下文长度裁剪对话，并给 Ollama 带上 num_ctx；没有配置上下文长度的模型原样返回
+ * @param {Object} payload - OpenAI chat/completions 请求体
+ * @param {Object} opts - 摘要请求用的 signal / priority / client
+ * @returns {Promise<{ payload: Object, report: Object|null }>}
+ * @throws {Error} 裁剪后仍放不下时抛出 400 "prompt is too long"
+ */
+async function fitModelContext(payload, opts) {
+  const limit = contextLimit(payload.model);
+  if (!limit) return { payload, report: null };
+  const fitted = await fitContext(payload, {
+    limit,
+    strategies: CONTEXT_STRATEGIES,
+    toolResultKeepTokens: CONTEXT_TOOL_RESULT_KEEP_TOKENS,
+    summaryTokens: CONTEXT_SUMMARY_MAX_TOKENS,
+    summarize: text => summarizeConversation(text, opts)
+  });
+  return {
+    payload: { ...fitted.payload, options: { ...fitted.payload.options, num_ctx: limit } },
+    report: fitted.report
+  };
+}
+
+// 客户端断开导致的取消次数（/health）
+const cancellations = { queued: 0, running: 0 };
+
+// 响应缓存（可选）：RESPONSE_CACHE_DIR 开启，命中时不进队列
+const cache = process.env.RESPONSE_CACHE_DIR
+  ? new ResponseCache(process.env.RESPONSE_CACHE_DIR, {
+    ttlMs: Number(process.env.RESPONSE_CACHE_TTL_MS || 24 * 60 * 60 * 1000),
+    maxBytes: Number(process.env.RESPONSE_CACHE_MAX_BYTES || 100 * 1024 * 1024)
+  })
+  : null;
+
+// 对话记录（可选）：TRANSCRIPT_DIR 开启，完整记录请求与响应，按大小滚动
+const transcripts = process.env.TRANSCRIPT_DIR
+  ? new TranscriptWriter(process.env.TRANSCRIPT_DIR, {
+    maxBytes: Number(process.env.TRANSCRIPT_MAX_BYTES || 10 * 1024 * 1024),
+    maxFiles: Number(process.env.TRANSCRIPT_MAX_FILES || 5)
+  })
+  : null;
+
+// Message Batches（可选）：BATCH_DIR 开启，状态与结果保存在磁盘上，请求以 background 优先级逐条排队执行
+const BATCH_MAX_REQUESTS = Number(process.env.BATCH_MAX_REQUESTS || 10000);
+const BATCH_RETRYABLE = new Set(["queue_full", "queue_timeout", "model_pulling"]);
+const batches = process.env.BATCH_DIR
+  ? new BatchStore(process.env.BATCH_DIR, {
+    handler: runBatchRequest,
+    // 排队已满 / 排队超时 / 模型正在自动 pull 不算失败，稍后再试；被管理员 drain 或清空队列拒绝的不重试
+    isRetryable: e => BATCH_RETRYABLE.has(e.code),
+    toError: e => (e.type ? { type: e.type, message: e.message } : upstreamError(e)),
+    concurrency: Number(process.env.BATCH_CONCURRENCY || 1),
+    expiryMs: Number(process.env.BATCH_EXPIRY_MS || 24 * 60 * 60 * 1000)
+  })
+  : null;
+
+// Prometheus 指标（GET /metrics）
+const registry = new Registry();
+const metrics = {
+  requests: registry.counter("proxy_requests_total", "Requests to /v1/messages and /v1/chat/completions by routed model, stream flag and outcome", ["model", "stream", "outcome"]),
+  upstreamDuration: registry.histogram("proxy_upstream_request_duration_seconds", "Upstream chat/completions duration until the response is fully read", ["model", "upstream", "stream"]),
+  timeToFirstToken: registry.histogram("proxy_time_to_first_token_seconds", "Time from sending the upstream request to the first generated token (streamed upstream calls only)", ["model", "upstream"]),
+  queueWait: registry.histogram("proxy_queue_wait_seconds", "Time requests spend waiting for concurrency slots"),
+  queueDepth: registry.gauge("proxy_queue_depth", "Requests waiting for concurrency slots", [], g => g.set({}, lanes.size)),
+  inflight: registry.gauge("proxy_inflight_requests", "Requests currently being processed by an upstream", [], g => g.set({}, lanes.inflightCount)),
+  laneQueued: registry.gauge("proxy_lane_queued", "Requests waiting per concurrency lane", ["lane"], g => {
+    for (const l of lanes.status()) g.set({ lane: l.name }, l.queued);
+  }),
+  laneInflight: registry.gauge("proxy_lane_inflight", "Requests running per concurrency lane", ["lane"], g => {
+    for (const l of lanes.status()) g.set({ lane: l.name }, l.inflight);
+  }),
+  contextTrims: registry.counter("proxy_context_trims_total", "Requests trimmed to fit the model context window, by strategy", ["model", "strategy"]),
+  inputTokens: registry.counter("proxy_input_tokens_total", "Prompt tokens reported by upstreams", ["model"]),
+  outputTokens: registry.counter("proxy_generated_tokens_total", "Tokens generated by upstreams", ["model"]),
+  errors: registry.counter("proxy_errors_total", "Failed /v1/messages and /v1/chat/completions requests by error class", ["model", "class"])
+};
+
+/**
+ * 把错误归类为指标里的 class 标签
+ * @param {Error} e - 请求过程中抛出的错误
+ * @returns {string} - queue_full / queue_timeout / queue_cleared / draining / invalid_request / forbidden / timeout / model_not_found / upstream_http_<status> / upstream_unreachable / internal
+ */
+function errorClass(e) {
+  if (e instanceof QueueError || e.code === "model_pulling") return e.code;
+  if (e.type === "invalid_request_error") return "invalid_request";
+  if (e.type === "permission_error") return "forbidden";
+  if (e.name === "AbortError") return "timeout";
+  if (isModelNotFound(e)) return "model_not_found";
+  if (e.status) return `upstream_http_${e.status}`;
+  if (e.name === "FetchError") return "upstream_unreachable";
+  return "internal";
+}
+
+/**
+ * 把 tool_result 的 content（字符串或 block 数组）压平成文本
+ * @param {Object} block - Anthropic tool_result block
+ * @returns {string} - 工具输出文本
+ */
+function toolResultText(block) {
+  let text = "";
+  if (typeof block.content === "string") {
+    text = block.content;
+  } else if (Array.isArray(block.content)) {
+    text = block.content
+      .filter(x => x.type === "text")
+      .map(x => x.text)
+      .join("\n");
+  }
+  return block.is_error ? `Error: ${text}` : text;
+}
+
+/**
+ * 把 Anthropic image block 转成 OpenAI image_url 可用的地址
+ * base64 → data URI，url → 原样透传；其他来源（file 等）本地无法解析，返回 null
+ * @param {Object} block - Anthropic content block
+ * @returns {string|null} - 图片地址
+ */
+function imageBlockToURL(block) {
+  if (block?.type !== "image") return null;
+  const src = block.source;
+  if (src?.type === "base64" && src.data) {
+    return `data:${src.media_type || "image/png"};base64,${src.data}`;
+  }
+  if (src?.type === "url" && src.url) return src.url;
+  return null;
+}
+
+/**
+ * 按原顺序生成 OpenAI vision content parts（text / image_url）
+ * @param {Array<Object>} blocks - Anthropic content blocks
+ * @returns {Array<Object>} - OpenAI content parts
+ */
+function visionContentParts(blocks) {
+  const parts = [];
+  for (const b of blocks) {
+    const inner = b.type === "tool_result" && Array.isArray(b.content) ? b.content : [b];
+    for (const x of inner) {
+      if (x.type === "text" && b.type !== "tool_result") {
+        parts.push({ type: "text", text: x.text });
+        continue;
+      }
+      const url = imageBlockToURL(x);
+      if (url) parts.push({ type: "image_url", image_url: { url } });
+    }
+  }
+  return parts;
+}
+
+/**
+ * 取出 OpenAI 消息里的纯文本部分（content 可能是字符串或 parts 数组）
+ * @param {Object} msg - OpenAI 消息
+ * @returns {string} - 文本
  */
-function authOk(req) {
-  return (req.headers.authorization || "") === `Bearer ${BEARER}`;
+function messageText(msg) {
+  if (typeof msg.content === "string") return msg.content;
+  if (!Array.isArray(msg.content)) return "";
+  return msg.content
+    .filter(p => p.type === "text")
+    .map(p => p.text)
+    .join("\n");
+}
+
+/**
+ * 判断转换后的消息里是否带图片
+ * @param {Array<Object>} msgs - OpenAI 消息数组
+ * @returns {boolean}
+ */
+function hasImages(msgs) {
+  return msgs.some(m => Array.isArray(m.content) && m.content.some(p => p.type === "image_url"));
 }
 
 /**
  * 将 Anthropic 格式的请求转换为 OpenAI 格式
+ * - assistant 的 tool_use block → tool_calls
+ * - user 的 tool_result block → role: "tool" 消息（排在该轮文本之前）
  * @param {Object} anth - Anthropic 格式的请求对象
  * @param {string|Array<Object>} [anth.system] - 系统提示
  * @param {Array<Object>} anth.messages - 消息数组
@@ -65,53 +424,274 @@ function anthropicToOpenAI(anth) {
     msgs.push({ role: "system", content: s });
   }
   for (const m of anth.messages || []) {
-    let text = "";
-    if (Array.isArray(m.content)) {
-      text = m.content
-        .filter(x => x.type === "text")
-        .map(x => x.text)
-        .join("\n");
-    } else if (typeof m.content === "string") {
-      text = m.content;
+    if (typeof m.content === "string") {
+      msgs.push({ role: m.role, content: m.content });
+      continue;
+    }
+    const blocks = Array.isArray(m.content) ? m.content : [];
+    const text = blocks
+      .filter(x => x.type === "text")
+      .map(x => x.text)
+      .join("\n");
+    // tool_result 里的截图也一起带上（OpenAI 的 tool 消息不能放图片，挂到随后的 user 消息上）
+    const images = blocks
+      .flatMap(x => x.type === "tool_result" && Array.isArray(x.content) ? x.content : [x])
+      .map(imageBlockToURL)
+      .filter(Boolean);
+
+    if (m.role === "assistant") {
+      const toolCalls = blocks
+        .filter(x => x.type === "tool_use")
+        .map(x => ({
+          id: x.id,
+          type: "function",
+          function: { name: x.name, arguments: JSON.stringify(x.input ?? {}) }
+        }));
+      const msg = { role: "assistant", content: text };
+      if (toolCalls.length) msg.tool_calls = toolCalls;
+      msgs.push(msg);
+      continue;
+    }
+
+    const toolResults = blocks.filter(x => x.type === "tool_result");
+    for (const r of toolResults) {
+      msgs.push({ role: "tool", tool_call_id: r.tool_use_id, content: toolResultText(r) });
+    }
+    if (images.length) {
+      msgs.push({ role: m.role, content: visionContentParts(blocks) });
+    } else if (text || !toolResults.length) {
+      // 纯 tool_result 的一轮不再额外塞一条空的 user 消息
+      msgs.push({ role: m.role, content: text });
     }
-    msgs.push({ role: m.role, content: text });
   }
   return msgs;
 }
 
-// 你机器上的实际可用模型：qwen3:0.6b / qwen2.5:7b / deepseek-coder:6.7b / llama3.2:latest
-// 优化后的模型选择逻辑：合并正则表达式，减少执行次数，提高性能
-const CODE_PATTERN = /(代码|code|class|import|docker|sql|bash|python|java|js|ts|bug|报错|编译|运行)/i;
-const REASONING_PATTERN = /(证明|推导|为什么|一步一步|严谨|推理)/i;
+/**
+ * 将 Anthropic tools 定义转换为 OpenAI function tools
+ * 服务端工具（web_search 等，没有 input_schema）本地无法执行，直接丢弃
+ * @param {Array<Object>} [tools] - Anthropic tools
+ * @returns {Array<Object>|undefined} - OpenAI tools；没有可用工具时返回 undefined
+ */
+function anthropicToolsToOpenAI(tools) {
+  if (!Array.isArray(tools)) return undefined;
+  const out = tools
+    .filter(t => t && t.name && t.input_schema)
+    .map(t => ({
+      type: "function",
+      function: {
+        name: t.name,
+        description: t.description || "",
+        parameters: t.input_schema
+      }
+    }));
+  return out.length ? out : undefined;
+}
 
 /**
- * 根据请求内容选择合适的模型
- * @param {string} text - 请求文本内容
- * @returns {string} - 选择的模型名称
+ * 将 Anthropic tool_choice 转换为 OpenAI tool_choice
+ * @param {Object} [choice] - { type: "auto" | "any" | "tool" | "none", name? }
+ * @returns {string|Object|undefined} - OpenAI tool_choice
+ */
+function anthropicToolChoiceToOpenAI(choice) {
+  switch (choice?.type) {
+    case "auto": return "auto";
+    case "any": return "required";
+    case "none": return "none";
+    case "tool": return { type: "function", function: { name: choice.name } };
+    default: return undefined;
+  }
+}
+
+/**
+ * 生成带前缀的随机 id（req_ / msg_ / toolu_）
+ * @param {string} prefix - 前缀
+ * @returns {string}
+ */
+function newId(prefix) {
+  return `${prefix}_${randomBytes(12).toString("hex")}`;
+}
+
+function newToolUseId() {
+  return newId("toolu");
+}
+
+/**
+ * 解析 OpenAI tool call 的 arguments（可能是 JSON 字符串，也可能已是对象）
+ * @param {string|Object} args - function.arguments
+ * @returns {Object} - tool_use.input
+ */
+function parseToolArguments(args) {
+  if (args && typeof args === "object") return args;
+  if (typeof args !== "string" || !args.trim()) return {};
+  try {
+    const parsed = JSON.parse(args);
+    return parsed && typeof parsed === "object" ? parsed : { value: parsed };
+  } catch {
+    // 小模型偶尔会吐出不合法的 JSON，原样交给客户端
+    return { _raw: args };
+  }
+}
+
+/**
+ * 把推理模型（qwen3、deepseek-r1 等）内联的 <think>...</think> 从正文里切出来
+ * 标签可能被拆在多个 chunk 里，疑似标签开头的尾巴先扣住，等下一段再判断
+ * @returns {{ push: (text: string) => Array<{ thinking: boolean, text: string }>, flush: () => Array<Object> }}
  */
-function pickModel(text) {
-  const textLength = text.length;
-  const isShortText = textLength < 160;
-  const hasCode = CODE_PATTERN.test(text);
-  const isReasoning = REASONING_PATTERN.test(text);
-  
-  // 代码/工程 → deepseek-coder (使用实际可用的模型)
-  if (hasCode) {
-    return "deepseek-coder:6.7b";
+function createThinkTagSplitter() {
+  let inThink = false;
+  let buf = "";
+  return {
+    push(text) {
+      buf += text;
+      const out = [];
+      while (buf) {
+        const tag = inThink ? "</think>" : "<think>";
+        const i = buf.indexOf(tag);
+        if (i >= 0) {
+          if (i > 0) out.push({ thinking: inThink, text: buf.slice(0, i) });
+          buf = buf.slice(i + tag.length);
+          inThink = !inThink;
+          continue;
+        }
+        let keep = 0;
+        for (let n = Math.min(tag.length - 1, buf.length); n > 0; n--) {
+          if (buf.endsWith(tag.slice(0, n))) {
+            keep = n;
+            break;
+          }
+        }
+        if (buf.length > keep) out.push({ thinking: inThink, text: buf.slice(0, buf.length - keep) });
+        buf = buf.slice(buf.length - keep);
+        break;
+      }
+      return out;
+    },
+    flush() {
+      const out = buf ? [{ thinking: inThink, text: buf }] : [];
+      buf = "";
+      return out;
+    }
+  };
+}
+
+/**
+ * 将 OpenAI 的 assistant message 转换为 Anthropic content blocks
+ * 推理内容（reasoning_content / reasoning 字段或内联 <think>）在 opts.thinking 为 true 时作为 thinking block 返回，否则丢弃
+ * @param {Object} [message] - choices[0].message
+ * @param {Object} [opts]
+ * @param {boolean} [opts.thinking] - 是否返回 thinking block
+ * @returns {Array<Object>} - thinking / text / tool_use blocks
+ */
+function openAIToAnthropicContent(message, opts = {}) {
+  const content = [];
+  let thinking = message?.reasoning_content || message?.reasoning || "";
+  let text = "";
+  if (typeof message?.content === "string") {
+    const splitter = createThinkTagSplitter();
+    for (const seg of [...splitter.push(message.content), ...splitter.flush()]) {
+      if (seg.thinking) thinking += seg.text;
+      else text += seg.text;
+    }
+    // 去掉 </think> 之后的空行
+    if (thinking) text = text.replace(/^\s+/, "");
   }
-  
-  // 需要“推理/证明/一步一步” → qwen2.5:7b (使用实际可用的模型)
-  if (isReasoning) {
-    return "qwen2.5:7b";
+  if (opts.thinking && thinking) {
+    content.push({ type: "thinking", thinking, signature: "" });
   }
-  
-  // 超短非代码 → 用 0.6b 更快更稳 (已安装)
-  if (isShortText) {
-    return "qwen3:0.6b";
+  if (text.length) {
+    content.push({ type: "text", text });
+  }
+  for (const call of message?.tool_calls || []) {
+    content.push({
+      type: "tool_use",
+      id: call.id || newToolUseId(),
+      name: call.function?.name || "",
+      input: parseToolArguments(call.function?.arguments)
+    });
+  }
+  if (!content.length) content.push({ type: "text", text: "" });
+  return content;
+}
+
+// 带图片的请求交给视觉模型；VISION_MODELS 可追加名字里看不出来的视觉模型（逗号分隔）
+const VISION_MODEL = process.env.VISION_MODEL || "qwen2.5vl:7b";
+const VISION_MODELS = (process.env.VISION_MODELS || "").split(",").map(s => s.trim()).filter(Boolean);
+const VISION_PATTERN = /(llava|vl\b|vl:|vision|moondream|minicpm-v|gemma3|llama4)/i;
+
+/**
+ * 判断模型能否接收图片输入
+ * @param {string} model - 模型名称
+ * @returns {boolean}
+ */
+function supportsVision(model) {
+  return VISION_MODELS.includes(model) || VISION_PATTERN.test(model);
+}
+
+// 路由规则：ROUTING_CONFIG 指向 JSON 文件（启动时校验，修改后自动热加载）；
+// 未配置时使用与原硬编码逻辑一致的默认规则（qwen3:0.6b / qwen2.5:7b / deepseek-coder:6.7b / llama3.2:latest）
+const ROUTING_CONFIG = process.env.ROUTING_CONFIG || "";
+let routing = ROUTING_CONFIG
+  ? loadRoutingConfig(ROUTING_CONFIG)
+  : compileRoutingConfig(defaultRoutingConfig({ visionModel: VISION_MODEL }));
+
+/**
+ * 根据路由规则选择合适的模型
+ * @param {string} text - 请求文本内容
+ * @param {Object} [opts]
+ * @param {boolean} [opts.hasImages] - 请求里是否带图片
+ * @param {boolean} [opts.hasTools] - 请求里是否带工具
+ * @param {string} [opts.requestModel] - 客户端请求的 anth.model
+ * @param {Object} [opts.headers] - 请求头（小写键）
+ * @returns {string} - 选择的模型名称
+ */
+function pickModel(text, opts = {}) {
+  return routeModel(routing, { ...opts, text }).model;
+}
+
+/**
+ * 解析本次请求要用的本地模型：
+ * 1. 请求的 model 是某个上游已安装的模型 → 直接使用
+ * 2. 命中别名 → 别名目标（"auto" 或挑不出模型时回落到路由规则）
+ * 3. 其他 → 路由规则
+ * @param {string} text - 请求文本内容
+ * @param {Object} opts - 同 pickModel，requestModel 为客户端请求的 model
+ * @returns {Promise<{ model: string, via: string }>} - 模型名与决策来源（installed / alias:<id> / rule:<name>，日志用）
+ */
+async function resolveRoute(text, opts = {}) {
+  await upstreams.list();
+  const installed = opts.requestModel && upstreams.find(opts.requestModel);
+  if (installed) return { model: installed.name, via: "installed" };
+
+  const byRules = () => {
+    const routed = routeModel(routing, { ...opts, text });
+    return { model: routed.model, via: `rule:${routed.rule}` };
+  };
+  const alias = findAlias(routing, opts.requestModel);
+  // 带图片时别名不能把请求带到文本模型上，交给路由规则挑视觉模型
+  if (alias && !opts.hasImages) {
+    const via = `alias:${alias.id}`;
+    if (alias.target === "@largest") {
+      const m = upstreams.largest();
+      return m ? { model: m.name, via } : byRules();
+    }
+    if (alias.target === "@smallest") {
+      const m = upstreams.smallest();
+      return m ? { model: m.name, via } : byRules();
+    }
+    if (alias.target !== "auto") return { model: alias.target, via };
   }
-  
-  // 默认使用 llama3.2:latest (已安装)
-  return "llama3.2:latest";
+  return byRules();
+}
+
+/**
+ * 同 resolveRoute，只返回模型名
+ * @param {string} text - 请求文本内容
+ * @param {Object} opts - 同 pickModel
+ * @returns {Promise<string>}
+ */
+async function resolveModel(text, opts = {}) {
+  return (await resolveRoute(text, opts)).model;
 }
 
 function setSSE(res) {
@@ -120,10 +700,29 @@ function setSSE(res) {
   res.setHeader("connection", "keep-alive");
 }
 
+// OpenAI 风格：只有 data 行
 function sseSend(res, obj) {
   res.write(`data: ${JSON.stringify(obj)}\n\n`);
 }
 
+// Anthropic 风格：event 行为事件类型
+function sseEvent(res, evt) {
+  res.write(`event: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`);
+}
+
+// 等第一个 token 期间（模型加载、长 prefill）定期发 ping，避免客户端和中间代理判定连接空闲超时
+const SSE_PING_INTERVAL_MS = Number(process.env.SSE_PING_INTERVAL_MS || 10000);
+
+/**
+ * 开始定期发送 ping 事件
+ * @param {express.Response} res - Express 响应对象
+ * @returns {() => void} - 停止发送
+ */
+function startPings(res) {
+  const timer = setInterval(() => sseEvent(res, { type: "ping" }), SSE_PING_INTERVAL_MS);
+  return () => clearInterval(timer);
+}
+
 // 解析 OpenAI SSE：形如 "data: {...}\n\n"
 async function* openAISSEToJSON(bodyStream) {
   let buf = "";
@@ -151,243 +750,1714 @@ async function* openAISSEToJSON(bodyStream) {
   }
 }
 
-async function callOllamaJSON(payload) {
-  const ac = new AbortController();
-  const t = setTimeout(() => ac.abort(), OLLAMA_TIMEOUT_MS);
+/**
+ * 发起上游 chat/completions：带上模型的 keep_alive；上游报告模型不存在且允许自动 pull 时，在后台开始下载并以 model_pulling 失败
+ * @param {Object} payload - OpenAI chat/completions 请求体（含 stream）
+ * @param {Object} options - fetchFromUpstreams 的 signal / prefer
+ * @returns {Promise<{ response: Object, upstream: Object, signal: AbortSignal, done: () => void, native: boolean }>}
+ */
+function fetchModel(payload, options) {
+  const body = { ...payload, keep_alive: models.keepAliveFor(payload.model) };
+  return models.withAutoPull(payload.model, () => fetchFromUpstreams(upstreams, body, options));
+}
+
+/**
+ * 非流式请求上游并解析 JSON
+ * @param {Object} payload - OpenAI chat/completions 请求体
+ * @param {Object} [opts]
+ * @param {Object} [opts.trace] - 请求级别的跟踪信息，记录 upstream / upstreamMs
+ * @param {AbortSignal} [opts.signal] - 客户端断开时中止上游请求
+ * @param {Object} [opts.prefer] - 调度器挑好的上游
+ * @returns {Promise<Object>}
+ */
+async function callOllamaJSON(payload, { trace = {}, signal, prefer } = {}) {
+  const observe = metrics.upstreamDuration.startTimer({ model: payload.model, stream: "false" });
+  const { response, upstream, done, native } = await fetchModel({ ...payload, stream: false }, { signal, prefer });
+  trace.upstream = upstream.name;
   try {
-    const r = await fetch(OLLAMA_CHAT, {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify({ ...payload, stream: false }),
-      signal: ac.signal
-    });
-    const txt = await r.text();
+    const txt = await response.text();
     let data;
-    try { data = JSON.parse(txt); } catch { data = { raw: txt }; }
-    if (!r.ok) {
-      // 包含详细的错误信息在错误消息中
-      let errorMsg = `ollama_http_${r.status}`;
-      if (data?.error?.message) {
-        errorMsg += `: ${data.error.message}`;
-      } else if (txt) {
-        errorMsg += `: ${txt}`;
-      }
-      const err = new Error(errorMsg);
-      err.detail = data;
-      throw err;
+    try {
+      data = JSON.parse(txt);
+    } catch {
+      return { raw: txt };
     }
+    if (native) data = ollamaChatToOpenAI(data, payload);
+    // 非流式请求没有增量，上游返回后把整段回复一次性推给 dashboard 的实时查看
+    if (trace.requestId) publishTokens(trace.requestId, { choices: [{ delta: data.choices?.[0]?.message || {} }] });
     return data;
   } finally {
-    clearTimeout(t);
+    done();
+    trace.upstreamMs = Math.round(observe({ upstream: upstream.name }) * 1000);
   }
 }
 
-async function streamOllamaToAnthropic(res, payload, anthModelName) {
-  const ac = new AbortController();
-  const t = setTimeout(() => ac.abort(), OLLAMA_TIMEOUT_MS);
+/**
+ * 将 OpenAI finish_reason 映射为 Anthropic stop_reason
+ * @param {string|null} finishReason - stop / length / tool_calls / function_call / content_filter
+ * @param {Object} [opts]
+ * @param {boolean} [opts.usedTools] - 回复里是否有 tool_use（部分上游带工具调用时仍返回 "stop"）
+ * @param {string|null} [opts.stopSequence] - 命中的停止序列
+ * @returns {string} - end_turn / max_tokens / tool_use / stop_sequence
+ */
+function mapFinishReason(finishReason, opts = {}) {
+  if (opts.usedTools || finishReason === "tool_calls" || finishReason === "function_call") return "tool_use";
+  if (finishReason === "length") return "max_tokens";
+  if (opts.stopSequence) return "stop_sequence";
+  return "end_turn";
+}
 
-  try {
-    const r = await fetch(OLLAMA_CHAT, {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify({ ...payload, stream: true }),
-      signal: ac.signal
-    });
+/**
+ * 将 OpenAI usage 转换为 Anthropic usage
+ * @param {Object} [usage] - { prompt_tokens, completion_tokens }
+ * @returns {{ input_tokens: number, output_tokens: number }}
+ */
+function openAIUsageToAnthropic(usage) {
+  return {
+    input_tokens: Number(usage?.prompt_tokens) || 0,
+    output_tokens: Number(usage?.completion_tokens) || 0
+  };
+}
 
-    if (!r.ok) {
-      const txt = await r.text();
-      // 直接返回错误，让上层错误处理逻辑处理
-      throw new Error(`ollama_stream_http_${r.status}: ${txt}`);
-    }
+/**
+ * 将 OpenAI chat.completion 响应转换为 Anthropic message
+ * @param {Object} data - 上游 JSON 响应
+ * @param {Object} meta - { id, model, thinking }
+ * @returns {Object} - Anthropic message
+ */
+function openAIToAnthropicMessage(data, meta) {
+  const choice = data?.choices?.[0];
+  const content = openAIToAnthropicContent(choice?.message, { thinking: meta.thinking });
+  return {
+    id: meta.id,
+    type: "message",
+    role: "assistant",
+    model: meta.model,
+    content,
+    stop_reason: mapFinishReason(choice?.finish_reason, {
+      usedTools: content.some(b => b.type === "tool_use")
+    }),
+    stop_sequence: null,
+    usage: openAIUsageToAnthropic(data?.usage)
+  };
+}
 
-    // Anthropic SSE 开场
-    setSSE(res);
-    sseSend(res, {
-      type: "message_start",
-      message: {
-        id: `msg_${Date.now()}`,
-        type: "message",
-        role: "assistant",
-        model: anthModelName || "sonnet-4.5",
-        content: [],
-        stop_reason: null
+/**
+ * 在流式文本中查找停止序列
+ * 可能是某个停止序列前缀的尾巴先扣住不发，确认不是再放出去，保证客户端看不到停止序列本身
+ * @param {Array<string>} stops - 停止序列
+ * @returns {{ push: (text: string) => { text: string, matched: string|null }, flush: () => string }}
+ */
+function createStopMatcher(stops) {
+  let held = "";
+  return {
+    push(text) {
+      held += text;
+      let at = -1;
+      let matched = null;
+      for (const stop of stops) {
+        const i = held.indexOf(stop);
+        if (i >= 0 && (at < 0 || i < at)) {
+          at = i;
+          matched = stop;
+        }
       }
-    });
-    sseSend(res, {
-      type: "content_block_start",
-      index: 0,
-      content_block: { type: "text", text: "" }
-    });
-
-    // 从 OpenAI SSE 取 delta.content，转成 Anthropic text_delta
-    for await (const evt of openAISSEToJSON(r.body)) {
-      const delta = evt?.choices?.[0]?.delta;
-      const txt = delta?.content;
-      if (typeof txt === "string" && txt.length) {
-        sseSend(res, {
-          type: "content_block_delta",
-          index: 0,
-          delta: { type: "text_delta", text: txt }
-        });
+      if (matched) {
+        const out = held.slice(0, at);
+        held = "";
+        return { text: out, matched };
       }
-      const finish = evt?.choices?.[0]?.finish_reason;
-      if (finish) break;
+      let keep = 0;
+      for (const stop of stops) {
+        for (let n = Math.min(stop.length - 1, held.length); n > keep; n--) {
+          if (held.endsWith(stop.slice(0, n))) {
+            keep = n;
+            break;
+          }
+        }
+      }
+      const out = held.slice(0, held.length - keep);
+      held = held.slice(held.length - keep);
+      return { text: out, matched: null };
+    },
+    flush() {
+      const out = held;
+      held = "";
+      return out;
     }
-
-    sseSend(res, { type: "content_block_stop", index: 0 });
-    sseSend(res, { type: "message_stop" });
-    res.end();
-  } finally {
-    clearTimeout(t);
-  }
+  };
 }
 
-/* ---------- endpoints ---------- */
+/**
+ * 把 OpenAI chat.completion.chunk 序列翻译成 Anthropic 的 content block 事件
+ * 推理内容、文本和每个 tool call 各占一个 block，按出现顺序编号；同一时间只有一个 block 是打开的
+ * 推理内容来自 delta.reasoning_content / delta.reasoning 或内联 <think> 标签，opts.thinking 为 false 时丢弃
+ * 给了停止序列时由这里负责匹配：命中后截断文本，stopped 变为 true，调用方应停止读取上游
+ * @param {(evt: Object) => void} emit - 接收 Anthropic 事件（content_block_* / message_delta / message_stop）
+ * @param {Object} [opts]
+ * @param {Array<string>} [opts.stopSequences] - Anthropic stop_sequences
+ * @param {boolean} [opts.thinking] - 是否输出 thinking block
+ * @returns {{ push: (chunk: Object) => void, finish: () => void, stopped: boolean }}
+ */
+function createStreamTranslator(emit, opts = {}) {
+  const matcher = opts.stopSequences?.length ? createStopMatcher(opts.stopSequences) : null;
+  const splitter = createThinkTagSplitter();
+  let stopSequence = null;
+  // 推理结束后正文开头通常跟着空行，去掉
+  let trimLeading = false;
+  let nextIndex = 0;
+  let open = null; // { index, kind: "thinking" | "text" | "tool", key }
+  let finishReason = null;
+  let usage = null;
+  // 上游没回 usage 时按收到的增量片段数估算输出 token
+  let deltaCount = 0;
+  // OpenAI tool_calls[].index → { index, id, name, pendingArgs }
+  const tools = new Map();
 
-app.get("/v1/models", (req, res) => {
-  if (!authOk(req)) return res.sendStatus(401);
-  res.json({
-    data: [
-      { id: "sonnet-4.5", type: "model" },
-      { id: "haiku-4.5", type: "model" },
-      { id: "opus-4.5", type: "model" }
-    ]
-  });
-});
+  function closeOpen() {
+    if (!open) return;
+    emit({ type: "content_block_stop", index: open.index });
+    open = null;
+  }
 
-app.get("/health", (req, res) => {
-  res.json({
-    status: "ok",
-    inflight: queue.inflightCount,
-    queued: queue.size,
-    maxInflight: MAX_INFLIGHT,
-    timeoutMs: OLLAMA_TIMEOUT_MS
-  });
-});
+  function startBlock(kind, key, contentBlock) {
+    closeOpen();
+    const index = nextIndex++;
+    emit({ type: "content_block_start", index, content_block: contentBlock });
+    open = { index, kind, key };
+    return index;
+  }
 
-app.post("/v1/messages", async (req, res) => {
-  // 速率限制检查
-  const clientIp = req.ip || req.socket.remoteAddress || "unknown";
-  if (!rateLimit.check(clientIp)) {
-    return res.status(429).json({
-      error: {
-        type: "rate_limit_exceeded",
-        message: "Rate limit exceeded. Please try again later."
-      }
-    });
+  function emitText(text) {
+    if (!text) return;
+    if (open?.kind !== "text") startBlock("text", null, { type: "text", text: "" });
+    emit({ type: "content_block_delta", index: open.index, delta: { type: "text_delta", text } });
   }
-  
-  if (!authOk(req)) {
-    return res.status(401).json({
-      error: {
-        type: "authentication_error",
-        message: "Invalid authentication credentials"
-      }
-    });
+
+  function emitThinking(text) {
+    trimLeading = true;
+    if (!opts.thinking || !text) return;
+    if (open?.kind !== "thinking") startBlock("thinking", null, { type: "thinking", thinking: "", signature: "" });
+    emit({ type: "content_block_delta", index: open.index, delta: { type: "thinking_delta", thinking: text } });
   }
 
-  // 输入验证
-  const anth = req.body || {};
-  if (!anth.messages || !Array.isArray(anth.messages)) {
-    return res.status(400).json({
-      error: {
-        type: "invalid_request_error",
-        message: "messages field is required and must be an array"
-      }
-    });
+  function pushAnswer(text) {
+    if (trimLeading) {
+      text = text.replace(/^\s+/, "");
+      if (!text) return;
+      trimLeading = false;
+    }
+    if (!matcher) return emitText(text);
+    const r = matcher.push(text);
+    emitText(r.text);
+    if (r.matched) stopSequence = r.matched;
   }
 
-  const wantStream = !!anth.stream;
-  
-  try {
-    const msgs = anthropicToOpenAI(anth);
-    const text = msgs.map(m => m.content).join("\n");
-    const model = pickModel(text);
+  function pushSegments(segments) {
+    for (const seg of segments) {
+      if (stopSequence !== null) return;
+      if (seg.thinking) emitThinking(seg.text);
+      else pushAnswer(seg.text);
+    }
+  }
 
-    console.log("ROUTE →", model, "| stream:", wantStream, "| queued:", queue.size, "| inflight:", queue.inflightCount);
+  function pushToolCall(part) {
+    const key = part.index ?? tools.size;
+    let tool = tools.get(key);
+    if (!tool) {
+      tool = { index: null, id: "", name: "", pendingArgs: "" };
+      tools.set(key, tool);
+    }
+    if (part.id) tool.id = part.id;
+    // 有的上游（如 Ollama 的兼容接口）每个 chunk 都带完整的名字，只取第一次
+    if (part.function?.name && !tool.name) tool.name = part.function.name;
 
-    const payload = {
-      model,
-      messages: msgs,
-      temperature: anth.temperature ?? 0.2
-    };
+    const raw = part.function?.arguments;
+    const args = raw && typeof raw === "object" ? JSON.stringify(raw) : (raw || "");
 
-    if (wantStream) {
-      // 流式时：排队后再真正开始推理并持续写回 SSE
-      await runQueued(() => streamOllamaToAnthropic(res, payload, anth.model));
+    // 名字到齐之前没法发 content_block_start，参数先攒着
+    if (tool.index === null) {
+      tool.pendingArgs += args;
+      if (!tool.name) return;
+      tool.index = startBlock("tool", key, {
+        type: "tool_use",
+        id: tool.id || newToolUseId(),
+        name: tool.name,
+        input: {}
+      });
+      if (!tool.pendingArgs) return;
+      emit({
+        type: "content_block_delta",
+        index: tool.index,
+        delta: { type: "input_json_delta", partial_json: tool.pendingArgs }
+      });
+      tool.pendingArgs = "";
       return;
     }
+    // block 已经关闭（中间插进了别的内容）时不能再发 delta，迟到的参数片段丢弃
+    if (args && open?.index === tool.index) {
+      emit({
+        type: "content_block_delta",
+        index: tool.index,
+        delta: { type: "input_json_delta", partial_json: args }
+      });
+    }
+  }
 
-    // 非流式：正常 JSON 返回
-    const data = await runQueued(() => callOllamaJSON(payload));
-    const out = data?.choices?.[0]?.message?.content ?? "";
-    res.json({
-      id: "msg-local",
-      type: "message",
-      role: "assistant",
-      model: anth.model || "sonnet-4.5",
-      content: [{ type: "text", text: out }],
-      stop_reason: "end_turn"
-    });
-  } catch (e) {
-    let msg = e.message;
-    let friendlyMsg = "";
-    
-    // 处理模型未找到错误 - 使用正则表达式进行不区分大小写的匹配
-    if (/model.*not found/i.test(msg)) {
-      // 直接生成友好的错误信息，不依赖于模型名称提取
-      friendlyMsg = `本地模型调用失败：模型未找到。\n\n请先使用以下命令拉取所需模型：\nollama pull qwen3:0.6b\nollama pull qwen2.5-coder\nollama pull deepseek-r1:7b\nollama pull qwen3:8b\n\n或者检查模型名称是否正确，然后再重试。`;
-    }
-    // 处理超时错误
-    else if (e.name === "AbortError") {
-      friendlyMsg = `本地模型推理超时（>${OLLAMA_TIMEOUT_MS/1000}s）。建议换小模型/缩短上下文/提高超时时间。`;
-    }
-    // 处理其他错误
-    else {
-      // 简化错误信息，移除 ollama_http_ 或 ollama_stream_http_ 前缀
-      let errorMessage = msg;
-      if (msg.startsWith("ollama_http_") || msg.startsWith("ollama_stream_http_")) {
-        errorMessage = msg.replace(/^ollama_(stream_)?http_\d+:\s*/, "");
+  return {
+    get stopped() {
+      return stopSequence !== null;
+    },
+
+    push(chunk) {
+      if (stopSequence !== null) return;
+      const choice = chunk?.choices?.[0];
+      const delta = choice?.delta;
+      const reasoning = delta?.reasoning_content ?? delta?.reasoning;
+      if (typeof reasoning === "string" && reasoning.length) {
+        deltaCount++;
+        emitThinking(reasoning);
       }
-      
-      friendlyMsg = `本地模型调用失败：${errorMessage}`;
-    }
+      if (typeof delta?.content === "string" && delta.content.length) {
+        deltaCount++;
+        pushSegments(splitter.push(delta.content));
+      }
+      for (const part of delta?.tool_calls || []) {
+        deltaCount++;
+        pushToolCall(part);
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      // stream_options.include_usage：最后一个 chunk 的 choices 为空，只带 usage
+      if (chunk?.usage) usage = chunk.usage;
+    },
 
-    if (wantStream) {
-      // 流式错误也用 SSE 结束掉，避免 Claude Code卡死重试
-      setSSE(res);
-      sseSend(res, {
-        type: "message_start",
-        message: { id: `msg_${Date.now()}`, type: "message", role: "assistant", model: anth.model || "sonnet-4.5", content: [], stop_reason: null }
+    finish() {
+      pushSegments(splitter.flush());
+      if (matcher && stopSequence === null) emitText(matcher.flush());
+      closeOpen();
+      if (nextIndex === 0) {
+        startBlock("text", null, { type: "text", text: "" });
+        closeOpen();
+      }
+      const usedTools = [...tools.values()].some(x => x.index !== null);
+      const u = openAIUsageToAnthropic(usage);
+      emit({
+        type: "message_delta",
+        delta: {
+          stop_reason: mapFinishReason(finishReason, { usedTools, stopSequence }),
+          stop_sequence: stopSequence
+        },
+        usage: {
+          input_tokens: u.input_tokens,
+          output_tokens: usage ? u.output_tokens : deltaCount
+        }
       });
-      sseSend(res, { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } });
-      sseSend(res, { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: friendlyMsg } });
-      sseSend(res, { type: "content_block_stop", index: 0 });
-      sseSend(res, { type: "message_stop" });
-      res.end();
-      return;
+      emit({ type: "message_stop" });
     }
+  };
+}
 
-    res.status(502).json({
-      id: "msg-local",
-      type: "message",
-      role: "assistant",
-      model: anth.model || "sonnet-4.5",
-      content: [{ type: "text", text: friendlyMsg }],
-      stop_reason: "end_turn"
-    });
+/**
+ * 把 Anthropic 流式事件重新拼成完整的 message（非流式请求内部走流式时使用）
+ * @returns {{ emit: (evt: Object) => void, message: (meta: Object) => Object }}
+ */
+function createMessageCollector() {
+  const blocks = [];
+  const partialJson = [];
+  let stopReason = null;
+  let stopSequence = null;
+  let usage = { input_tokens: 0, output_tokens: 0 };
+  return {
+    emit(evt) {
+      if (evt.type === "content_block_start") {
+        blocks[evt.index] = { ...evt.content_block };
+        partialJson[evt.index] = "";
+      } else if (evt.type === "content_block_delta") {
+        const b = blocks[evt.index];
+        if (evt.delta.type === "text_delta") b.text += evt.delta.text;
+        else if (evt.delta.type === "thinking_delta") b.thinking += evt.delta.thinking;
+        else if (evt.delta.type === "input_json_delta") partialJson[evt.index] += evt.delta.partial_json;
+      } else if (evt.type === "content_block_stop") {
+        const b = blocks[evt.index];
+        if (b.type === "tool_use") b.input = parseToolArguments(partialJson[evt.index]);
+      } else if (evt.type === "message_delta") {
+        stopReason = evt.delta.stop_reason;
+        stopSequence = evt.delta.stop_sequence;
+        usage = { ...usage, ...evt.usage };
+      }
+    },
+    message(meta) {
+      return {
+        id: meta.id,
+        type: "message",
+        role: "assistant",
+        model: meta.model,
+        content: blocks.filter(Boolean),
+        stop_reason: stopReason,
+        stop_sequence: stopSequence,
+        usage
+      };
+    }
+  };
+}
+
+/**
+ * 以流式方式请求上游，把每个 chunk 交给 translator，直到 [DONE] 或命中停止序列
+ * @param {Object} payload - OpenAI chat/completions 请求体
+ * @param {Object} translator - createStreamTranslator 的结果
+ * @param {Object} [opts]
+ * @param {() => void} [opts.onHeaders] - 上游返回成功响应头后调用（此后不再切换上游）
+ * @param {Object} [opts.trace] - 请求级别的跟踪信息，记录 upstream / upstreamMs / ttftMs
+ * @param {AbortSignal} [opts.signal] - 客户端断开时中止上游请求，释放并发名额
+ * @param {Object} [opts.prefer] - 调度器挑好的上游
+ */
+async function pipeUpstreamStream(payload, translator, { onHeaders, trace = {}, signal, prefer } = {}) {
+  const observe = metrics.upstreamDuration.startTimer({ model: payload.model, stream: "true" });
+  const firstToken = metrics.timeToFirstToken.startTimer({ model: payload.model });
+  // 上游在返回响应头之前失败会自动切换到下一个上游
+  const { response: r, upstream, done, native } = await fetchModel({
+    ...payload,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal, prefer });
+  trace.upstream = upstream.name;
+  let sawToken = false;
+  try {
+    onHeaders?.();
+    // finish_reason 之后还有一个只带 usage 的 chunk，所以读到 [DONE] 为止；
+    // 命中停止序列时提前退出循环，底层连接随之关闭，上游停止生成
+    for await (const evt of native ? ollamaStreamToChunks(r.body, payload) : openAISSEToJSON(r.body)) {
+      if (!sawToken && isTokenChunk(evt)) {
+        sawToken = true;
+        trace.ttftMs = Math.round(firstToken({ upstream: upstream.name }) * 1000);
+      }
+      translator.push(evt);
+      if (trace.requestId) publishTokens(trace.requestId, evt);
+      if (translator.stopped) break;
+    }
+    translator.finish();
   } finally {
-    // 清理资源（如果需要）
+    done();
+    trace.upstreamMs = Math.round(observe({ upstream: upstream.name }) * 1000);
   }
-});
+}
 
-const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+// 把 chunk 里新生成的内容转给 dashboard 的实时输出
+function publishTokens(id, evt) {
+  const d = evt?.choices?.[0]?.delta;
+  if (!d) return;
+  tail.publish(id, "thinking", d.reasoning_content || d.reasoning);
+  tail.publish(id, "text", d.content);
+  for (const call of d.tool_calls || []) tail.publish(id, "tool", (call.function?.name ?? "") + (call.function?.arguments ?? ""));
+}
 
-if (isMain) {
-  app.listen(8787, "127.0.0.1", () => {
-    console.log("✅ Claude-local proxy (streaming) listening on http://127.0.0.1:8787");
-    console.log("   timeout:", OLLAMA_TIMEOUT_MS, "ms | max_inflight:", MAX_INFLIGHT);
-  });
+// chunk 里是否带有生成内容（正文、思考过程或工具调用）
+function isTokenChunk(evt) {
+  const d = evt?.choices?.[0]?.delta;
+  return !!(d && (d.content || d.reasoning_content || d.reasoning || d.tool_calls?.length));
 }
 
-export { anthropicToOpenAI, pickModel };
+/**
+ * 非流式请求：有停止序列时内部走流式以便识别命中的停止序列，否则直接请求 JSON
+ * @param {Object} payload - OpenAI chat/completions 请求体
+ * @param {Object} meta - { id, model, stopSequences, thinking, trace, signal, upstream }
+ * @returns {Promise<Object>} - Anthropic message
+ */
+async function createMessage(payload, meta) {
+  if (!meta.stopSequences?.length) {
+    const data = await callOllamaJSON(payload, { trace: meta.trace, signal: meta.signal, prefer: meta.upstream });
+    return openAIToAnthropicMessage(data, meta);
+  }
+  const collector = createMessageCollector();
+  const translator = createStreamTranslator(evt => collector.emit(evt), {
+    stopSequences: meta.stopSequences,
+    thinking: meta.thinking
+  });
+  await pipeUpstreamStream(payload, translator, { trace: meta.trace, signal: meta.signal, prefer: meta.upstream });
+  return collector.message(meta);
+}
+
+function messageStartEvent(id, model, usage) {
+  return {
+    type: "message_start",
+    message: {
+      id,
+      type: "message",
+      role: "assistant",
+      model,
+      content: [],
+      stop_reason: null,
+      stop_sequence: null,
+      usage
+    }
+  };
+}
+
+/**
+ * 开始 Anthropic SSE：写响应头和 message_start，之后定期发 ping
+ * 在排队之前调用，排队、加载模型和 prefill 期间连接都不会空闲；此后的失败（包括排队失败）由调用方以 event: error 报告
+ * @param {express.Response} res - Express 响应对象
+ * @param {string} id - message id
+ * @param {string} model - 回显给客户端的模型名
+ * @returns {() => void} - 停止发送 ping
+ */
+function startAnthropicStream(res, id, model) {
+  // 输入 token 要等上游最后的 usage chunk 才知道，随 message_delta 一起给出
+  setSSE(res);
+  sseEvent(res, messageStartEvent(id, model, { input_tokens: 0, output_tokens: 0 }));
+  return startPings(res);
+}
+
+/**
+ * 流式请求：把上游 OpenAI SSE 翻译成 Anthropic SSE 写回客户端（message_start 已由 startAnthropicStream 发出）
+ * 第一个 content block 开始时停止 ping
+ * @param {express.Response} res - Express 响应对象
+ * @param {Object} payload - OpenAI chat/completions 请求体
+ * @param {Object} meta - { id, model, stopSequences, thinking, trace, signal, upstream, stopPings }
+ * @returns {Promise<Object>} - 拼好的完整 message（供缓存、对话记录使用）
+ */
+async function streamOllamaToAnthropic(res, payload, meta) {
+  const id = meta.id;
+  const model = meta.model || "sonnet-4.5";
+  const collector = createMessageCollector();
+  const { stopPings } = meta;
+  const translator = createStreamTranslator(evt => {
+    if (evt.type === "content_block_start") stopPings();
+    collector.emit(evt);
+    sseEvent(res, evt);
+  }, {
+    stopSequences: meta.stopSequences,
+    thinking: meta.thinking
+  });
+  try {
+    await pipeUpstreamStream(payload, translator, { trace: meta.trace, signal: meta.signal, prefer: meta.upstream });
+  } finally {
+    stopPings();
+  }
+  res.end();
+  return collector.message({ id, model });
+}
+
+/**
+ * 非流式转发 OpenAI chat/completions（/v1/chat/completions 入口）
+ * @param {Object} payload - OpenAI chat/completions 请求体
+ * @param {Object} meta - { id, model, created, trace, signal, upstream }
+ * @returns {Promise<Object>} - chat.completion（id / model 换成代理自己的）
+ */
+async function createChatCompletion(payload, meta) {
+  const data = await callOllamaJSON(payload, { trace: meta.trace, signal: meta.signal, prefer: meta.upstream });
+  if (!Array.isArray(data?.choices)) {
+    throw new Error(`upstream returned an invalid chat completion: ${JSON.stringify(data).slice(0, 200)}`);
+  }
+  return { ...data, id: meta.id, object: "chat.completion", created: meta.created, model: meta.model };
+}
+
+/**
+ * 流式转发 OpenAI chunk（/v1/chat/completions 入口）：改写 id / model 后原样写回，同时拼出完整的 completion
+ * 代理总会向上游要 usage，客户端没有要求 stream_options.include_usage 时不转发只带 usage 的 chunk
+ * @param {express.Response} res - Express 响应对象
+ * @param {Object} payload - OpenAI chat/completions 请求体
+ * @param {Object} meta - { id, model, created, includeUsage, trace, signal, upstream }
+ * @returns {Promise<Object>} - 拼好的 chat.completion（供缓存、对话记录使用）
+ */
+async function streamChatCompletion(res, payload, meta) {
+  const collector = createChatCollector();
+  const passthrough = {
+    stopped: false,
+    push(chunk) {
+      const out = { ...chunk, id: meta.id, object: "chat.completion.chunk", created: meta.created, model: meta.model };
+      collector.push(out);
+      if (!out.choices?.length && !meta.includeUsage) return;
+      sseSend(res, out);
+    },
+    finish() {}
+  };
+  await pipeUpstreamStream(payload, passthrough, {
+    trace: meta.trace,
+    signal: meta.signal,
+    prefer: meta.upstream,
+    onHeaders: () => setSSE(res)
+  });
+  res.end("data: [DONE]\n\n");
+  return collector.completion(meta);
+}
+
+/**
+ * 把完整的 message 拆成 Anthropic SSE 事件（缓存命中时回放用）
+ * @param {Object} message - Anthropic message
+ * @returns {Array<Object>} - message_start … message_stop
+ */
+function messageToEvents(message) {
+  const events = [messageStartEvent(message.id, message.model, { input_tokens: message.usage?.input_tokens ?? 0, output_tokens: 0 })];
+  message.content.forEach((block, index) => {
+    if (block.type === "tool_use") {
+      events.push({ type: "content_block_start", index, content_block: { ...block, input: {} } });
+      events.push({ type: "content_block_delta", index, delta: { type: "input_json_delta", partial_json: JSON.stringify(block.input) } });
+    } else if (block.type === "thinking") {
+      events.push({ type: "content_block_start", index, content_block: { ...block, thinking: "" } });
+      events.push({ type: "content_block_delta", index, delta: { type: "thinking_delta", thinking: block.thinking } });
+    } else {
+      events.push({ type: "content_block_start", index, content_block: { ...block, text: "" } });
+      if (block.text) events.push({ type: "content_block_delta", index, delta: { type: "text_delta", text: block.text } });
+    }
+    events.push({ type: "content_block_stop", index });
+  });
+  events.push({
+    type: "message_delta",
+    delta: { stop_reason: message.stop_reason, stop_sequence: message.stop_sequence ?? null },
+    usage: message.usage
+  });
+  events.push({ type: "message_stop" });
+  return events;
+}
+
+/**
+ * 按 Anthropic 的取值范围校验采样参数
+ * @param {Object} anth - Anthropic 请求体
+ * @returns {string|null} - 错误信息；合法时返回 null
+ */
+function validateSamplingParams(anth) {
+  const isNum = v => typeof v === "number" && Number.isFinite(v);
+  if (anth.max_tokens !== undefined && !(Number.isInteger(anth.max_tokens) && anth.max_tokens >= 1)) {
+    return "max_tokens: must be an integer greater than or equal to 1";
+  }
+  if (anth.temperature !== undefined && !(isNum(anth.temperature) && anth.temperature >= 0 && anth.temperature <= 1)) {
+    return "temperature: must be a number between 0 and 1";
+  }
+  if (anth.top_p !== undefined && !(isNum(anth.top_p) && anth.top_p >= 0 && anth.top_p <= 1)) {
+    return "top_p: must be a number between 0 and 1";
+  }
+  if (anth.top_k !== undefined && !(Number.isInteger(anth.top_k) && anth.top_k >= 0)) {
+    return "top_k: must be an integer greater than or equal to 0";
+  }
+  if (anth.stop_sequences !== undefined) {
+    if (!Array.isArray(anth.stop_sequences)) return "stop_sequences: must be an array of strings";
+    if (anth.stop_sequences.some(x => typeof x !== "string" || !x.length)) {
+      return "stop_sequences: each stop sequence must be a non-empty string";
+    }
+  }
+  if (anth.metadata !== undefined) {
+    if (typeof anth.metadata !== "object" || anth.metadata === null || Array.isArray(anth.metadata)) {
+      return "metadata: must be an object";
+    }
+    if (anth.metadata.user_id !== undefined && anth.metadata.user_id !== null && typeof anth.metadata.user_id !== "string") {
+      return "metadata.user_id: must be a string";
+    }
+  }
+  return null;
+}
+
+/**
+ * 将 Anthropic 采样参数转换为 OpenAI/Ollama 请求字段
+ * stop_sequences 不下发给上游：由代理自己匹配，才能知道具体命中了哪一个
+ * @param {Object} anth - Anthropic 请求体（已校验）
+ * @returns {Object} - temperature / max_tokens / top_p / top_k / user
+ */
+function anthropicSamplingToOpenAI(anth) {
+  const out = { temperature: anth.temperature ?? 0.2 };
+  if (anth.max_tokens !== undefined) out.max_tokens = anth.max_tokens;
+  if (anth.top_p !== undefined) out.top_p = anth.top_p;
+  if (anth.top_k !== undefined) out.top_k = anth.top_k;
+  if (anth.metadata?.user_id) out.user = anth.metadata.user_id;
+  return out;
+}
+
+/* ---------- endpoints ---------- */
+
+const STARTED_AT = new Date().toISOString();
+
+app.get("/v1/models", requireApiAuth, async (req, res) => {
+  const installed = (await upstreams.list()).filter(m => req.apiKey.allowsModel(m.name));
+  const data = routing.aliases.map(a => ({
+    type: "model",
+    id: a.id,
+    display_name: a.display_name,
+    created_at: STARTED_AT
+  }));
+  for (const m of installed) {
+    if (data.some(x => x.id === m.name)) continue;
+    data.push({
+      type: "model",
+      id: m.name,
+      display_name: m.name,
+      created_at: m.modified_at ? new Date(m.modified_at).toISOString() : STARTED_AT
+    });
+  }
+  res.json({
+    data,
+    has_more: false,
+    first_id: data[0]?.id ?? null,
+    last_id: data.at(-1)?.id ?? null
+  });
+});
+
+app.get("/metrics", (req, res) => {
+  // 用 end 而不是 send，避免 express 改写 content-type 里参数的顺序
+  res.setHeader("content-type", METRICS_CONTENT_TYPE);
+  res.end(registry.render());
+});
+
+/**
+ * 队列、上游、缓存、模型和 batch 的状态（/health 与 /admin/status 共用）
+ * @param {boolean} detailed - 是否包含上游地址和排队中的请求 id（只给 admin）
+ * @returns {Object}
+ */
+function proxyStatus(detailed) {
+  return {
+    status: "ok",
+    inflight: lanes.inflightCount,
+    queued: lanes.size,
+    maxInflight: settings.maxInflight,
+    draining: lanes.draining,
+    lanes: lanes.status(),
+    timeoutMs: settings.timeoutMs,
+    cancelled: cancellations,
+    queue: {
+      maxLength: settings.queueMaxLength,
+      maxWaitMs: settings.queueMaxWaitMs,
+      rejected: lanes.rejected,
+      expired: lanes.expired,
+      waiting: lanes.waiting().map(({ id, lane, priority, waitedMs }) => (detailed ? { id, lane, priority, waitedMs } : { lane, priority, waitedMs }))
+    },
+    upstreams: detailed ? upstreams.status() : upstreams.status().map(({ baseUrl, ...u }) => ({ ...u, lastError: redactUrl(u.lastError, baseUrl, u.name) })),
+    cache: cache ? cache.stats() : { enabled: false },
+    models: { preload: models.preload, autoPull: models.autoPullPatterns, pulls: models.pullStatus() },
+    batches: batches ? batches.stats() : { enabled: false }
+  };
+}
+
+// 连接错误的信息里带着上游地址，未鉴权的 /health 上换成上游名
+function redactUrl(message, baseUrl, name) {
+  return message ? message.replaceAll(new URL(baseUrl).origin, `<${name}>`) : message;
+}
+
+// 不需要鉴权：上游地址和排队中的请求 id 不公开，只在 /admin/status 里给出
+app.get("/health", (req, res) => {
+  res.json(proxyStatus(false));
+});
+
+app.get("/admin/status", requireAdmin, (req, res) => {
+  res.json(proxyStatus(true));
+});
+
+/**
+ * 计算响应缓存键；只缓存确定性的请求：temperature 为 0，或请求头 x-response-cache: on 明确要求
+ * 键里带上 API key 名，不同使用者之间不共享缓存
+ * @param {string} namespace - anthropic / openai
+ * @param {Object} payload - 路由后的 OpenAI chat/completions 请求体
+ * @param {Object} extra - 其他影响结果的字段（stop_sequences、thinking）
+ * @param {Object} trace - 请求级别的跟踪信息（apiKey），trace.cache 记为 hit / miss / bypass / off
+ * @param {Object} [headers] - 请求头（batch 请求没有）
+ * @returns {string|null} - 不使用缓存时为 null
+ */
+function responseCacheKey(namespace, payload, extra, trace, headers = {}) {
+  if (!cache) {
+    trace.cache = "off";
+    return null;
+  }
+  if (payload.temperature !== 0 && String(headers["x-response-cache"] || "").toLowerCase() !== "on") {
+    trace.cache = "bypass";
+    return null;
+  }
+  return cacheKey(namespace, { ...payload, user: undefined, ...extra, apiKey: trace.apiKey });
+}
+
+// 写缓存失败不影响已经生成好的响应
+async function storeInCache(key, message) {
+  await cache.set(key, message).catch(e => console.error("CACHE write failed:", e.message));
+}
+
+app.delete("/admin/cache", requireAdmin, async (req, res) => {
+  if (!cache) return res.json({ enabled: false, purged: 0 });
+  const purged = await cache.purge();
+  logJSON({ level: "info", event: "cache_purge", key: req.apiKey.name, purged });
+  res.json({ enabled: true, purged });
+});
+
+// 模型管理：已安装 / 已加载的模型与进行中的 pull
+app.get("/admin/models", requireAdmin, async (req, res) => {
+  res.json(await models.list());
+});
+
+// 校验管理接口的 { model, upstream?, keep_alive? }
+function modelAdminRequest(body) {
+  if (typeof body?.model !== "string" || !body.model) throw invalidRequest("model: must be a non-empty string");
+  if (body.upstream !== undefined && typeof body.upstream !== "string") throw invalidRequest("upstream: must be a string");
+  let keepAlive;
+  if (body.keep_alive !== undefined) {
+    try {
+      keepAlive = normalizeKeepAlive(body.keep_alive);
+    } catch (e) {
+      throw invalidRequest(e.message);
+    }
+  }
+  return { model: body.model, upstream: body.upstream, keepAlive };
+}
+
+for (const action of ["load", "unload"]) {
+  app.post(`/admin/models/${action}`, requireAdmin, async (req, res) => {
+    try {
+      const { model, upstream, keepAlive } = modelAdminRequest(req.body);
+      const results = action === "load"
+        ? await models.load(model, { upstream, keepAlive })
+        : await models.unload(model, { upstream });
+      res.status(results.every(r => r.ok) ? 200 : 502).json({ model, action, results });
+    } catch (e) {
+      sendRequestError(res, e);
+    }
+  });
+}
+
+// pull 可能要几十分钟：立即返回 202，进度见 GET /admin/models 的 pulls 和日志
+app.post("/admin/models/pull", requireAdmin, (req, res) => {
+  let entry;
+  try {
+    const { model, upstream } = modelAdminRequest(req.body);
+    entry = models.startPull(model, { upstream });
+  } catch (e) {
+    return sendRequestError(res, e);
+  }
+  // 失败已经写进日志和 pulls 记录
+  entry.promise.catch(() => {});
+  const { promise, ...status } = entry;
+  res.status(202).json(status);
+});
+
+// 运行时设置：并发、排队、超时与限流，修改立即生效；?persist=true 同时写入 RUNTIME_CONFIG_FILE
+app.get("/admin/config", requireAdmin, (req, res) => {
+  res.json({ settings, file: RUNTIME_CONFIG_FILE || null });
+});
+
+app.patch("/admin/config", requireAdmin, async (req, res) => {
+  const persist = ["1", "true"].includes(String(req.query.persist));
+  let invalid = validateSettingsPatch(req.body, settingNames());
+  if (!invalid && persist && !RUNTIME_CONFIG_FILE) invalid = "persist: set RUNTIME_CONFIG_FILE to save settings";
+  if (invalid) return sendRequestError(res, invalidRequest(invalid));
+  applySettings(mergeSettings(settings, req.body));
+  logJSON({ level: "info", event: "config", action: "update", key: req.apiKey.name, changes: req.body, persist });
+  if (persist) await saveSettings(res, req.apiKey);
+  if (!res.headersSent) res.json({ settings, persisted: persist });
+});
+
+app.post("/admin/config/save", requireAdmin, async (req, res) => {
+  if (!RUNTIME_CONFIG_FILE) return sendRequestError(res, invalidRequest("set RUNTIME_CONFIG_FILE to save settings"));
+  await saveSettings(res, req.apiKey);
+  if (!res.headersSent) res.json({ settings, file: RUNTIME_CONFIG_FILE });
+});
+
+// 保存失败时已经生效的修改保留，返回 500 让管理员知道文件里还是旧的设置
+async function saveSettings(res, key) {
+  try {
+    await saveSettingsFile(RUNTIME_CONFIG_FILE, settings);
+    logJSON({ level: "info", event: "config", action: "save", key: key.name, file: RUNTIME_CONFIG_FILE });
+  } catch (e) {
+    logJSON({ level: "error", event: "config", action: "save", key: key.name, file: RUNTIME_CONFIG_FILE, error: e.message });
+    sendRequestError(res, { status: 500, type: "api_error", message: `settings were applied but not saved: ${e.message}` });
+  }
+}
+
+// 队列控制：drain 之后新请求返回 529，已经排队和正在执行的照常完成；DELETE 清空所有等待中的请求
+function queueStatus() {
+  return {
+    draining: lanes.draining,
+    inflight: lanes.inflightCount,
+    queued: lanes.size,
+    lanes: lanes.status(),
+    waiting: lanes.waiting()
+  };
+}
+
+app.get("/admin/queue", requireAdmin, (req, res) => {
+  res.json(queueStatus());
+});
+
+for (const action of ["drain", "resume"]) {
+  app.post(`/admin/queue/${action}`, requireAdmin, (req, res) => {
+    lanes[action]();
+    logJSON({ level: "info", event: "queue", action, key: req.apiKey.name, queued: lanes.size, inflight: lanes.inflightCount });
+    res.json(queueStatus());
+  });
+}
+
+app.delete("/admin/queue", requireAdmin, (req, res) => {
+  const cleared = lanes.clear();
+  logJSON({ level: "info", event: "queue", action: "clear", key: req.apiKey.name, cleared });
+  res.json({ cleared, ...queueStatus() });
+});
+
+/**
+ * 正在处理的请求（/admin/requests 与 dashboard 共用）
+ * @returns {Array<Object>} - state 为 preparing（查缓存、裁剪上下文）/ queued / running，最早开始的在前
+ */
+function inflightRequests() {
+  const now = Date.now();
+  return inflight.list().map(trace => {
+    const found = lanes.position(trace.requestId);
+    return {
+      id: trace.requestId,
+      api: trace.api,
+      key: trace.apiKey,
+      requested_model: trace.requestedModel,
+      model: trace.model,
+      stream: trace.stream,
+      batch_id: trace.batchId,
+      state: found?.state ?? "preparing",
+      lane: found?.lane ?? null,
+      position: found?.position ?? null,
+      age_ms: now - trace.startedAt,
+      queue_wait_ms: trace.queueWaitMs ?? null
+    };
+  });
+}
+
+app.get("/admin/requests", requireAdmin, (req, res) => {
+  res.json({ data: inflightRequests() });
+});
+
+app.delete("/admin/requests/:requestId", requireAdmin, (req, res) => {
+  const trace = inflight.cancel(req.params.requestId, req.apiKey.name);
+  if (!trace) {
+    return sendRequestError(res, { status: 404, type: "not_found_error", message: `request ${req.params.requestId} is not in flight` });
+  }
+  logJSON({ level: "info", event: "request_cancel", request_id: trace.requestId, key: req.apiKey.name, model: trace.model });
+  res.json({ id: trace.requestId, cancelled: true });
+});
+
+// dashboard：手机上直接打开 /dashboard?key=<admin key>。浏览器打开页面和 EventSource 都没法带请求头，
+// 所以 /dashboard 额外接受 ?key=（鉴权和认证失败限流与 API 一样），通过后换成一个短期会话 cookie 并重定向到不带 key 的地址，
+// 之后页面和它用到的接口只认 cookie 或请求头，admin key 不会留在浏览器历史和访问日志里
+const DASHBOARD_COOKIE = "proxy_dashboard";
+const DASHBOARD_COOKIE_PATTERN = /(?:^|;\s*)proxy_dashboard=([0-9a-f]+)/;
+
+function keyFromQuery(req, res, next) {
+  if (typeof req.query.key === "string" && !credentialFromHeaders(req.headers)) req.headers["x-api-key"] = req.query.key;
+  next();
+}
+
+function dashboardSessionKey(req) {
+  const m = DASHBOARD_COOKIE_PATTERN.exec(req.headers.cookie || "");
+  const key = apiKeys.byName(dashboardSessions.resolve(m?.[1] ?? null));
+  return key?.admin ? key : null;
+}
+
+// 有效的会话 cookie，或者和 /admin/* 一样的请求头
+function requireDashboard(req, res, next) {
+  const key = dashboardSessionKey(req);
+  if (!key) return requireAdmin(req, res, next);
+  req.apiKey = key;
+  next();
+}
+
+app.get("/dashboard", (req, res, next) => {
+  if (req.query.key === undefined) return requireDashboard(req, res, next);
+  keyFromQuery(req, res, () => requireAdmin(req, res, () => {
+    const token = dashboardSessions.create(req.apiKey.name);
+    const maxAge = Math.floor(dashboardSessions.ttlMs / 1000);
+    res.setHeader("set-cookie", `${DASHBOARD_COOKIE}=${token}; Path=/dashboard; Max-Age=${maxAge}; HttpOnly; SameSite=Strict${req.secure ? "; Secure" : ""}`);
+    res.setHeader("cache-control", "no-store");
+    res.setHeader("referrer-policy", "no-referrer");
+    res.redirect(303, "/dashboard");
+  }));
+}, (req, res) => {
+  res.setHeader("cache-control", "no-store");
+  res.setHeader("referrer-policy", "no-referrer");
+  res.type("html").send(DASHBOARD_HTML);
+});
+
+app.get("/dashboard/data", requireDashboard, (req, res) => {
+  res.setHeader("cache-control", "no-store");
+  res.json({
+    inflight: lanes.inflightCount,
+    queued: lanes.size,
+    draining: lanes.draining,
+    requests: inflightRequests(),
+    lanes: lanes.status(),
+    upstreams: upstreams.status(),
+    recent: recent.list()
+  });
+});
+
+// 正在生成的请求的实时输出：先发已经生成的部分（event: token），请求结束时发 event: done 并关闭
+app.get("/dashboard/tail/:requestId", requireDashboard, (req, res) => {
+  const id = req.params.requestId;
+  if (!inflight.has(id)) {
+    return sendRequestError(res, { status: 404, type: "not_found_error", message: `request ${id} is not in flight` });
+  }
+  setSSE(res);
+  res.flushHeaders();
+  const stopPings = startPings(res);
+  const unsubscribe = tail.subscribe(id, evt => {
+    sseEvent(res, evt);
+    if (evt.type === "done") res.end();
+  });
+  res.on("close", () => {
+    stopPings();
+    unsubscribe();
+  });
+});
+
+/**
+ * 鉴权：x-api-key 或 Authorization: Bearer，通过后 req.apiKey 为注册表里的 key
+ */
+function requireApiAuth(req, res, next) {
+  const key = apiKeys.authenticate(req.headers);
+  if (key) {
+    req.apiKey = key;
+    return next();
+  }
+  const failures = authFailures.take(req.ip || req.socket.remoteAddress || "unknown", AUTH_FAILURE_LIMIT);
+  if (!failures.ok) {
+    res.setHeader("retry-after", String(Math.max(1, Math.ceil(failures.retryAfterMs / 1000))));
+    return sendRequestError(res, { status: 429, type: "rate_limit_error", message: "too many failed authentication attempts" });
+  }
+  return sendRequestError(res, { status: 401, type: "authentication_error", message: "invalid x-api-key" });
+}
+
+// /admin/* 只允许 admin key
+function requireAdmin(req, res, next) {
+  requireApiAuth(req, res, () => {
+    if (!req.apiKey.admin) {
+      return sendRequestError(res, { status: 403, type: "permission_error", message: `key ${req.apiKey.name} is not an admin key` });
+    }
+    next();
+  });
+}
+
+/**
+ * 按 key 的配额放行 /v1/messages：每分钟请求数、每天 token 数、并发数；
+ * 响应带 anthropic-ratelimit-* 头，超限时返回 429 rate_limit_error 和 retry-after
+ */
+function enforceQuota(req, res, next) {
+  const grant = quotas.acquire(req.apiKey);
+  for (const [name, value] of Object.entries(grant.headers)) res.setHeader(name, value);
+  if (!grant.ok) {
+    metrics.requests.inc({ model: "", stream: String(!!req.body?.stream), outcome: "rate_limited" });
+    res.setHeader("retry-after", String(Math.max(1, Math.ceil(grant.retryAfterMs / 1000))));
+    return sendRequestError(res, { status: 429, type: "rate_limit_error", message: grant.message });
+  }
+  res.on("close", grant.release);
+  next();
+}
+
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.type = "invalid_request_error";
+  return err;
+}
+
+/**
+ * 校验 Anthropic 请求、转换消息并完成模型路由（/v1/messages 与 count_tokens 共用）
+ * @param {Object} anth - Anthropic 请求体
+ * @param {Object} headers - 请求头（参与路由规则匹配）
+ * @returns {Promise<{ payload: Object, route: string, stopSequences: Array<string>, thinking: boolean }>}
+ * @throws {Error} 请求不合法时抛出 err.status = 400 的错误
+ */
+async function prepareAnthropicRequest(anth, headers) {
+  // 输入验证
+  if (!anth.messages || !Array.isArray(anth.messages)) {
+    throw invalidRequest("messages field is required and must be an array");
+  }
+  const invalid = validateSamplingParams(anth);
+  if (invalid) throw invalidRequest(invalid);
+
+  const msgs = anthropicToOpenAI(anth);
+  const text = msgs.map(messageText).join("\n");
+  const withImages = hasImages(msgs);
+  const tools = anthropicToolsToOpenAI(anth.tools);
+  const { model, via } = await resolveRoute(text, {
+    hasImages: withImages,
+    hasTools: !!tools,
+    requestModel: anth.model,
+    headers
+  });
+
+  if (withImages && !supportsVision(model)) {
+    throw invalidRequest(`model ${model} does not accept image input; set VISION_MODEL to a vision-capable model (e.g. llava, qwen2.5vl)`);
+  }
+
+  const payload = {
+    model,
+    messages: msgs,
+    ...anthropicSamplingToOpenAI(anth)
+  };
+  if (tools) {
+    payload.tools = tools;
+    const toolChoice = anthropicToolChoiceToOpenAI(anth.tool_choice);
+    if (toolChoice) payload.tool_choice = toolChoice;
+    if (anth.tool_choice?.disable_parallel_tool_use) payload.parallel_tool_calls = false;
+  }
+  return {
+    payload,
+    route: via,
+    stopSequences: anth.stop_sequences || [],
+    // 只有客户端显式开启 extended thinking 时才返回推理内容
+    thinking: anth.thinking?.type === "enabled"
+  };
+}
+
+/**
+ * 校验 OpenAI chat/completions 请求并完成模型路由（与 /v1/messages 共用路由规则）
+ * @param {Object} body - 请求体
+ * @param {Object} headers - 请求头（参与路由规则匹配）
+ * @returns {Promise<{ payload: Object, route: string }>}
+ * @throws {Error} 请求不合法时抛出 err.status = 400 的错误
+ */
+async function prepareChatRequest(body, headers) {
+  const invalid = validateChatRequest(body);
+  if (invalid) throw invalidRequest(invalid);
+
+  const text = body.messages.map(messageText).join("\n");
+  const withImages = hasImages(body.messages);
+  const { model, via } = await resolveRoute(text, {
+    hasImages: withImages,
+    hasTools: !!body.tools?.length,
+    requestModel: body.model,
+    headers
+  });
+  if (withImages && !supportsVision(model)) {
+    throw invalidRequest(`model ${model} does not accept image input; set VISION_MODEL to a vision-capable model (e.g. llava, qwen2.5vl)`);
+  }
+  return { payload: chatRequestToPayload(body, model), route: via };
+}
+
+function sendRequestError(res, e) {
+  return res.status(e.status || 400).json({
+    type: "error",
+    error: {
+      type: e.type || "invalid_request_error",
+      message: e.message
+    }
+  });
+}
+
+// 查询请求的排队位置（request-id 响应头里的 id）：position 1 表示下一个执行，0 表示正在执行
+app.get("/v1/queue/:requestId", requireApiAuth, (req, res) => {
+  const found = lanes.position(req.params.requestId);
+  if (found === null) {
+    return sendRequestError(res, { status: 404, type: "not_found_error", message: `request ${req.params.requestId} is not queued or running` });
+  }
+  res.json({
+    request_id: req.params.requestId,
+    ...found,
+    queued: lanes.size,
+    inflight: lanes.inflightCount
+  });
+});
+
+app.post("/v1/messages/count_tokens", requireApiAuth, async (req, res) => {
+  let prepared;
+  try {
+    prepared = await prepareAnthropicRequest(req.body || {}, req.headers);
+  } catch (e) {
+    return sendRequestError(res, e);
+  }
+  const { payload } = prepared;
+  if (!req.apiKey.allowsModel(payload.model)) return sendRequestError(res, modelNotAllowed(req.apiKey, payload.model));
+  const [upstream] = upstreams.candidates(payload.model);
+  const counted = await countInputTokens(upstream, payload);
+  res.setHeader("x-token-count-source", counted.source);
+  res.setHeader("x-routed-model", payload.model);
+  logJSON({
+    level: "info",
+    event: "count_tokens",
+    request_id: req.requestId,
+    model: payload.model,
+    route: prepared.route,
+    input_tokens: counted.input_tokens,
+    source: counted.source
+  });
+  res.json({ input_tokens: counted.input_tokens });
+});
+
+// Anthropic message 与 OpenAI chat.completion 的 usage 字段名不同
+function responseUsage(response) {
+  const u = response?.usage || {};
+  return { input_tokens: u.input_tokens ?? u.prompt_tokens, output_tokens: u.output_tokens ?? u.completion_tokens };
+}
+
+// 上游成功返回后记请求数与 token 数
+function recordCompletion(labels, message) {
+  const usage = responseUsage(message);
+  metrics.requests.inc({ ...labels, outcome: "ok" });
+  metrics.inputTokens.inc({ model: labels.model }, usage.input_tokens || 0);
+  metrics.outputTokens.inc({ model: labels.model }, usage.output_tokens || 0);
+}
+
+// 输入 + 输出 token 计入 key 的每日额度（缓存命中不计）
+function chargeKey(key, message) {
+  const usage = responseUsage(message);
+  quotas.chargeTokens(key, (usage.input_tokens || 0) + (usage.output_tokens || 0));
+}
+
+/**
+ * 请求结束时输出一行 JSON 日志，开启 TRANSCRIPT_DIR 时再写一条完整的对话记录
+ * @param {Object} trace - 请求处理过程中收集的信息
+ */
+function finishRequest(trace) {
+  inflight.remove(trace.requestId);
+  tail.end(trace.requestId, { outcome: trace.outcome });
+  const { response, error } = trace;
+  const durationMs = Date.now() - trace.startedAt;
+  const usage = responseUsage(response);
+  recent.push({
+    id: trace.requestId,
+    ts: new Date(trace.startedAt).toISOString(),
+    api: trace.api,
+    key: trace.apiKey,
+    requested_model: trace.requestedModel,
+    model: trace.model,
+    stream: trace.stream,
+    batch_id: trace.batchId,
+    outcome: trace.outcome,
+    upstream: trace.upstream,
+    duration_ms: durationMs,
+    ttft_ms: trace.ttftMs,
+    queue_wait_ms: trace.queueWaitMs,
+    input_tokens: usage.input_tokens,
+    output_tokens: usage.output_tokens,
+    error: error && errorClass(error)
+  });
+  logJSON({
+    level: error ? (trace.outcome === "overloaded" ? "warn" : "error") : "info",
+    event: "request",
+    api: trace.api,
+    request_id: trace.requestId,
+    message_id: trace.messageId,
+    batch_id: trace.batchId,
+    custom_id: trace.customId,
+    key: trace.apiKey,
+    requested_model: trace.requestedModel,
+    model: trace.model,
+    route: trace.route,
+    stream: trace.stream,
+    cache: trace.cache,
+    outcome: trace.outcome,
+    cancelled_while: trace.cancelledWhile,
+    cancelled_by: trace.cancelledBy,
+    upstream: trace.upstream,
+    context: trace.context,
+    queue_wait_ms: trace.queueWaitMs,
+    ttft_ms: trace.ttftMs,
+    upstream_ms: trace.upstreamMs,
+    duration_ms: durationMs,
+    input_tokens: usage.input_tokens,
+    output_tokens: usage.output_tokens,
+    stop_reason: response?.stop_reason ?? response?.choices?.[0]?.finish_reason ?? undefined,
+    error: error && { class: errorClass(error), message: error.message }
+  });
+  if (transcripts) {
+    transcripts.write({
+      ts: new Date().toISOString(),
+      api: trace.api,
+      request_id: trace.requestId,
+      message_id: trace.messageId,
+      duration_ms: durationMs,
+      request: trace.request,
+      upstream_request: trace.upstreamRequest,
+      response: response ?? null,
+      error: error ? { message: error.message, status: error.status } : null
+    });
+  }
+}
+
+// 进入队列前就被拒绝的请求（参数不合法、key 不允许使用该模型）
+function rejectRequest(res, trace, outcome, e) {
+  metrics.requests.inc({ model: trace.model ?? "", stream: String(trace.stream), outcome });
+  finishRequest({ ...trace, outcome, error: e });
+  return sendRequestError(res, e);
+}
+
+function modelNotAllowed(key, model) {
+  return { status: 403, type: "permission_error", message: `key ${key.name} is not allowed to use model ${model}` };
+}
+
+/**
+ * 按模型上下文裁剪请求（缓存键仍按裁剪前的请求计算），裁剪时设置 x-context-trimmed 头
+ * @param {express.Response|null} res - Express 响应对象（batch 请求没有）
+ * @param {Object} trace - 请求级别的跟踪信息
+ * @param {Object} payload - OpenAI chat/completions 请求体
+ * @param {Object} queued - runQueued 的参数（摘要请求沿用 signal / priority / client）
+ * @returns {Promise<Object>} - 裁剪后的请求体
+ */
+async function fitRequestContext(res, trace, payload, queued) {
+  const fitted = await fitModelContext(payload, { signal: queued.signal, priority: queued.priority, client: queued.client });
+  trace.upstreamRequest = fitted.payload;
+  if (fitted.report) {
+    trace.context = fitted.report;
+    res?.setHeader("x-context-trimmed", formatTrimHeader(fitted.report));
+    for (const strategy of new Set(fitted.report.strategies)) metrics.contextTrims.inc({ model: payload.model, strategy });
+  }
+  return fitted.payload;
+}
+
+/**
+ * 把上游或内部错误映射为 Anthropic 错误类型
+ * @param {Error} e - 请求过程中抛出的错误
+ * @returns {{ status: number, type: string, message: string }}
+ */
+function upstreamError(e) {
+  if (e.name === "AbortError") {
+    return { status: 504, type: "timeout_error", message: `local model did not respond within ${settings.timeoutMs / 1000}s; try a smaller model, a shorter context or a larger OLLAMA_TIMEOUT_MS` };
+  }
+  // 去掉 ollama_http_ / ollama_stream_http_ 前缀
+  const message = e.message.replace(/^ollama_(stream_)?http_\d+:\s*/, "");
+  if (isModelNotFound(e)) {
+    const model = e.model || "<model>";
+    return { status: 404, type: "not_found_error", message: `${message} (run \`ollama pull ${model}\`, POST /admin/models/pull, or add it to MODEL_AUTO_PULL)` };
+  }
+  if (e.status >= 400 && e.status < 500) return { status: 400, type: "invalid_request_error", message };
+  return { status: 502, type: "api_error", message };
+}
+
+// 被管理员取消（DELETE /admin/requests/:id）的请求返回的错误：Anthropic 规范里没有“已取消”，用 api_error 加上明确的说明，
+// 响应头另外带 x-proxy-cancelled 和 x-should-retry: false（Anthropic / OpenAI SDK 据此不自动重试）
+function cancelledByAdmin(trace) {
+  return { status: 500, type: "api_error", message: `request ${trace.requestId} was cancelled by an administrator` };
+}
+
+/**
+ * 两种接口共用的失败处理：客户端已断开 → 记为取消；被管理员取消 → 记为取消并返回 api_error（不重试）；裁剪后仍超长 → 400；
+ * 排队失败或模型正在自动 pull → 529 + retry-after；其余按 upstreamError 归类。
+ * 响应由 sendError 按各自的协议写出（已经开始流式输出时写成流里的错误事件）
+ * @param {express.Response} res - Express 响应对象
+ * @param {Error} e - 请求过程中抛出的错误
+ * @param {Object} ctx - { trace, labels, clientGone, sendError }
+ */
+function handleRequestFailure(res, e, { trace, labels, clientGone, sendError }) {
+  if (clientGone.signal.aborted) {
+    const where = trace.queueWaitMs === undefined ? "queued" : "running";
+    if (trace.cancelledBy) {
+      // 管理员取消：客户端还在等，告诉它请求被取消了
+      metrics.requests.inc({ ...labels, outcome: "cancelled" });
+      Object.assign(trace, { outcome: "cancelled", cancelledWhile: where });
+      if (!res.headersSent) {
+        res.setHeader("x-proxy-cancelled", "admin");
+        res.setHeader("x-should-retry", "false");
+      }
+      return sendError(cancelledByAdmin(trace));
+    }
+    // 客户端已经走了，不需要再写响应
+    cancellations[where]++;
+    metrics.requests.inc({ ...labels, outcome: "cancelled" });
+    Object.assign(trace, { outcome: "cancelled", cancelledWhile: where });
+    return;
+  }
+  if (e.type === "invalid_request_error") {
+    // 裁剪后仍超出上下文：和 Anthropic 一样返回 400 "prompt is too long"，客户端可以自行压缩对话
+    metrics.requests.inc({ ...labels, outcome: "invalid_request" });
+    Object.assign(trace, { outcome: "invalid_request", error: e, context: e.context });
+    return sendError(e);
+  }
+  metrics.errors.inc({ model: labels.model, class: errorClass(e) });
+  if (e instanceof QueueError || e.code === "model_pulling") {
+    metrics.requests.inc({ ...labels, outcome: "overloaded" });
+    Object.assign(trace, { outcome: "overloaded", error: e });
+    if (!res.headersSent) res.setHeader("retry-after", String(Math.max(1, Math.ceil(e.retryAfterMs / 1000))));
+    return sendError({ status: 529, type: "overloaded_error", message: e.message });
+  }
+  metrics.requests.inc({ ...labels, outcome: "error" });
+  Object.assign(trace, { outcome: "error", error: e });
+  return sendError(upstreamError(e));
+}
+
+/**
+ * 写 Anthropic 错误：还没开始响应时返回错误信封和对应状态码，流式输出中途则发 event: error 后结束
+ * @param {express.Response} res - Express 响应对象
+ * @param {{ status: number, type: string, message: string }} e - 错误
+ */
+function sendAnthropicError(res, e) {
+  if (!res.headersSent) return sendRequestError(res, e);
+  sseEvent(res, { type: "error", error: { type: e.type, message: e.message } });
+  res.end();
+}
+
+app.post("/v1/messages", requireApiAuth, enforceQuota, async (req, res) => {
+  const anth = req.body || {};
+  const wantStream = !!anth.stream;
+  const trace = {
+    requestId: req.requestId,
+    messageId: newId("msg"),
+    startedAt: Date.now(),
+    api: "anthropic",
+    requestedModel: anth.model,
+    apiKey: req.apiKey.name,
+    stream: wantStream,
+    request: anth
+  };
+  let prepared;
+  try {
+    prepared = await prepareAnthropicRequest(anth, req.headers);
+  } catch (e) {
+    return rejectRequest(res, trace, "invalid_request", e);
+  }
+
+  const labels = { model: prepared.payload.model, stream: String(wantStream) };
+  Object.assign(trace, { model: prepared.payload.model, route: prepared.route, upstreamRequest: prepared.payload });
+  if (!req.apiKey.allowsModel(prepared.payload.model)) {
+    return rejectRequest(res, trace, "forbidden", modelNotAllowed(req.apiKey, prepared.payload.model));
+  }
+  res.setHeader("x-routed-model", prepared.payload.model);
+
+  // 客户端断开（Esc、重试）时：还在排队的直接出队，正在生成的中止上游请求，立刻释放并发名额
+  const clientGone = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) clientGone.abort();
+  });
+  inflight.add(trace, clientGone);
+
+  try {
+    const { stopSequences, thinking } = prepared;
+    let { payload } = prepared;
+
+    // 缓存键只看路由后的请求内容，与 stream 无关：JSON 和 SSE 共用同一份缓存
+    const key = responseCacheKey("anthropic", payload, { stopSequences, thinking }, trace, req.headers);
+    const cached = key && await cache.get(key);
+    if (key) trace.cache = cached ? "hit" : "miss";
+
+    if (cached) {
+      metrics.requests.inc({ ...labels, outcome: "cache_hit" });
+      trace.outcome = "cache_hit";
+      const message = trace.response = { ...cached, id: trace.messageId, model: anth.model || "sonnet-4.5" };
+      if (!wantStream) return res.json(message);
+      setSSE(res);
+      for (const evt of messageToEvents(message)) sseEvent(res, evt);
+      return res.end();
+    }
+
+    const meta = { id: trace.messageId, model: anth.model || "sonnet-4.5", stopSequences, thinking, trace, signal: clientGone.signal };
+    const queued = {
+      model: payload.model,
+      trace,
+      signal: clientGone.signal,
+      priority: queuePriority(req, wantStream),
+      client: anth.metadata?.user_id || req.ip
+    };
+    payload = await fitRequestContext(res, trace, payload, queued);
+
+    if (wantStream) {
+      // 流式时：排队之前就开始 SSE（排不上队时以 event: error 报告），拿到名额后开始推理并持续写回
+      const stopPings = startAnthropicStream(res, meta.id, meta.model);
+      try {
+        const message = trace.response = await runQueued(grant => streamOllamaToAnthropic(res, payload, { ...meta, upstream: grant.upstream, stopPings }), queued);
+        trace.outcome = "ok";
+        recordCompletion(labels, message);
+        chargeKey(req.apiKey, message);
+        if (key) await storeInCache(key, message);
+      } finally {
+        stopPings();
+      }
+      return;
+    }
+
+    // 非流式：正常 JSON 返回
+    const message = trace.response = await runQueued(grant => createMessage(payload, { ...meta, upstream: grant.upstream }), queued);
+    trace.outcome = "ok";
+    recordCompletion(labels, message);
+    chargeKey(req.apiKey, message);
+    if (key) await storeInCache(key, message);
+    res.json(message);
+  } catch (e) {
+    handleRequestFailure(res, e, { trace, labels, clientGone, sendError: err => sendAnthropicError(res, err) });
+  } finally {
+    finishRequest(trace);
+  }
+});
+
+// OpenAI 兼容入口：Continue、aider 等客户端也走同一套鉴权、路由、排队、缓存和指标
+app.post("/v1/chat/completions", requireApiAuth, enforceQuota, async (req, res) => {
+  const body = req.body || {};
+  const wantStream = body.stream === true;
+  const trace = {
+    requestId: req.requestId,
+    messageId: newId("chatcmpl"),
+    startedAt: Date.now(),
+    api: "openai",
+    requestedModel: body.model,
+    apiKey: req.apiKey.name,
+    stream: wantStream,
+    request: body
+  };
+  let prepared;
+  try {
+    prepared = await prepareChatRequest(body, req.headers);
+  } catch (e) {
+    return rejectRequest(res, trace, "invalid_request", e);
+  }
+
+  const labels = { model: prepared.payload.model, stream: String(wantStream) };
+  Object.assign(trace, { model: prepared.payload.model, route: prepared.route, upstreamRequest: prepared.payload });
+  if (!req.apiKey.allowsModel(prepared.payload.model)) {
+    return rejectRequest(res, trace, "forbidden", modelNotAllowed(req.apiKey, prepared.payload.model));
+  }
+  res.setHeader("x-routed-model", prepared.payload.model);
+
+  const clientGone = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) clientGone.abort();
+  });
+  inflight.add(trace, clientGone);
+
+  const meta = {
+    id: trace.messageId,
+    // 回显客户端请求的 model，实际使用的模型见 x-routed-model
+    model: body.model || prepared.payload.model,
+    created: Math.floor(trace.startedAt / 1000),
+    includeUsage: !!body.stream_options?.include_usage,
+    trace,
+    signal: clientGone.signal
+  };
+  try {
+    let { payload } = prepared;
+    const key = responseCacheKey("openai", payload, {}, trace, req.headers);
+    const cached = key && await cache.get(key);
+    if (key) trace.cache = cached ? "hit" : "miss";
+
+    if (cached) {
+      metrics.requests.inc({ ...labels, outcome: "cache_hit" });
+      trace.outcome = "cache_hit";
+      const completion = trace.response = { ...cached, id: meta.id, created: meta.created, model: meta.model };
+      if (!wantStream) return res.json(completion);
+      setSSE(res);
+      for (const chunk of completionToChunks(completion, meta)) sseSend(res, chunk);
+      return res.end("data: [DONE]\n\n");
+    }
+
+    const queued = {
+      model: payload.model,
+      trace,
+      signal: clientGone.signal,
+      priority: queuePriority(req, wantStream),
+      client: body.user || req.ip
+    };
+    payload = await fitRequestContext(res, trace, payload, queued);
+
+    const completion = trace.response = await runQueued(grant => (wantStream
+      ? streamChatCompletion(res, payload, { ...meta, upstream: grant.upstream })
+      : createChatCompletion(payload, { ...meta, upstream: grant.upstream })), queued);
+    trace.outcome = "ok";
+    recordCompletion(labels, completion);
+    chargeKey(req.apiKey, completion);
+    if (key) await storeInCache(key, completion);
+    if (!wantStream) res.json(completion);
+  } catch (e) {
+    handleRequestFailure(res, e, {
+      trace,
+      labels,
+      clientGone,
+      sendError: err => {
+        if (!res.headersSent) return sendRequestError(res, err);
+        // 已经开始流式输出：按 OpenAI 的做法在流里发一个 error 事件再结束
+        sseSend(res, { error: { type: err.type, message: err.message } });
+        res.end();
+      }
+    });
+  } finally {
+    finishRequest(trace);
+  }
+});
+
+/**
+ * 执行 batch 里的一条请求：和 /v1/messages 的非流式请求一样转换、路由、裁剪和缓存，以 background 优先级排队
+ * @param {Object} anth - Anthropic 请求体（batch 的 params）
+ * @param {Object} ctx - { batchId, customId, key（创建者的 key 名）, signal（取消 batch 时 abort） }
+ * @returns {Promise<Object>} - Anthropic message
+ */
+async function runBatchRequest(anth, { batchId, customId, key: keyName, signal: batchSignal }) {
+  const trace = {
+    requestId: newId("req"),
+    messageId: newId("msg"),
+    startedAt: Date.now(),
+    api: "anthropic",
+    batchId,
+    customId,
+    requestedModel: anth.model,
+    apiKey: keyName,
+    stream: false,
+    request: anth
+  };
+  // 取消 batch 或者管理员单独取消这一条都会中止请求
+  const cancel = new AbortController();
+  const signal = AbortSignal.any([batchSignal, cancel.signal]);
+  inflight.add(trace, cancel);
+  let labels = { model: "", stream: "false" };
+  try {
+    const key = apiKeys.byName(keyName);
+    if (!key) throw Object.assign(new Error(`key ${keyName} no longer exists`), { status: 401, type: "authentication_error" });
+    const prepared = await prepareAnthropicRequest(anth, {});
+    const { stopSequences, thinking } = prepared;
+    labels = { model: prepared.payload.model, stream: "false" };
+    Object.assign(trace, { model: prepared.payload.model, route: prepared.route, upstreamRequest: prepared.payload });
+    if (!key.allowsModel(prepared.payload.model)) {
+      const denied = modelNotAllowed(key, prepared.payload.model);
+      throw Object.assign(new Error(denied.message), denied);
+    }
+
+    const cacheId = responseCacheKey("anthropic", prepared.payload, { stopSequences, thinking }, trace);
+    const cached = cacheId && await cache.get(cacheId);
+    if (cacheId) trace.cache = cached ? "hit" : "miss";
+    if (cached) {
+      metrics.requests.inc({ ...labels, outcome: "cache_hit" });
+      trace.outcome = "cache_hit";
+      return (trace.response = { ...cached, id: trace.messageId, model: anth.model || "sonnet-4.5" });
+    }
+
+    const queued = { model: prepared.payload.model, trace, signal, priority: "background", client: `batch:${batchId}` };
+    const payload = await fitRequestContext(null, trace, prepared.payload, queued);
+    const meta = { id: trace.messageId, model: anth.model || "sonnet-4.5", stopSequences, thinking, trace, signal };
+    const message = trace.response = await runQueued(grant => createMessage(payload, { ...meta, upstream: grant.upstream }), queued);
+    trace.outcome = "ok";
+    recordCompletion(labels, message);
+    chargeKey(key, message);
+    if (cacheId) await storeInCache(cacheId, message);
+    return message;
+  } catch (e) {
+    let outcome = "error";
+    if (signal.aborted) outcome = "cancelled";
+    else if (e instanceof QueueError) outcome = "overloaded";
+    else if (e.type === "invalid_request_error") outcome = "invalid_request";
+    else if (e.type === "permission_error" || e.type === "authentication_error") outcome = "forbidden";
+    metrics.requests.inc({ ...labels, outcome });
+    if (outcome === "error" || outcome === "overloaded") metrics.errors.inc({ model: labels.model, class: errorClass(e) });
+    Object.assign(trace, { outcome, error: e, context: trace.context ?? e.context });
+    if (trace.cancelledBy) {
+      const cancelled = cancelledByAdmin(trace);
+      throw Object.assign(new Error(cancelled.message), cancelled);
+    }
+    throw e;
+  } finally {
+    finishRequest(trace);
+  }
+}
+
+// 没有开启 BATCH_DIR 时 batch 接口一律 404；开启时只能访问自己 key 创建的 batch（admin key 可以访问全部）
+function requireBatches(req, res, next) {
+  if (!batches) {
+    return sendRequestError(res, { status: 404, type: "not_found_error", message: "message batches are disabled; set BATCH_DIR to enable them" });
+  }
+  if (req.params.batchId) {
+    const state = batches.get(req.params.batchId);
+    if (!state || (state.key !== req.apiKey.name && !req.apiKey.admin)) {
+      return sendRequestError(res, { status: 404, type: "not_found_error", message: `batch ${req.params.batchId} not found` });
+    }
+    req.batch = state;
+  }
+  next();
+}
+
+// results_url 用客户端访问代理时的地址，SDK 会直接请求它
+function externalBaseUrl(req) {
+  return `${req.protocol}://${req.get("host")}`;
+}
+
+app.post("/v1/messages/batches", requireApiAuth, requireBatches, enforceQuota, async (req, res) => {
+  const invalid = validateBatchRequest(req.body, BATCH_MAX_REQUESTS);
+  if (invalid) return sendRequestError(res, invalidRequest(invalid));
+  const state = await batches.create(req.body.requests, req.apiKey.name);
+  logJSON({ level: "info", event: "batch", action: "created", request_id: req.requestId, batch_id: state.id, key: req.apiKey.name, requests: req.body.requests.length });
+  res.json(batchObject(state, externalBaseUrl(req)));
+});
+
+app.get("/v1/messages/batches", requireApiAuth, requireBatches, (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return sendRequestError(res, invalidRequest("limit: must be an integer between 1 and 1000"));
+  }
+  const { data, hasMore } = batches.list({
+    limit,
+    beforeId: req.query.before_id,
+    afterId: req.query.after_id,
+    key: req.apiKey.admin ? undefined : req.apiKey.name
+  });
+  res.json({
+    data: data.map(state => batchObject(state, externalBaseUrl(req))),
+    has_more: hasMore,
+    first_id: data[0]?.id ?? null,
+    last_id: data.at(-1)?.id ?? null
+  });
+});
+
+app.get("/v1/messages/batches/:batchId", requireApiAuth, requireBatches, (req, res) => {
+  res.json(batchObject(req.batch, externalBaseUrl(req)));
+});
+
+app.post("/v1/messages/batches/:batchId/cancel", requireApiAuth, requireBatches, async (req, res) => {
+  const state = await batches.cancel(req.batch.id);
+  logJSON({ level: "info", event: "batch", action: "cancel", request_id: req.requestId, batch_id: state.id, key: req.apiKey.name });
+  res.json(batchObject(state, externalBaseUrl(req)));
+});
+
+app.get("/v1/messages/batches/:batchId/results", requireApiAuth, requireBatches, async (req, res) => {
+  let file;
+  try {
+    file = await batches.resultsFile(req.batch.id);
+  } catch (e) {
+    return sendRequestError(res, e);
+  }
+  // 结果文件可能在检查状态之后被删掉或读不了：还没开始写响应时返回错误，否则直接断开
+  const stream = fs.createReadStream(file);
+  stream.on("error", e => {
+    logJSON({ level: "error", event: "batch", action: "results", request_id: req.requestId, batch_id: req.batch.id, error: e.message });
+    if (res.headersSent) return res.destroy(e);
+    if (e.code === "ENOENT") {
+      return sendRequestError(res, { status: 404, type: "not_found_error", message: `results for batch ${req.batch.id} are no longer available` });
+    }
+    sendRequestError(res, { status: 500, type: "api_error", message: `could not read results for batch ${req.batch.id}` });
+  });
+  stream.once("open", () => {
+    res.setHeader("content-type", "application/x-jsonl");
+    stream.pipe(res);
+  });
+  res.on("close", () => stream.destroy());
+});
+
+app.delete("/v1/messages/batches/:batchId", requireApiAuth, requireBatches, async (req, res) => {
+  try {
+    await batches.remove(req.batch.id);
+  } catch (e) {
+    return sendRequestError(res, e);
+  }
+  res.json({ id: req.batch.id, type: "message_batch_deleted" });
+});
+
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isMain) {
+  upstreams.start();
+  models.preloadAll();
+  batches?.resume();
+  if (ROUTING_CONFIG) {
+    watchRoutingConfig(
+      ROUTING_CONFIG,
+      compiled => {
+        routing = compiled;
+        console.log("ROUTING reloaded:", ROUTING_CONFIG, "|", compiled.rules.length, "rules");
+      },
+      e => console.error("ROUTING reload failed, keeping previous rules:", e.message)
+    );
+  }
+  app.listen(8787, "127.0.0.1", () => {
+    console.log("✅ Claude-local proxy (streaming) listening on http://127.0.0.1:8787");
+    console.log("   timeout:", settings.timeoutMs, "ms | max_inflight per model:", settings.maxInflight);
+  });
+}
+
+export {
+  app,
+  anthropicToOpenAI,
+  anthropicToolsToOpenAI,
+  anthropicToolChoiceToOpenAI,
+  openAIToAnthropicContent,
+  openAIToAnthropicMessage,
+  mapFinishReason,
+  createStopMatcher,
+  createThinkTagSplitter,
+  createStreamTranslator,
+  createMessageCollector,
+  messageToEvents,
+  validateSamplingParams,
+  anthropicSamplingToOpenAI,
+  pickModel,
+  resolveModel,
+  supportsVision
+};
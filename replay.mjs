@@ -0,0 +1,64 @@
+// 用其他本地模型重放记录下来的请求（TRANSCRIPT_DIR），输出 JSON + Markdown 对比报告
+//
+//   node replay.mjs --transcripts ./transcripts/transcript.jsonl --model qwen3:0.6b --model llama3.2 --out ./replay-report
+//
+// 不指定 --proxy 时在进程内启动一个 proxy（使用与 proxy.mjs 相同的环境变量：OLLAMA_BASE_URL、UPSTREAMS_FILE 等）
+import fs from "node:fs";
+import { once } from "node:events";
+import { parseArgs } from "node:util";
+import { readTranscripts, replayTranscripts, renderMarkdown } from "./src/replay/replay.js";
+
+const USAGE = "usage: node replay.mjs --transcripts <file.jsonl> --model <name> [--model <name> …] [--proxy <url>] [--bearer <token>] [--limit <n>] [--out <prefix>]";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      transcripts: { type: "string" },
+      model: { type: "string", multiple: true },
+      proxy: { type: "string" },
+      bearer: { type: "string" },
+      limit: { type: "string" },
+      out: { type: "string", default: "replay-report" }
+    }
+  });
+  if (!values.transcripts || !values.model?.length) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  let records = readTranscripts(values.transcripts);
+  if (values.limit) records = records.slice(0, Number(values.limit));
+  const bearer = values.bearer || process.env.PROXY_BEARER || "local";
+
+  let server = null;
+  let baseUrl = values.proxy;
+  if (!baseUrl) {
+    // 重放请求不应该命中缓存，也不应该再写进对话记录
+    delete process.env.RESPONSE_CACHE_DIR;
+    delete process.env.TRANSCRIPT_DIR;
+    const { app } = await import("./proxy.mjs");
+    server = app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  try {
+    const report = await replayTranscripts(records, {
+      baseUrl,
+      bearer,
+      models: values.model,
+      onProgress: (done, total) => process.stderr.write(`\rreplayed ${done}/${total}`)
+    });
+    process.stderr.write("\n");
+    fs.writeFileSync(`${values.out}.json`, JSON.stringify(report, null, 2));
+    fs.writeFileSync(`${values.out}.md`, renderMarkdown(report));
+    console.log(`wrote ${values.out}.json and ${values.out}.md`);
+  } finally {
+    server?.close();
+  }
+}
+
+main().catch(e => {
+  console.error("replay failed:", e.message);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+/**
+ * 正在处理的请求（从通过校验到写完响应），管理员可以列出和取消
+ * 取消时 abort 请求自己的 AbortController：排队中的直接出队，运行中的中止上游请求
+ */
+class InflightRequests {
+  constructor() {
+    this.requests = new Map();
+  }
+
+  /**
+   * 登记请求
+   * @param {Object} trace - 请求级别的跟踪信息（以 trace.requestId 为 id）
+   * @param {AbortController} controller - 取消时 abort
+   */
+  add(trace, controller) {
+    this.requests.set(trace.requestId, { trace, controller });
+  }
+
+  /**
+   * 注销请求（请求结束时调用，id 不存在时什么也不做）
+   * @param {string} id - 请求 id
+   */
+  remove(id) {
+    this.requests.delete(id);
+  }
+
+  /**
+   * @param {string} id - 请求 id
+   * @returns {boolean} - 请求是否还在处理
+   */
+  has(id) {
+    return this.requests.has(id);
+  }
+
+  /**
+   * 所有请求，最早开始的在前
+   * @returns {Array<Object>} - trace 列表
+   */
+  list() {
+    return [...this.requests.values()].map(r => r.trace).sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * 取消请求，trace.cancelledBy 记录是谁取消的
+   * @param {string} id - 请求 id
+   * @param {string} by - 取消者（日志用）
+   * @returns {Object|null} - 被取消请求的 trace，不存在或已经取消时为 null
+   */
+  cancel(id, by) {
+    const entry = this.requests.get(id);
+    if (!entry || entry.controller.signal.aborted) return null;
+    entry.trace.cancelledBy = by;
+    entry.controller.abort();
+    return entry.trace;
+  }
+
+  get size() {
+    return this.requests.size;
+  }
+}
+
+export { InflightRequests };
@@ -0,0 +1,123 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+
+// 顶层数值设置 → 最小值（maxHeavyInflight / queueMaxLength / queueMaxWaitMs 为 0 表示关闭或不限）
+const NUMBERS = {
+  maxInflight: 1,
+  maxHeavyInflight: 0,
+  queueMaxLength: 0,
+  queueMaxWaitMs: 0,
+  timeoutMs: 1,
+  authFailuresPerMinute: 1
+};
+// 可以按名字修改的上游 / key 字段 → 是否可以设为 null（去掉限制）
+const UPSTREAM_FIELDS = { timeoutMs: false, maxInflight: true };
+const KEY_FIELDS = { requestsPerMinute: true, tokensPerDay: true, maxConcurrency: true };
+
+const isObject = v => typeof v === "object" && v !== null && !Array.isArray(v);
+
+function validateNamed(section, value, names, fields) {
+  if (!isObject(value)) return `${section}: must be an object of name → settings`;
+  for (const [name, changes] of Object.entries(value)) {
+    if (!names.includes(name)) return `${section}.${name}: unknown ${section === "upstreams" ? "upstream" : "key"}`;
+    if (!isObject(changes)) return `${section}.${name}: must be an object`;
+    for (const [field, v] of Object.entries(changes)) {
+      const where = `${section}.${name}.${field}`;
+      if (!(field in fields)) return `${where}: cannot be changed at runtime`;
+      if (v === null && fields[field]) continue;
+      if (!Number.isInteger(v) || v < 1) return `${where}: must be a positive integer${fields[field] ? " or null" : ""}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 校验 PATCH /admin/config 的请求体（也用于 RUNTIME_CONFIG_FILE）
+ * @param {Object} patch - 要修改的设置，省略的字段不变；modelConcurrency / upstreams / keys 里的 null 表示去掉该项
+ * @param {{ upstreams: Array<string>, keys: Array<string> }} known - 已配置的上游与 key 名
+ * @returns {string|null} - 错误信息，合法时为 null
+ */
+function validateSettingsPatch(patch, known) {
+  if (!isObject(patch)) return "body: must be an object";
+  for (const [field, value] of Object.entries(patch)) {
+    if (field in NUMBERS) {
+      if (!Number.isInteger(value) || value < NUMBERS[field]) return `${field}: must be an integer >= ${NUMBERS[field]}`;
+    } else if (field === "modelConcurrency") {
+      if (!isObject(value)) return "modelConcurrency: must be an object of model → limit";
+      for (const [model, limit] of Object.entries(value)) {
+        if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+          return `modelConcurrency.${model}: must be a positive integer or null`;
+        }
+      }
+    } else if (field === "upstreams") {
+      const invalid = validateNamed(field, value, known.upstreams, UPSTREAM_FIELDS);
+      if (invalid) return invalid;
+    } else if (field === "keys") {
+      const invalid = validateNamed(field, value, known.keys, KEY_FIELDS);
+      if (invalid) return invalid;
+    } else {
+      return `${field}: unknown setting`;
+    }
+  }
+  return null;
+}
+
+// 浅合并，值为 null 的项删除
+function mergeEntries(current, changes) {
+  const merged = { ...current, ...changes };
+  for (const [k, v] of Object.entries(merged)) {
+    if (v === null) delete merged[k];
+  }
+  return merged;
+}
+
+/**
+ * 把（已校验的）修改合并进当前设置，返回新的设置对象，不修改 current
+ * 顶层 timeoutMs 同时作用于所有上游，同一次修改里 upstreams.<name>.timeoutMs 优先
+ * @param {Object} current - 当前设置
+ * @param {Object} patch - validateSettingsPatch 通过的修改
+ * @returns {Object}
+ */
+function mergeSettings(current, patch) {
+  const next = structuredClone(current);
+  for (const field of Object.keys(NUMBERS)) {
+    if (patch[field] !== undefined) next[field] = patch[field];
+  }
+  if (patch.modelConcurrency) next.modelConcurrency = mergeEntries(next.modelConcurrency, patch.modelConcurrency);
+  if (patch.timeoutMs !== undefined) {
+    for (const u of Object.values(next.upstreams)) u.timeoutMs = patch.timeoutMs;
+  }
+  for (const section of ["upstreams", "keys"]) {
+    for (const [name, changes] of Object.entries(patch[section] || {})) {
+      next[section][name] = mergeEntries(next[section][name], changes);
+    }
+  }
+  return next;
+}
+
+/**
+ * 读取 RUNTIME_CONFIG_FILE（不存在时返回 null）
+ * @param {string} file - 文件路径
+ * @returns {Object|null}
+ */
+function loadSettingsFile(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`RUNTIME_CONFIG_FILE ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * 保存设置（先写临时文件再 rename，避免留下写了一半的文件）
+ * @param {string} file - 文件路径
+ * @param {Object} settings - 完整的当前设置
+ */
+async function saveSettingsFile(file, settings) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fsp.writeFile(tmp, `${JSON.stringify(settings, null, 2)}\n`);
+  await fsp.rename(tmp, file);
+}
+
+export { validateSettingsPatch, mergeSettings, loadSettingsFile, saveSettingsFile };
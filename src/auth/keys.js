@@ -0,0 +1,133 @@
+import fs from "node:fs";
+import { createHash, timingSafeEqual } from "node:crypto";
+import { globToRegExp } from "../routing/rules.js";
+
+function sha256(text) {
+  return createHash("sha256").update(text).digest();
+}
+
+/**
+ * 校验单个 key 配置
+ * @param {Object} raw - { name, key | keySha256, models?, requestsPerMinute?, tokensPerDay?, maxConcurrency?, admin? }
+ * @param {number} i - 下标（用于报错）
+ * @returns {Object} - 规范化后的 key（digest 为 sha256，不保留明文）
+ */
+function normalizeKey(raw, i) {
+  const where = `keys[${i}]`;
+  if (typeof raw !== "object" || raw === null) throw new Error(`${where} must be an object`);
+  if (typeof raw.name !== "string" || !raw.name) throw new Error(`${where}.name is required`);
+  let digest;
+  if (typeof raw.key === "string" && raw.key) {
+    digest = sha256(raw.key);
+  } else if (typeof raw.keySha256 === "string" && /^[0-9a-f]{64}$/i.test(raw.keySha256)) {
+    digest = Buffer.from(raw.keySha256, "hex");
+  } else {
+    throw new Error(`${where} needs key or keySha256 (64 hex chars)`);
+  }
+  if (raw.models !== undefined && (!Array.isArray(raw.models) || raw.models.some(m => typeof m !== "string"))) {
+    throw new Error(`${where}.models must be an array of strings`);
+  }
+  for (const field of ["requestsPerMinute", "tokensPerDay", "maxConcurrency"]) {
+    if (raw[field] !== undefined && (!Number.isInteger(raw[field]) || raw[field] < 1)) {
+      throw new Error(`${where}.${field} must be a positive integer`);
+    }
+  }
+  const models = raw.models?.map(globToRegExp);
+  return {
+    name: raw.name,
+    digest,
+    models: raw.models,
+    allowsModel: model => !models || models.some(re => re.test(model)),
+    requestsPerMinute: raw.requestsPerMinute,
+    tokensPerDay: raw.tokensPerDay,
+    maxConcurrency: raw.maxConcurrency,
+    admin: raw.admin === true
+  };
+}
+
+/**
+ * 读取 key 列表：API_KEYS_FILE（JSON 文件）> API_KEYS_JSON（内联 JSON）> PROXY_BEARER 一个管理员 key（不限额）
+ * @param {Object} env - process.env
+ * @returns {Array<Object>}
+ */
+function loadApiKeys(env) {
+  let raw;
+  if (env.API_KEYS_FILE) {
+    try {
+      raw = JSON.parse(fs.readFileSync(env.API_KEYS_FILE, "utf8"));
+    } catch (e) {
+      throw new Error(`API_KEYS_FILE ${env.API_KEYS_FILE}: ${e.message}`);
+    }
+  } else if (env.API_KEYS_JSON) {
+    try {
+      raw = JSON.parse(env.API_KEYS_JSON);
+    } catch (e) {
+      throw new Error(`API_KEYS_JSON invalid JSON: ${e.message}`);
+    }
+  } else {
+    raw = [{ name: "default", key: env.PROXY_BEARER || "local", admin: true }];
+  }
+  if (!Array.isArray(raw) || raw.length === 0) throw new Error("keys must be a non-empty array");
+  const keys = raw.map(normalizeKey);
+  const seen = new Set();
+  for (const k of keys) {
+    if (seen.has(k.name)) throw new Error(`duplicate key name: ${k.name}`);
+    seen.add(k.name);
+  }
+  return keys;
+}
+
+/**
+ * 从请求头取出客户端提供的 key：x-api-key 或 Authorization: Bearer
+ * @param {Object} headers - 请求头（小写键）
+ * @returns {string|null}
+ */
+function credentialFromHeaders(headers) {
+  if (typeof headers["x-api-key"] === "string" && headers["x-api-key"]) return headers["x-api-key"];
+  const m = /^Bearer\s+(.+)$/i.exec(headers.authorization || "");
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * API key 注册表：只保存 sha256，比较用 timingSafeEqual，并且总是比较完所有 key
+ */
+class KeyRegistry {
+  constructor(keys) {
+    this.keys = keys;
+  }
+
+  /**
+   * 查找 key
+   * @param {string|null} presented - 客户端提供的 key
+   * @returns {Object|null}
+   */
+  lookup(presented) {
+    if (!presented) return null;
+    const digest = sha256(presented);
+    let found = null;
+    for (const k of this.keys) {
+      if (timingSafeEqual(digest, k.digest) && !found) found = k;
+    }
+    return found;
+  }
+
+  /**
+   * 按名字查找 key（后台任务只保存 key 名，执行时再取最新的配置）
+   * @param {string} name - key 名
+   * @returns {Object|null}
+   */
+  byName(name) {
+    return this.keys.find(k => k.name === name) ?? null;
+  }
+
+  /**
+   * 按请求头认证
+   * @param {Object} headers - 请求头（小写键）
+   * @returns {Object|null}
+   */
+  authenticate(headers) {
+    return this.lookup(credentialFromHeaders(headers));
+  }
+}
+
+export { KeyRegistry, loadApiKeys, credentialFromHeaders, normalizeKey };
@@ -0,0 +1,189 @@
+/**
+ * 一组按 id 区分的令牌桶：容量 capacity，periodMs 内匀速补满
+ * 补满的桶和新建的桶没有区别，定期清掉，Map 的大小只取决于最近活跃的 id 数
+ */
+class TokenBuckets {
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.sweepIntervalMs = options.sweepIntervalMs ?? 60000;
+    this.buckets = new Map();
+    this.lastSweep = this.now();
+  }
+
+  get size() {
+    return this.buckets.size;
+  }
+
+  _refilled(id, limit, now) {
+    const rate = limit.capacity / limit.periodMs;
+    const b = this.buckets.get(id);
+    if (!b) return limit.capacity;
+    return Math.min(limit.capacity, b.tokens + (now - b.updatedAt) * rate);
+  }
+
+  _state(tokens, limit, n) {
+    const rate = limit.capacity / limit.periodMs;
+    return {
+      limit: limit.capacity,
+      remaining: Math.max(0, Math.floor(tokens)),
+      // 补满所需时间（对应 anthropic-ratelimit-*-reset）
+      resetMs: Math.ceil((limit.capacity - tokens) / rate),
+      // 攒够 n 个令牌所需时间（对应 retry-after）
+      retryAfterMs: tokens >= n ? 0 : Math.ceil((n - tokens) / rate)
+    };
+  }
+
+  /**
+   * 查看桶的状态，不消耗令牌
+   * @param {string} id - 桶 id
+   * @param {{ capacity: number, periodMs: number }} limit - 容量与补满周期
+   * @param {number} [n] - 计算 retryAfterMs 时需要的令牌数
+   * @returns {{ limit: number, remaining: number, resetMs: number, retryAfterMs: number }}
+   */
+  peek(id, limit, n = 1) {
+    return this._state(this._refilled(id, limit, this.now()), limit, n);
+  }
+
+  /**
+   * 取 n 个令牌；不够时不扣减
+   * @param {string} id - 桶 id
+   * @param {{ capacity: number, periodMs: number }} limit - 容量与补满周期
+   * @param {number} [n] - 令牌数
+   * @returns {{ ok: boolean, limit: number, remaining: number, resetMs: number, retryAfterMs: number }}
+   */
+  take(id, limit, n = 1) {
+    const now = this.now();
+    this._maybeSweep(now);
+    let tokens = this._refilled(id, limit, now);
+    const ok = tokens >= n;
+    if (ok) tokens -= n;
+    this.buckets.set(id, { tokens, updatedAt: now, limit });
+    return { ok, ...this._state(tokens, limit, n) };
+  }
+
+  /**
+   * 事后记账：直接扣减（可以扣成负数，之后要等补回来才能再 take）
+   * @param {string} id - 桶 id
+   * @param {{ capacity: number, periodMs: number }} limit - 容量与补满周期
+   * @param {number} n - 令牌数
+   */
+  charge(id, limit, n) {
+    const now = this.now();
+    this._maybeSweep(now);
+    this.buckets.set(id, { tokens: this._refilled(id, limit, now) - n, updatedAt: now, limit });
+  }
+
+  _maybeSweep(now) {
+    if (now - this.lastSweep < this.sweepIntervalMs) return;
+    this.sweep(now);
+  }
+
+  /**
+   * 清掉已经补满的桶
+   * @param {number} [now] - 当前时间
+   * @returns {number} - 清掉的桶数
+   */
+  sweep(now = this.now()) {
+    this.lastSweep = now;
+    let removed = 0;
+    for (const [id, b] of this.buckets) {
+      if (this._refilled(id, b.limit, now) >= b.limit.capacity) {
+        this.buckets.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * 按 API key 执行配额：每分钟请求数、每天 token 数（令牌桶）与最大并发数
+ * token 要等响应结束才知道，事后用 chargeTokens 扣减；余额不为正时拒绝新请求
+ */
+class KeyQuotas {
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.requests = new TokenBuckets({ now: this.now });
+    this.tokens = new TokenBuckets({ now: this.now });
+    this.inflight = new Map();
+  }
+
+  _requestLimit(key) {
+    return key.requestsPerMinute ? { capacity: key.requestsPerMinute, periodMs: MINUTE_MS } : null;
+  }
+
+  _tokenLimit(key) {
+    return key.tokensPerDay ? { capacity: key.tokensPerDay, periodMs: DAY_MS } : null;
+  }
+
+  // anthropic-ratelimit-* 响应头
+  _headers(requests, tokens) {
+    const headers = {};
+    const reset = ms => new Date(this.now() + ms).toISOString();
+    if (requests) {
+      headers["anthropic-ratelimit-requests-limit"] = String(requests.limit);
+      headers["anthropic-ratelimit-requests-remaining"] = String(requests.remaining);
+      headers["anthropic-ratelimit-requests-reset"] = reset(requests.resetMs);
+    }
+    if (tokens) {
+      headers["anthropic-ratelimit-tokens-limit"] = String(tokens.limit);
+      headers["anthropic-ratelimit-tokens-remaining"] = String(tokens.remaining);
+      headers["anthropic-ratelimit-tokens-reset"] = reset(tokens.resetMs);
+    }
+    return headers;
+  }
+
+  /**
+   * 请求开始前检查配额；通过时占用一个并发名额，请求结束后必须调用 release()
+   * @param {Object} key - 注册表里的 key（name / requestsPerMinute / tokensPerDay / maxConcurrency）
+   * @returns {{ ok: true, headers: Object, release: () => void }|{ ok: false, headers: Object, retryAfterMs: number, message: string }}
+   */
+  acquire(key) {
+    const requestLimit = this._requestLimit(key);
+    const tokenLimit = this._tokenLimit(key);
+    const tokens = tokenLimit && this.tokens.peek(key.name, tokenLimit);
+    const running = this.inflight.get(key.name) || 0;
+
+    if (key.maxConcurrency && running >= key.maxConcurrency) {
+      const requests = requestLimit && this.requests.peek(key.name, requestLimit);
+      return { ok: false, headers: this._headers(requests, tokens), retryAfterMs: 1000, message: `concurrency limit of ${key.maxConcurrency} requests reached for key ${key.name}` };
+    }
+    if (tokens && tokens.remaining <= 0) {
+      const requests = requestLimit && this.requests.peek(key.name, requestLimit);
+      return { ok: false, headers: this._headers(requests, tokens), retryAfterMs: tokens.retryAfterMs, message: `daily token limit of ${key.tokensPerDay} reached for key ${key.name}` };
+    }
+    const requests = requestLimit && this.requests.take(key.name, requestLimit);
+    if (requests && !requests.ok) {
+      return { ok: false, headers: this._headers(requests, tokens), retryAfterMs: requests.retryAfterMs, message: `rate limit of ${key.requestsPerMinute} requests per minute reached for key ${key.name}` };
+    }
+
+    this.inflight.set(key.name, running + 1);
+    let released = false;
+    return {
+      ok: true,
+      headers: this._headers(requests, tokens),
+      release: () => {
+        if (released) return;
+        released = true;
+        const n = (this.inflight.get(key.name) || 1) - 1;
+        if (n > 0) this.inflight.set(key.name, n);
+        else this.inflight.delete(key.name);
+      }
+    };
+  }
+
+  /**
+   * 记录 key 消耗的 token（输入 + 输出）
+   * @param {Object} key - 注册表里的 key
+   * @param {number} n - token 数
+   */
+  chargeTokens(key, n) {
+    const limit = this._tokenLimit(key);
+    if (limit && n > 0) this.tokens.charge(key.name, limit, n);
+  }
+}
+
+export { TokenBuckets, KeyQuotas };
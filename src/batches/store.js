@@ -0,0 +1,362 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { randomBytes } from "node:crypto";
+import { setTimeout as sleep } from "node:timers/promises";
+
+const CUSTOM_ID = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * 校验 POST /v1/messages/batches 的请求体；单条请求的 params 到执行时再按 /v1/messages 的规则校验
+ * @param {Object} body - 请求体 { requests: [{ custom_id, params }] }
+ * @param {number} maxRequests - 每个 batch 最多的请求数
+ * @returns {string|null} - 错误信息；合法时返回 null
+ */
+function validateBatchRequest(body, maxRequests) {
+  const requests = body?.requests;
+  if (!Array.isArray(requests) || !requests.length) return "requests: must be a non-empty array";
+  if (requests.length > maxRequests) return `requests: a batch may contain at most ${maxRequests} requests`;
+  const seen = new Set();
+  for (const [i, r] of requests.entries()) {
+    if (typeof r !== "object" || r === null) return `requests[${i}]: must be an object`;
+    if (typeof r.custom_id !== "string" || !CUSTOM_ID.test(r.custom_id)) {
+      return `requests[${i}].custom_id: must be 1-64 characters of letters, digits, _ or -`;
+    }
+    if (seen.has(r.custom_id)) return `requests[${i}].custom_id: duplicate custom_id ${r.custom_id}`;
+    seen.add(r.custom_id);
+    if (typeof r.params !== "object" || r.params === null) return `requests[${i}].params: must be an object`;
+    if (!Array.isArray(r.params.messages)) return `requests[${i}].params.messages: must be an array`;
+    if (r.params.stream) return `requests[${i}].params.stream: streaming is not supported in batches`;
+  }
+  return null;
+}
+
+function emptyCounts() {
+  return { processing: 0, succeeded: 0, errored: 0, canceled: 0, expired: 0 };
+}
+
+function readJSONL(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      // 进程在写最后一行时退出：丢掉这一行，对应的请求重新执行
+      return [];
+    }
+  });
+}
+
+/**
+ * Message Batches：批量请求在后台逐条执行，状态与结果保存在磁盘上，重启后继续处理未完成的请求
+ * 每个 batch 三个文件：<id>.json（状态）、<id>.requests.jsonl（请求）、<id>.results.jsonl（按完成顺序追加的结果）
+ */
+class BatchStore {
+  /**
+   * @param {string} dir - 保存目录
+   * @param {Object} options
+   * @param {(params: Object, ctx: { batchId: string, customId: string, key: string, signal: AbortSignal }) => Promise<Object>} options.handler
+   *   - 执行单条请求，返回 Anthropic message
+   * @param {(e: Error) => boolean} [options.isRetryable] - 这类失败不记为 errored，等 retryAfterMs 后重试（如排队已满）
+   * @param {(e: Error) => { type: string, message: string }} [options.toError] - 把失败转成结果里的错误
+   * @param {number} [options.concurrency] - 同时执行的请求数（所有 batch 合计）
+   * @param {number} [options.expiryMs] - 创建后多久还没执行的请求记为 expired
+   * @param {number} [options.retryDelayMs] - 可重试的失败没有给出 retryAfterMs 时的等待时间
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.handler = options.handler;
+    this.isRetryable = options.isRetryable || (() => false);
+    this.toError = options.toError || (e => ({ type: e.type || "api_error", message: e.message }));
+    this.concurrency = Math.max(1, options.concurrency ?? 1);
+    this.expiryMs = options.expiryMs ?? 24 * 60 * 60 * 1000;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.running = 0;
+    // id → batch（按创建顺序）
+    this.batches = new Map();
+    fs.mkdirSync(dir, { recursive: true });
+    const loaded = [];
+    for (const name of fs.readdirSync(dir)) {
+      if (!/^msgbatch_\w+\.json$/.test(name)) continue;
+      try {
+        loaded.push(this._load(name.slice(0, -5)));
+      } catch (e) {
+        console.error("BATCH load failed:", name, e.message);
+      }
+    }
+    loaded.sort((a, b) => a.state.created_at.localeCompare(b.state.created_at));
+    for (const batch of loaded) this.batches.set(batch.state.id, batch);
+  }
+
+  _file(id, suffix) {
+    return path.join(this.dir, `${id}${suffix}`);
+  }
+
+  _load(id) {
+    const state = JSON.parse(fs.readFileSync(this._file(id, ".json"), "utf8"));
+    const batch = { state, pending: [], inflight: new Map(), chain: Promise.resolve() };
+    if (state.processing_status === "ended") return batch;
+    // 未结束的 batch：以结果文件为准重新统计，没有结果的请求重新排队
+    const done = new Set();
+    state.request_counts = emptyCounts();
+    for (const r of readJSONL(this._file(id, ".results.jsonl"))) {
+      done.add(r.custom_id);
+      state.request_counts[r.result.type]++;
+    }
+    batch.pending = readJSONL(this._file(id, ".requests.jsonl")).filter(r => !done.has(r.custom_id));
+    state.request_counts.processing = batch.pending.length;
+    return batch;
+  }
+
+  // 状态文件先写临时文件再 rename；同一 batch 的写入串行执行
+  _enqueueWrite(batch, fn) {
+    batch.chain = batch.chain.then(fn).catch(e => console.error("BATCH write failed:", batch.state.id, e.message));
+    return batch.chain;
+  }
+
+  _saveState(batch) {
+    const snapshot = JSON.stringify(batch.state);
+    return this._enqueueWrite(batch, async () => {
+      const file = this._file(batch.state.id, ".json");
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fsp.writeFile(tmp, snapshot);
+      await fsp.rename(tmp, file);
+    });
+  }
+
+  // 追加结果并更新计数；全部请求都有结果时 batch 结束
+  _record(batch, results) {
+    const counts = batch.state.request_counts;
+    let lines = "";
+    for (const { customId, result } of results) {
+      counts.processing--;
+      counts[result.type]++;
+      lines += `${JSON.stringify({ custom_id: customId, result })}\n`;
+    }
+    if (lines) this._enqueueWrite(batch, () => fsp.appendFile(this._file(batch.state.id, ".results.jsonl"), lines));
+    const { state } = batch;
+    if (state.processing_status !== "ended" && !batch.pending.length && !batch.inflight.size) {
+      state.processing_status = "ended";
+      state.ended_at = new Date().toISOString();
+    }
+    return this._saveState(batch);
+  }
+
+  // 把还没执行的请求全部记为同一种结果（canceled / expired）
+  _settlePending(batch, type) {
+    const pending = batch.pending.splice(0);
+    return this._record(batch, pending.map(r => ({ customId: r.custom_id, result: { type } })));
+  }
+
+  /**
+   * 创建 batch 并开始处理
+   * @param {Array<{ custom_id: string, params: Object }>} requests - 已校验的请求
+   * @param {string} key - 创建者的 key 名（执行时按它检查模型权限、记 token）
+   * @returns {Promise<Object>} - 刚创建时的 batch 状态
+   */
+  async create(requests, key) {
+    const now = Date.now();
+    const state = {
+      id: `msgbatch_${randomBytes(12).toString("hex")}`,
+      key,
+      processing_status: "in_progress",
+      request_counts: { ...emptyCounts(), processing: requests.length },
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + this.expiryMs).toISOString(),
+      ended_at: null,
+      cancel_initiated_at: null
+    };
+    const pending = requests.map(r => ({ custom_id: r.custom_id, params: r.params }));
+    await fsp.writeFile(this._file(state.id, ".requests.jsonl"), pending.map(r => `${JSON.stringify(r)}\n`).join(""));
+    const batch = { state, pending, inflight: new Map(), chain: Promise.resolve() };
+    this.batches.set(state.id, batch);
+    await this._saveState(batch);
+    // 返回创建时的快照，之后的进度用 get() 查询
+    const created = structuredClone(state);
+    this._pump();
+    return created;
+  }
+
+  /**
+   * 继续处理启动时从磁盘读回的未完成 batch
+   */
+  resume() {
+    for (const batch of this.batches.values()) {
+      if (batch.state.processing_status === "canceling") this._settlePending(batch, "canceled");
+    }
+    this._pump();
+  }
+
+  get(id) {
+    return this.batches.get(id)?.state ?? null;
+  }
+
+  /**
+   * 按创建时间倒序分页
+   * @param {Object} [opts]
+   * @param {number} [opts.limit] - 每页条数
+   * @param {string} [opts.beforeId] - 返回排在这个 id 之前（更新）的 batch
+   * @param {string} [opts.afterId] - 返回排在这个 id 之后（更旧）的 batch
+   * @param {string} [opts.key] - 只列出这个 key 创建的 batch
+   * @returns {{ data: Array<Object>, hasMore: boolean }}
+   */
+  list({ limit = 20, beforeId, afterId, key } = {}) {
+    const all = [...this.batches.values()].map(b => b.state).filter(s => !key || s.key === key).reverse();
+    const at = id => all.findIndex(s => s.id === id);
+    if (beforeId) {
+      const older = at(beforeId) < 0 ? [] : all.slice(0, at(beforeId));
+      return { data: older.slice(-limit), hasMore: older.length > limit };
+    }
+    const rest = afterId ? (at(afterId) < 0 ? [] : all.slice(at(afterId) + 1)) : all;
+    return { data: rest.slice(0, limit), hasMore: rest.length > limit };
+  }
+
+  /**
+   * 取消 batch：还没执行的请求记为 canceled，正在执行的请求中止；全部收尾后状态变为 ended
+   * @param {string} id - batch id
+   * @returns {Promise<Object|null>} - batch 状态；不存在时为 null
+   */
+  async cancel(id) {
+    const batch = this.batches.get(id);
+    if (!batch) return null;
+    if (batch.state.processing_status !== "in_progress") return batch.state;
+    batch.state.processing_status = "canceling";
+    batch.state.cancel_initiated_at = new Date().toISOString();
+    for (const controller of batch.inflight.values()) controller.abort();
+    await this._settlePending(batch, "canceled");
+    return batch.state;
+  }
+
+  /**
+   * 已结束的 batch 的结果文件（JSONL，每行 { custom_id, result }，按完成顺序）
+   * @param {string} id - batch id
+   * @returns {Promise<string|null>} - 文件路径；batch 不存在时为 null
+   * @throws {Error} batch 还没结束时抛出 err.status = 400 的错误
+   */
+  async resultsFile(id) {
+    const batch = this.batches.get(id);
+    if (!batch) return null;
+    if (batch.state.processing_status !== "ended") {
+      throw batchError(`batch ${id} is still ${batch.state.processing_status}; results are available once it has ended`);
+    }
+    await batch.chain;
+    const file = this._file(id, ".results.jsonl");
+    // 所有请求都被取消时可能还没有写过结果
+    if (!fs.existsSync(file)) await fsp.writeFile(file, "");
+    return file;
+  }
+
+  /**
+   * 删除已结束的 batch 及其结果
+   * @param {string} id - batch id
+   * @returns {Promise<boolean>} - batch 是否存在
+   * @throws {Error} batch 还没结束时抛出 err.status = 400 的错误
+   */
+  async remove(id) {
+    const batch = this.batches.get(id);
+    if (!batch) return false;
+    if (batch.state.processing_status !== "ended") {
+      throw batchError(`batch ${id} is still ${batch.state.processing_status}; cancel it before deleting`);
+    }
+    await batch.chain;
+    this.batches.delete(id);
+    for (const suffix of [".json", ".requests.jsonl", ".results.jsonl"]) {
+      await fsp.rm(this._file(id, suffix), { force: true });
+    }
+    return true;
+  }
+
+  stats() {
+    const counts = Object.fromEntries(["in_progress", "canceling", "ended"].map(s => [s, 0]));
+    let pending = 0;
+    for (const b of this.batches.values()) {
+      counts[b.state.processing_status]++;
+      pending += b.pending.length;
+    }
+    return { enabled: true, batches: counts, pending, running: this.running, concurrency: this.concurrency };
+  }
+
+  // 取下一条要执行的请求：按创建顺序，先把已过期 batch 里剩下的请求记为 expired
+  _next() {
+    for (const batch of this.batches.values()) {
+      if (batch.state.processing_status !== "in_progress" || !batch.pending.length) continue;
+      if (Date.parse(batch.state.expires_at) <= Date.now()) {
+        this._settlePending(batch, "expired");
+        continue;
+      }
+      return { batch, request: batch.pending.shift() };
+    }
+    return null;
+  }
+
+  _pump() {
+    while (this.running < this.concurrency) {
+      const next = this._next();
+      if (!next) return;
+      this.running++;
+      this._execute(next.batch, next.request).finally(() => {
+        this.running--;
+        this._pump();
+      });
+    }
+  }
+
+  async _execute(batch, request) {
+    const controller = new AbortController();
+    batch.inflight.set(request.custom_id, controller);
+    const ctx = { batchId: batch.state.id, customId: request.custom_id, key: batch.state.key, signal: controller.signal };
+    let result;
+    while (!result) {
+      try {
+        result = { type: "succeeded", message: await this.handler(request.params, ctx) };
+      } catch (e) {
+        if (controller.signal.aborted) {
+          result = { type: "canceled" };
+        } else if (!this.isRetryable(e)) {
+          result = { type: "errored", error: { type: "error", error: this.toError(e) } };
+        } else if (Date.parse(batch.state.expires_at) <= Date.now()) {
+          // 一直重试到过期还没执行成功：和没轮到执行的请求一样记为 expired
+          result = { type: "expired" };
+        } else {
+          // 排队已满或排队超时：后台任务不算失败，等一会儿再试（最多等到过期时间）
+          const wait = Math.min(e.retryAfterMs || this.retryDelayMs, Date.parse(batch.state.expires_at) - Date.now());
+          await sleep(wait, undefined, { signal: controller.signal }).catch(() => {
+            result = { type: "canceled" };
+          });
+        }
+      }
+    }
+    batch.inflight.delete(request.custom_id);
+    await this._record(batch, [{ customId: request.custom_id, result }]);
+  }
+}
+
+function batchError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.type = "invalid_request_error";
+  return err;
+}
+
+/**
+ * 对外的 message_batch 对象
+ * @param {Object} state - BatchStore 里的 batch 状态
+ * @param {string} baseUrl - 代理的外部地址（拼 results_url）
+ * @returns {Object}
+ */
+function batchObject(state, baseUrl) {
+  return {
+    id: state.id,
+    type: "message_batch",
+    processing_status: state.processing_status,
+    request_counts: { ...state.request_counts },
+    ended_at: state.ended_at,
+    created_at: state.created_at,
+    expires_at: state.expires_at,
+    archived_at: null,
+    cancel_initiated_at: state.cancel_initiated_at,
+    results_url: state.processing_status === "ended" ? `${baseUrl}/v1/messages/batches/${state.id}/results` : null
+  };
+}
+
+export { BatchStore, validateBatchRequest, batchObject };
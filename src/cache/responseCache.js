@@ -0,0 +1,143 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+
+/**
+ * 键顺序无关的 JSON 序列化，保证同样内容的请求得到同样的哈希
+ * @param {*} value - 任意 JSON 值
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 计算缓存键：sha256(命名空间 + 规范化后的内容)
+ * @param {string} namespace - 区分不同响应格式（如 anthropic / openai）
+ * @param {Object} parts - 参与哈希的字段
+ * @returns {string}
+ */
+function cacheKey(namespace, parts) {
+  return createHash("sha256").update(`${namespace}\n${stableStringify(parts)}`).digest("hex");
+}
+
+/**
+ * 磁盘上的响应缓存：每个条目一个 JSON 文件，带 TTL 和总大小上限（超出时淘汰最旧的条目）
+ */
+class ResponseCache {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.ttlMs = options.ttlMs ?? 24 * 60 * 60 * 1000;
+    this.maxBytes = options.maxBytes ?? 100 * 1024 * 1024;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    // key → { size, mtimeMs }，启动时从目录重建
+    this.index = new Map();
+    fs.mkdirSync(dir, { recursive: true });
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith(".json")) continue;
+      const st = fs.statSync(path.join(dir, name));
+      this.index.set(name.slice(0, -5), { size: st.size, mtimeMs: st.mtimeMs });
+    }
+  }
+
+  _file(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  get bytes() {
+    let total = 0;
+    for (const e of this.index.values()) total += e.size;
+    return total;
+  }
+
+  /**
+   * 读取缓存；过期或损坏的条目会被删除并按未命中计
+   * @param {string} key - 缓存键
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    const entry = this.index.get(key);
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+    if (Date.now() - entry.mtimeMs > this.ttlMs) {
+      await this._remove(key);
+      this.misses++;
+      return null;
+    }
+    try {
+      const data = JSON.parse(await fsp.readFile(this._file(key), "utf8"));
+      this.hits++;
+      return data.value;
+    } catch {
+      await this._remove(key);
+      this.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * 写入缓存（先写临时文件再 rename，避免读到写了一半的文件）
+   * @param {string} key - 缓存键
+   * @param {Object} value - 要缓存的响应
+   */
+  async set(key, value) {
+    const body = JSON.stringify({ createdAt: new Date().toISOString(), value });
+    const tmp = `${this._file(key)}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, body);
+    await fsp.rename(tmp, this._file(key));
+    this.index.set(key, { size: Buffer.byteLength(body), mtimeMs: Date.now() });
+    await this._evict();
+  }
+
+  async _remove(key) {
+    this.index.delete(key);
+    await fsp.rm(this._file(key), { force: true });
+  }
+
+  async _evict() {
+    let total = this.bytes;
+    if (total <= this.maxBytes) return;
+    const oldest = [...this.index.entries()].sort((a, b) => a[1].mtimeMs - b[1].mtimeMs);
+    for (const [key, e] of oldest) {
+      if (total <= this.maxBytes) break;
+      total -= e.size;
+      this.evictions++;
+      await this._remove(key);
+    }
+  }
+
+  /**
+   * 清空缓存
+   * @returns {Promise<number>} - 删除的条目数
+   */
+  async purge() {
+    const keys = [...this.index.keys()];
+    for (const key of keys) await this._remove(key);
+    return keys.length;
+  }
+
+  stats() {
+    return {
+      enabled: true,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      entries: this.index.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      ttlMs: this.ttlMs
+    };
+  }
+}
+
+export { ResponseCache, cacheKey, stableStringify };
@@ -0,0 +1,196 @@
+import { estimateTokens, estimateMessagesTokens } from "../tokens/count.js";
+
+// 按配置顺序依次尝试，直到放得进上下文预算
+const STRATEGIES = ["truncate_tool_results", "drop_oldest", "summarize"];
+// 给“删掉了多少条”的说明预留的 token
+const NOTE_TOKENS = 32;
+
+/**
+ * 解析 CONTEXT_STRATEGY（逗号分隔）
+ * @param {string} [raw] - 如 "truncate_tool_results,drop_oldest"
+ * @returns {Array<string>}
+ */
+function parseContextStrategies(raw) {
+  const list = String(raw || "").split(",").map(s => s.trim()).filter(Boolean);
+  for (const s of list) {
+    if (!STRATEGIES.includes(s)) throw new Error(`CONTEXT_STRATEGY: unknown strategy ${s} (expected ${STRATEGIES.join("|")})`);
+  }
+  return list;
+}
+
+/**
+ * 把对话分成轮次：每轮从一条 user 消息开始，assistant 的 tool_calls 和对应的 tool 结果总在同一轮里，
+ * 整轮删除不会留下没有调用方的 tool 消息
+ * @param {Array<Object>} messages - OpenAI 消息数组
+ * @returns {{ system: Array<Object>, turns: Array<Array<Object>> }}
+ */
+function groupTurns(messages) {
+  const system = [];
+  const turns = [];
+  for (const m of messages) {
+    if (m.role === "system") {
+      system.push(m);
+      continue;
+    }
+    if (m.role === "user" || !turns.length) turns.push([]);
+    turns.at(-1).push(m);
+  }
+  return { system, turns };
+}
+
+/**
+ * 截断过长的文本，保留开头 2/3 和结尾 1/3（报错信息通常在末尾）
+ * @param {string} text - 原文
+ * @param {number} keepTokens - 保留的 token 数
+ * @returns {string}
+ */
+function truncateText(text, keepTokens) {
+  const tokens = estimateTokens(text);
+  if (tokens <= keepTokens) return text;
+  const keepChars = Math.floor(keepTokens * text.length / tokens);
+  const head = Math.ceil(keepChars * 2 / 3);
+  const tail = keepChars - head;
+  const omitted = text.length - head - tail;
+  return `${text.slice(0, head)}\n[... ${omitted} characters truncated by proxy ...]\n${text.slice(text.length - tail)}`;
+}
+
+// 把说明追加到 system 消息（没有就新建一条），不打乱 user / assistant 的交替
+function withSystemNote(system, note) {
+  if (!system.length) return [{ role: "system", content: note }];
+  const [first, ...rest] = system;
+  return [{ ...first, content: `${first.content}\n\n${note}` }, ...rest];
+}
+
+// 渲染成纯文本交给摘要模型
+function renderTurns(turns) {
+  return turns.flat().map(m => {
+    let text = typeof m.content === "string"
+      ? m.content
+      : (m.content || []).filter(p => p.type === "text").map(p => p.text).join("\n");
+    for (const c of m.tool_calls || []) text += `\n[tool call ${c.function.name}(${c.function.arguments})]`;
+    return `${m.role}: ${text}`;
+  }).join("\n\n");
+}
+
+/**
+ * 让对话放进模型的上下文窗口：超出预算时按 strategies 依次处理，system 和最新一轮始终保留
+ * - truncate_tool_results：从最早的 tool 结果开始，把超过 toolResultKeepTokens 的截断
+ * - drop_oldest：整轮删除最早的对话，在 system 里注明删了多少条
+ * - summarize：把要删除的那些轮交给 summarize 生成摘要放进 system；摘要失败时退化为 drop_oldest
+ * 预算 = limit - 给输出预留的 token（max_tokens，最多 limit 的 1/4）
+ * @param {Object} payload - OpenAI chat/completions 请求体（不会被修改）
+ * @param {Object} opts
+ * @param {number} opts.limit - 模型上下文长度（token）
+ * @param {Array<string>} opts.strategies - 策略顺序
+ * @param {number} [opts.reserveTokens] - 请求没带 max_tokens 时给输出预留的 token
+ * @param {number} [opts.toolResultKeepTokens] - tool 结果截断后保留的 token
+ * @param {number} [opts.summaryTokens] - 给摘要预留的 token
+ * @param {(text: string) => Promise<string>} [opts.summarize] - 生成摘要
+ * @returns {Promise<{ payload: Object, report: Object|null }>} - report 为 null 表示没有裁剪
+ * @throws {Error} 处理完仍超过 limit 时抛出 err.status = 400 的 "prompt is too long"
+ */
+async function fitContext(payload, opts) {
+  const { limit, strategies } = opts;
+  const reserveTokens = opts.reserveTokens ?? 1024;
+  const keepTokens = opts.toolResultKeepTokens ?? 512;
+  const summaryTokens = opts.summaryTokens ?? 512;
+  const count = msgs => estimateMessagesTokens(msgs, payload.tools);
+  const budget = limit - Math.min(payload.max_tokens ?? reserveTokens, Math.floor(limit / 4));
+
+  const before = count(payload.messages);
+  if (before <= budget) return { payload, report: null };
+
+  let { system, turns } = groupTurns(payload.messages);
+  const flat = () => [...system, ...turns.flat()];
+  const report = {
+    limit,
+    budget,
+    before_tokens: before,
+    after_tokens: before,
+    strategies: [],
+    truncated_tool_results: 0,
+    dropped_messages: 0,
+    summarized_messages: 0
+  };
+  let total = before;
+
+  // 删到放得下为止（至少留最后一轮），返回被删的轮次
+  const takeOldest = target => {
+    const taken = [];
+    while (total > target && turns.length > 1) {
+      const turn = turns.shift();
+      taken.push(turn);
+      total -= count(turn) - count([]);
+    }
+    return taken;
+  };
+
+  for (const strategy of strategies) {
+    if (total <= budget) break;
+    if (strategy === "truncate_tool_results") {
+      let truncated = 0;
+      turns = turns.map(turn => turn.map(m => {
+        if (total <= budget || m.role !== "tool" || typeof m.content !== "string") return m;
+        const content = truncateText(m.content, keepTokens);
+        if (content === m.content) return m;
+        total -= estimateTokens(m.content) - estimateTokens(content);
+        truncated++;
+        return { ...m, content };
+      }));
+      if (truncated) {
+        report.truncated_tool_results += truncated;
+        report.strategies.push(strategy);
+      }
+      continue;
+    }
+
+    const useSummary = strategy === "summarize" && opts.summarize;
+    const taken = takeOldest((useSummary ? budget - summaryTokens : budget) - NOTE_TOKENS);
+    if (!taken.length) continue;
+    let dropped = taken.flat().length;
+    if (useSummary) {
+      let summary = null;
+      try {
+        summary = await opts.summarize(renderTurns(taken));
+      } catch (e) {
+        report.summary_error = e.message;
+      }
+      if (summary) {
+        system = withSystemNote(system, `<summary_of_earlier_conversation>\n${summary.trim()}\n</summary_of_earlier_conversation>`);
+        report.summarized_messages += dropped;
+        report.strategies.push("summarize");
+        // 摘要比预留的长时再多删几轮
+        total = count(flat());
+        dropped = takeOldest(budget - NOTE_TOKENS).flat().length;
+      }
+    }
+    if (dropped) {
+      system = withSystemNote(system, `[${dropped} earlier messages were omitted by the proxy to fit the model's context window]`);
+      report.dropped_messages += dropped;
+      report.strategies.push("drop_oldest");
+    }
+    total = count(flat());
+  }
+
+  const trimmed = { ...payload, messages: flat() };
+  report.after_tokens = count(trimmed.messages);
+  if (report.after_tokens > limit) {
+    const err = new Error(`prompt is too long: ${report.after_tokens} tokens > ${limit} maximum`);
+    err.status = 400;
+    err.type = "invalid_request_error";
+    err.context = report;
+    throw err;
+  }
+  return { payload: trimmed, report: report.strategies.length ? report : null };
+}
+
+/**
+ * 响应头 x-context-trimmed 的值
+ * @param {Object} report - fitContext 返回的 report
+ * @returns {string} - 如 "truncate_tool_results,drop_oldest; tokens=31250->7012"
+ */
+function formatTrimHeader(report) {
+  return `${report.strategies.join(",")}; tokens=${report.before_tokens}->${report.after_tokens}`;
+}
+
+export { STRATEGIES, parseContextStrategies, groupTurns, truncateText, fitContext, formatTrimHeader };
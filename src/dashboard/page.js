@@ -0,0 +1,171 @@
+// 单文件 dashboard：页面本身不带数据，脚本凭会话 cookie（/dashboard?key= 登录时设置）请求 /dashboard/data（每 2 秒）和 /dashboard/tail/<id>（SSE）
+const DASHBOARD_HTML = `<!doctype html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="referrer" content="no-referrer">
+<title>Claude Local Proxy</title>
+<style>
+  :root { color-scheme: light dark; --muted: #888; --ok: #2e7d32; --bad: #c62828; --warn: #ef6c00; }
+  body { font: 14px/1.4 -apple-system, system-ui, sans-serif; margin: 0; padding: 12px; }
+  h1 { font-size: 18px; margin: 0 0 8px; }
+  h2 { font-size: 15px; margin: 18px 0 6px; }
+  .stats { display: flex; flex-wrap: wrap; gap: 8px; }
+  .stat { border: 1px solid #8884; border-radius: 8px; padding: 6px 10px; min-width: 72px; }
+  .stat b { display: block; font-size: 20px; }
+  .wrap { overflow-x: auto; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #8883; white-space: nowrap; }
+  th { color: var(--muted); font-weight: normal; }
+  .ok { color: var(--ok); } .bad { color: var(--bad); } .warn { color: var(--warn); } .muted { color: var(--muted); }
+  button { font: inherit; padding: 2px 8px; }
+  #tail { display: none; margin-top: 8px; }
+  #tail pre { white-space: pre-wrap; word-break: break-word; max-height: 50vh; overflow-y: auto; border: 1px solid #8884; border-radius: 8px; padding: 8px; margin: 6px 0 0; }
+  #tail .thinking { color: var(--muted); font-style: italic; }
+  #tail .tool { color: var(--warn); }
+  #error { color: var(--bad); }
+</style>
+</head>
+<body>
+<h1>Claude Local Proxy</h1>
+<div id="error"></div>
+<div class="stats" id="stats"></div>
+
+<h2>正在处理</h2>
+<div class="wrap"><table id="inflight"></table></div>
+<div id="tail">
+  <div><b id="tail-title"></b> <span id="tail-state" class="muted"></span> <button id="tail-close">关闭</button></div>
+  <pre id="tail-text"></pre>
+</div>
+
+<h2>上游</h2>
+<div class="wrap"><table id="upstreams"></table></div>
+
+<h2>最近的请求</h2>
+<div class="wrap"><table id="recent"></table></div>
+
+<script>
+const $ = id => document.getElementById(id);
+
+function el(tag, text, cls) {
+  const e = document.createElement(tag);
+  if (text !== undefined && text !== null) e.textContent = String(text);
+  if (cls) e.className = cls;
+  return e;
+}
+
+function fill(table, headers, rows) {
+  table.replaceChildren();
+  const head = table.insertRow();
+  for (const h of headers) head.appendChild(el("th", h));
+  if (!rows.length) {
+    const td = el("td", "无", "muted");
+    td.colSpan = headers.length;
+    table.insertRow().appendChild(td);
+  }
+  for (const cells of rows) {
+    const tr = table.insertRow();
+    for (const c of cells) tr.appendChild(c instanceof Node ? wrapCell(c) : el("td", c ?? "-"));
+  }
+}
+
+function wrapCell(node) {
+  if (node.tagName === "TD") return node;
+  const td = el("td");
+  td.appendChild(node);
+  return td;
+}
+
+const ms = v => (v === null || v === undefined ? "-" : v >= 1000 ? (v / 1000).toFixed(1) + "s" : v + "ms");
+const time = iso => new Date(iso).toLocaleTimeString();
+const outcomeClass = o => (o === "ok" || o === "cache_hit" ? "ok" : o === "overloaded" || o === "cancelled" ? "warn" : "bad");
+
+function render(data) {
+  const stats = [["运行中", data.inflight], ["排队", data.queued], ["状态", data.draining ? "draining" : "接收中"]];
+  $("stats").replaceChildren(...stats.map(([label, value]) => {
+    const s = el("div", label, "stat");
+    s.prepend(el("b", value));
+    return s;
+  }));
+
+  fill($("inflight"), ["id", "模型", "状态", "时长", "key", ""], data.requests.map(r => {
+    const btn = el("button", "查看");
+    btn.onclick = () => openTail(r);
+    return [r.id.slice(-8), r.model || r.requested_model, r.state + (r.position ? " #" + r.position : ""), ms(r.age_ms), r.key, btn];
+  }));
+
+  fill($("upstreams"), ["名称", "状态", "探测延迟", "请求", "失败", "错误"], data.upstreams.map(u => [
+    u.name,
+    el("td", u.healthy === false ? "down" : u.healthy ? "up" : "?", u.healthy === false ? "bad" : "ok"),
+    ms(u.probeLatencyMs),
+    u.requests,
+    u.failures,
+    u.lastError || ""
+  ]));
+
+  fill($("recent"), ["时间", "模型", "结果", "耗时", "首 token", "排队", "tokens"], data.recent.map(r => [
+    time(r.ts),
+    r.model || r.requested_model,
+    el("td", r.outcome + (r.error ? " (" + r.error + ")" : ""), outcomeClass(r.outcome)),
+    ms(r.duration_ms),
+    ms(r.ttft_ms),
+    ms(r.queue_wait_ms),
+    r.output_tokens === undefined ? "-" : (r.input_tokens ?? "?") + " → " + r.output_tokens
+  ]));
+}
+
+async function refresh() {
+  try {
+    const r = await fetch("/dashboard/data", { cache: "no-store" });
+    if (r.status === 401) throw new Error("会话已过期，请重新用 /dashboard?key=<admin key> 打开");
+    const body = await r.json();
+    if (!r.ok) throw new Error(body.error?.message || "HTTP " + r.status);
+    $("error").textContent = "";
+    render(body);
+  } catch (e) {
+    $("error").textContent = "刷新失败：" + e.message;
+  }
+}
+
+let source = null;
+function closeTail() {
+  source?.close();
+  source = null;
+  $("tail").style.display = "none";
+}
+
+function openTail(r) {
+  closeTail();
+  $("tail").style.display = "block";
+  $("tail-title").textContent = r.id + " · " + (r.model || r.requested_model);
+  $("tail-state").textContent = r.stream ? "等待输出…" : "非流式请求：上游返回后一次性显示";
+  $("tail-text").replaceChildren();
+  source = new EventSource("/dashboard/tail/" + encodeURIComponent(r.id));
+  source.addEventListener("token", e => {
+    const { kind, text } = JSON.parse(e.data);
+    const pre = $("tail-text");
+    const last = pre.lastChild;
+    if (last && last.className === kind) last.textContent += text;
+    else pre.appendChild(el("span", text, kind));
+    $("tail-state").textContent = "生成中";
+    pre.scrollTop = pre.scrollHeight;
+  });
+  source.addEventListener("done", e => {
+    $("tail-state").textContent = "已结束：" + JSON.parse(e.data).outcome;
+    source.close();
+  });
+  source.onerror = () => {
+    if (source?.readyState === EventSource.CLOSED) $("tail-state").textContent = "请求已结束或不存在";
+  };
+}
+
+$("tail-close").onclick = closeTail;
+refresh();
+setInterval(refresh, 2000);
+</script>
+</body>
+</html>
+`;
+
+export { DASHBOARD_HTML };
@@ -0,0 +1,28 @@
+/**
+ * 最近完成的请求（环形缓冲，dashboard 展示用），超过 capacity 时丢掉最旧的
+ */
+class RecentRequests {
+  constructor(capacity = 100) {
+    this.capacity = Math.max(1, capacity);
+    this.entries = [];
+  }
+
+  /**
+   * 记录一个已完成的请求
+   * @param {Object} entry - 请求摘要
+   */
+  push(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.capacity) this.entries.shift();
+  }
+
+  /**
+   * @param {number} [limit] - 最多返回多少条
+   * @returns {Array<Object>} - 最新的在前
+   */
+  list(limit = this.capacity) {
+    return this.entries.slice(-limit).reverse();
+  }
+}
+
+export { RecentRequests };
@@ -0,0 +1,49 @@
+import { randomBytes } from "node:crypto";
+
+/**
+ * dashboard 的登录会话：用 ?key= 打开页面后换成一个短期 cookie，之后的轮询和 EventSource 不再在地址里带 admin key
+ * 会话只记 key 名，每次使用时顺延有效期，超过 ttlMs 没有用过就失效
+ */
+class DashboardSessions {
+  constructor(ttlMs = 60 * 60 * 1000) {
+    this.ttlMs = ttlMs;
+    this.sessions = new Map();
+  }
+
+  /**
+   * 新建会话
+   * @param {string} keyName - 登录用的 admin key 名
+   * @returns {string} - 会话 token（放进 cookie）
+   */
+  create(keyName) {
+    this._prune();
+    const token = randomBytes(24).toString("hex");
+    this.sessions.set(token, { keyName, expiresAt: Date.now() + this.ttlMs });
+    return token;
+  }
+
+  /**
+   * 查找会话并顺延有效期
+   * @param {string|null} token - cookie 里的 token
+   * @returns {string|null} - key 名，不存在或已过期时为 null
+   */
+  resolve(token) {
+    const session = token ? this.sessions.get(token) : undefined;
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    session.expiresAt = Date.now() + this.ttlMs;
+    return session.keyName;
+  }
+
+  _prune() {
+    const now = Date.now();
+    for (const [token, session] of this.sessions) {
+      if (session.expiresAt <= now) this.sessions.delete(token);
+    }
+  }
+}
+
+export { DashboardSessions };
@@ -0,0 +1,66 @@
+/**
+ * 正在生成的请求的输出（按请求 id），dashboard 通过 SSE 实时查看
+ * 每个请求保留最近 maxChars 个字符，新订阅者先收到这部分再接着收新的；请求结束时通知订阅者并丢弃
+ */
+class LiveTail {
+  constructor(options = {}) {
+    this.maxChars = options.maxChars ?? 16384;
+    this.streams = new Map();
+  }
+
+  _stream(id) {
+    if (!this.streams.has(id)) this.streams.set(id, { chunks: [], chars: 0, listeners: new Set() });
+    return this.streams.get(id);
+  }
+
+  /**
+   * 追加一段输出
+   * @param {string} id - 请求 id
+   * @param {"text" | "thinking" | "tool"} kind - 正文 / 思考过程 / 工具调用参数
+   * @param {string} text - 新生成的内容
+   */
+  publish(id, kind, text) {
+    if (!text) return;
+    const s = this._stream(id);
+    const last = s.chunks.at(-1);
+    if (last?.kind === kind) last.text += text;
+    else s.chunks.push({ kind, text });
+    s.chars += text.length;
+    // 超出上限时从最旧的内容开始丢
+    while (s.chars > this.maxChars && s.chunks.length) {
+      const first = s.chunks[0];
+      const drop = Math.min(first.text.length, s.chars - this.maxChars);
+      first.text = first.text.slice(drop);
+      s.chars -= drop;
+      if (!first.text) s.chunks.shift();
+    }
+    for (const fn of s.listeners) fn({ type: "token", kind, text });
+  }
+
+  /**
+   * 订阅请求的输出：立即收到已有内容（{ type: "token" }），之后每段新内容一个事件，结束时收到 { type: "done" }
+   * @param {string} id - 请求 id
+   * @param {(evt: Object) => void} fn - 事件回调
+   * @returns {() => void} - 取消订阅
+   */
+  subscribe(id, fn) {
+    const s = this._stream(id);
+    for (const { kind, text } of s.chunks) fn({ type: "token", kind, text });
+    s.listeners.add(fn);
+    return () => s.listeners.delete(fn);
+  }
+
+  /**
+   * 请求结束：通知订阅者并丢弃缓存的输出
+   * @param {string} id - 请求 id
+   * @param {Object} [info] - 附加在 done 事件里的字段（outcome 等）
+   */
+  end(id, info = {}) {
+    const s = this.streams.get(id);
+    if (!s) return;
+    this.streams.delete(id);
+    for (const fn of s.listeners) fn({ type: "done", ...info });
+  }
+}
+
+export { LiveTail };
@@ -0,0 +1,227 @@
+import { Queue, QueueError } from "./queue.js";
+import { normalizeModelName } from "./models/inventory.js";
+import { parseModelLimits } from "./routing/rules.js";
+
+/**
+ * 解析 MODEL_CONCURRENCY：{ "qwen3:0.6b": 2, "deepseek-coder*": 1 }，键支持 * 通配
+ * @param {string} [raw] - JSON 字符串
+ * @returns {Array<{ pattern: string, test: (model: string) => boolean, limit: number }>}
+ */
+function parseModelConcurrency(raw) {
+  return parseModelLimits(raw, "MODEL_CONCURRENCY");
+}
+
+/**
+ * 按车道调度请求：
+ * - 每个路由到的模型一条车道（并发上限来自 MODEL_CONCURRENCY，默认 defaultLimit）
+ * - 配了 maxInflight 的上游各一条车道
+ * - 可选的“重模型”全局车道，限制同时运行的大模型数量（内存）
+ * 请求依次拿到 上游 → 重模型 → 模型 三级名额后才执行；每条车道是独立的 Queue，
+ * 优先级、客户端轮转、排队期限和取消都沿用 Queue 的实现
+ */
+class LaneScheduler {
+  constructor(options = {}) {
+    this.defaultLimit = Math.max(1, Number(options.defaultLimit) || 1);
+    this.modelLimits = options.modelLimits || [];
+    this.queueOptions = options.queueOptions || {};
+    this.pool = options.pool || null;
+    // 重模型判定：isHeavy(model) 为 true 的请求还要占用 heavy 车道
+    this.isHeavy = options.isHeavy || (() => false);
+    this.heavy = options.maxHeavyInflight ? this._queue(options.maxHeavyInflight) : null;
+    this.models = new Map();
+    this.upstreams = new Map();
+    // drain() 之后不再接收新请求，已经排队和正在执行的照常完成
+    this.draining = false;
+  }
+
+  _queue(limit) {
+    return new Queue(limit, this.queueOptions);
+  }
+
+  /**
+   * 模型的并发上限
+   * @param {string} model - 模型名
+   * @returns {number}
+   */
+  modelLimit(model) {
+    return this.modelLimits.find(m => m.test(model))?.limit ?? this.defaultLimit;
+  }
+
+  _modelLane(model) {
+    const key = normalizeModelName(model);
+    if (!this.models.has(key)) this.models.set(key, this._queue(this.modelLimit(model)));
+    return this.models.get(key);
+  }
+
+  _upstreamLane(u) {
+    if (!u.maxInflight) return null;
+    if (!this.upstreams.has(u.name)) this.upstreams.set(u.name, this._queue(u.maxInflight));
+    return this.upstreams.get(u.name);
+  }
+
+  /**
+   * 为模型挑一个上游：有空闲名额的优先，都满了选排队最短的
+   * @param {string} model - 模型名
+   * @returns {Object|null}
+   */
+  pickUpstream(model) {
+    const candidates = this.pool ? this.pool.candidates(model) : [];
+    if (!candidates.length) return null;
+    const load = u => {
+      const lane = this._upstreamLane(u);
+      return lane ? { free: lane.inflightCount < lane.limit, queued: lane.size } : { free: true, queued: 0 };
+    };
+    return candidates.find(u => load(u).free)
+      || [...candidates].sort((a, b) => load(a).queued - load(b).queued)[0];
+  }
+
+  /**
+   * 排队执行
+   * @param {(grant: { upstream: Object|null }) => Promise<*>} fn - 拿到所有名额后执行，grant.upstream 为建议使用的上游
+   * @param {Object} opts - model（必填）以及 Queue#enqueue 的 id / priority / client / maxWaitMs / signal
+   * @returns {Promise<*>}
+   * @throws {QueueError} 任一车道已满或排队超时
+   */
+  run(fn, opts) {
+    if (this.draining) {
+      return Promise.reject(new QueueError("draining", "proxy is draining and not accepting new requests", 5000));
+    }
+    const { model, ...queueOpts } = opts;
+    // 排队期限对整个请求生效，后面的车道只能用剩下的时间
+    const maxWaitMs = queueOpts.maxWaitMs ?? this.queueOptions.maxWaitMs;
+    const deadline = Number.isFinite(maxWaitMs) ? Date.now() + maxWaitMs : Infinity;
+    const remaining = () => {
+      if (deadline === Infinity) return undefined;
+      const left = deadline - Date.now();
+      if (left <= 0) throw new QueueError("queue_timeout", `waited more than ${maxWaitMs} ms in queue`, 1000);
+      return left;
+    };
+    const enqueue = (lane, task) => lane.enqueue(task, { ...queueOpts, maxWaitMs: remaining() });
+
+    // 模型车道放在最里层：先排上游和重模型车道，拿到名额后才占模型名额。
+    // 这样占着模型名额的请求一定正在执行，不会因为等一个满载的上游而挡住同模型里本可以去空闲上游的请求
+    const upstream = this.pickUpstream(model);
+    let task = () => enqueue(this._modelLane(model), () => fn({ upstream }));
+    if (this.heavy && this.isHeavy(model)) {
+      const inner = task;
+      task = () => enqueue(this.heavy, inner);
+    }
+    const upstreamLane = upstream && this._upstreamLane(upstream);
+    if (upstreamLane) {
+      const inner = task;
+      task = () => enqueue(upstreamLane, inner);
+    }
+    return task();
+  }
+
+  /**
+   * 运行时调整并发与排队参数，已有车道立即生效（调小并发时正在执行的请求不受影响）
+   * @param {Object} changes - defaultLimit / modelLimits / maxHeavyInflight / maxQueueLength / maxWaitMs，省略的保持不变
+   */
+  configure(changes) {
+    if (changes.defaultLimit !== undefined) this.defaultLimit = Math.max(1, changes.defaultLimit);
+    if (changes.modelLimits !== undefined) this.modelLimits = changes.modelLimits;
+    const queueChanges = {};
+    for (const key of ["maxQueueLength", "maxWaitMs"]) {
+      if (changes[key] !== undefined) queueChanges[key] = changes[key];
+    }
+    this.queueOptions = { ...this.queueOptions, ...queueChanges };
+    if (changes.maxHeavyInflight !== undefined) {
+      if (this.heavy && !changes.maxHeavyInflight) {
+        // 关闭重模型车道：放行还在里面排队的请求
+        this.heavy.setLimit(Infinity);
+        this.heavy = null;
+      } else if (this.heavy) {
+        this.heavy.setLimit(changes.maxHeavyInflight);
+      } else if (changes.maxHeavyInflight) {
+        this.heavy = this._queue(changes.maxHeavyInflight);
+      }
+    }
+    for (const [key, lane] of this.models) lane.setLimit(this.modelLimit(key));
+    // 上游的 maxInflight 由 pool 里的配置决定，去掉限制后放行排队中的请求
+    for (const [name, lane] of this.upstreams) {
+      lane.setLimit(this.pool?.upstreams.find(u => u.name === name)?.maxInflight ?? Infinity);
+    }
+    for (const { lane } of this.lanes()) lane.setQueueOptions(queueChanges);
+  }
+
+  /** 停止接收新请求（新请求以 QueueError("draining") 拒绝） */
+  drain() {
+    this.draining = true;
+  }
+
+  /** 恢复接收新请求 */
+  resume() {
+    this.draining = false;
+  }
+
+  /**
+   * 清空所有车道里等待中的请求（以 QueueError("queue_cleared") 拒绝），正在执行的不受影响
+   * @returns {number} - 清掉的请求数
+   */
+  clear() {
+    return this.lanes().reduce((n, l) => n + l.lane.clear(), 0);
+  }
+
+  /** 所有车道：[{ name, kind, lane }] */
+  lanes() {
+    return [
+      ...[...this.models].map(([name, lane]) => ({ name: `model:${name}`, kind: "model", lane })),
+      ...[...this.upstreams].map(([name, lane]) => ({ name: `upstream:${name}`, kind: "upstream", lane })),
+      ...(this.heavy ? [{ name: "heavy", kind: "heavy", lane: this.heavy }] : [])
+    ];
+  }
+
+  get size() {
+    return this.lanes().reduce((n, l) => n + l.lane.size, 0);
+  }
+
+  // 只按模型车道统计，避免同一个请求在多级车道里被重复计数
+  get inflightCount() {
+    return [...this.models.values()].reduce((n, lane) => n + lane.inflightCount, 0);
+  }
+
+  get rejected() {
+    return this.lanes().reduce((n, l) => n + l.lane.rejected, 0);
+  }
+
+  get expired() {
+    return this.lanes().reduce((n, l) => n + l.lane.expired, 0);
+  }
+
+  /**
+   * 所有排队中的请求（按车道分组，组内按执行顺序）
+   * @returns {Array<{ id: *, lane: string, priority: string, client: string, waitedMs: number }>}
+   */
+  waiting() {
+    return this.lanes().flatMap(({ name, lane }) => lane.waiting().map(j => ({ ...j, lane: name })));
+  }
+
+  /**
+   * 查询请求的排队状态
+   * @param {*} id - 请求 id
+   * @returns {{ state: "queued" | "running", lane: string|null, position: number }|null}
+   */
+  position(id) {
+    let running = false;
+    for (const { name, lane } of this.lanes()) {
+      const p = lane.position(id);
+      if (p > 0) return { state: "queued", lane: name, position: p };
+      if (p === 0) running = true;
+    }
+    return running ? { state: "running", lane: null, position: 0 } : null;
+  }
+
+  /** /health 展示用：每条车道的并发上限、运行中和排队数 */
+  status() {
+    return this.lanes().map(({ name, kind, lane }) => ({
+      name,
+      kind,
+      limit: lane.limit,
+      inflight: lane.inflightCount,
+      queued: lane.size
+    }));
+  }
+}
+
+export { LaneScheduler, parseModelConcurrency };
@@ -0,0 +1,65 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * 输出一行结构化 JSON 日志（每个请求一行，便于 jq / 日志系统检索）
+ * 值为 undefined 的字段不输出
+ * @param {Object} fields - 日志字段
+ * @param {{ write: (s: string) => void }} [out] - 输出流，默认 stdout
+ */
+function logJSON(fields, out = process.stdout) {
+  out.write(`${JSON.stringify({ ts: new Date().toISOString(), ...fields })}\n`);
+}
+
+/**
+ * 按大小滚动的 JSONL 文件：当前文件为 <name>.jsonl，满了之后依次改名为 <name>.1.jsonl、<name>.2.jsonl …
+ * 超过 maxFiles 的旧文件删除。写入串行执行，保证每行完整
+ */
+class TranscriptWriter {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.name = options.name || "transcript";
+    this.maxBytes = options.maxBytes ?? 10 * 1024 * 1024;
+    this.maxFiles = Math.max(1, options.maxFiles ?? 5);
+    this._chain = Promise.resolve();
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  /**
+   * 第 n 个文件的路径：0 为当前正在写的文件
+   * @param {number} n - 序号
+   * @returns {string}
+   */
+  file(n = 0) {
+    return path.join(this.dir, n === 0 ? `${this.name}.jsonl` : `${this.name}.${n}.jsonl`);
+  }
+
+  /**
+   * 追加一条记录；写入失败只打日志，不影响请求
+   * @param {Object} record - 任意可序列化的对象
+   * @returns {Promise<void>}
+   */
+  write(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    this._chain = this._chain
+      .then(() => this._append(line))
+      .catch(e => console.error("TRANSCRIPT write failed:", e.message));
+    return this._chain;
+  }
+
+  async _append(line) {
+    const size = await fsp.stat(this.file()).then(st => st.size, () => 0);
+    if (size > 0 && size + Buffer.byteLength(line) > this.maxBytes) await this._rotate();
+    await fsp.appendFile(this.file(), line);
+  }
+
+  async _rotate() {
+    await fsp.rm(this.file(this.maxFiles - 1), { force: true });
+    for (let n = this.maxFiles - 2; n >= 0; n--) {
+      await fsp.rename(this.file(n), this.file(n + 1)).catch(() => {});
+    }
+  }
+}
+
+export { logJSON, TranscriptWriter };
@@ -0,0 +1,168 @@
+// 不引入 prom-client，手写 Prometheus 文本格式（exposition format 0.0.4）
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// 默认的耗时分桶（秒），覆盖本地小模型的几十毫秒到大模型的几分钟
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return String(v);
+}
+
+function formatLabels(pairs) {
+  if (!pairs.length) return "";
+  return `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+/**
+ * 带标签指标的公共部分：按标签值组合保存样本
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  _key(labels) {
+    return JSON.stringify(this.labelNames.map(n => String(labels[n] ?? "")));
+  }
+
+  _series(labels, init) {
+    const key = this._key(labels);
+    let s = this.series.get(key);
+    if (!s) {
+      s = { labels: this.labelNames.map(n => [n, String(labels[n] ?? "")]), ...init() };
+      this.series.set(key, s);
+    }
+    return s;
+  }
+
+  _header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this._series(labels, () => ({ value: 0 })).value += value;
+  }
+
+  get(labels = {}) {
+    return this.series.get(this._key(labels))?.value ?? 0;
+  }
+
+  render() {
+    const lines = this._header();
+    for (const s of this.series.values()) lines.push(`${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    return lines;
+  }
+}
+
+/**
+ * Gauge：可以直接 set，也可以传 collect 在抓取时读取当前值（如队列长度）
+ */
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super("gauge", name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels = {}, value) {
+    this._series(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    this.collect?.(this);
+    const lines = this._header();
+    for (const s of this.series.values()) lines.push(`${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const s = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) s.counts[i]++;
+    });
+    s.sum += value;
+    s.count++;
+  }
+
+  /**
+   * 开始计时，返回的函数调用时记录经过的秒数
+   * @param {Object} labels - 标签
+   * @returns {(extraLabels?: Object) => number}
+   */
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this._header();
+    for (const s of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels([...s.labels, ["le", formatValue(le)]])} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels([...s.labels, ["le", "+Inf"]])} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * 指标注册表：创建指标并统一输出为 Prometheus 文本
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  _register(metric) {
+    if (this.metrics.some(m => m.name === metric.name)) throw new Error(`metric ${metric.name} already registered`);
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this._register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return this.metrics.flatMap(m => m.render()).join("\n") + "\n";
+  }
+}
+
+export { Registry, Counter, Gauge, Histogram, DEFAULT_BUCKETS, CONTENT_TYPE };
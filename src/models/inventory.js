@@ -0,0 +1,115 @@
+import fetch from "node-fetch";
+
+/**
+ * 规范化 Ollama 模型名：不带 tag 的名字等价于 :latest
+ * @param {string} name - 模型名
+ * @returns {string}
+ */
+function normalizeModelName(name) {
+  const s = String(name || "").trim();
+  if (!s) return s;
+  return s.includes(":") ? s : `${s}:latest`;
+}
+
+/**
+ * 缓存上游报告的已安装模型：Ollama 用 /api/tags（带体积），其他 OpenAI 兼容服务用 /v1/models
+ * 列表带 TTL；刷新失败时继续使用上一次的结果，不阻塞请求
+ */
+class ModelInventory {
+  constructor(baseUrl, options = {}) {
+    this.baseUrl = baseUrl;
+    this.kind = options.kind || "ollama";
+    this.ttlMs = options.ttlMs ?? 30000;
+    this.timeoutMs = options.timeoutMs ?? 3000;
+    this.models = [];
+    this.fetchedAt = 0;
+    this.lastError = null;
+    this.latencyMs = null;
+    this._inflight = null;
+  }
+
+  get isFresh() {
+    return this.fetchedAt > 0 && Date.now() - this.fetchedAt < this.ttlMs;
+  }
+
+  /**
+   * 返回已安装模型列表：[{ name, size, modified_at }]
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    if (this.isFresh) return this.models;
+    return this.refresh();
+  }
+
+  /**
+   * 立即重新拉取模型列表（并发调用共用同一次请求）
+   * @returns {Promise<Array<Object>>}
+   */
+  refresh() {
+    if (!this._inflight) {
+      this._inflight = this._refresh().finally(() => {
+        this._inflight = null;
+      });
+    }
+    return this._inflight;
+  }
+
+  async _refresh() {
+    const ac = new AbortController();
+    const t = setTimeout(() => ac.abort(), this.timeoutMs);
+    const started = Date.now();
+    try {
+      const pathname = this.kind === "ollama" ? "/api/tags" : "/v1/models";
+      const r = await fetch(new URL(pathname, this.baseUrl).toString(), { signal: ac.signal });
+      if (!r.ok) throw new Error(`models_http_${r.status}`);
+      const data = await r.json();
+      this.models = this.kind === "ollama"
+        ? (data?.models || []).map(m => ({
+          name: m.name || m.model,
+          size: Number(m.size) || 0,
+          modified_at: m.modified_at || null
+        }))
+        : (data?.data || []).map(m => ({
+          name: m.id,
+          size: 0,
+          modified_at: m.created ? new Date(m.created * 1000).toISOString() : null
+        }));
+      this.lastError = null;
+      this.latencyMs = Date.now() - started;
+    } catch (e) {
+      this.lastError = e.name === "AbortError" ? "timeout" : e.message;
+    } finally {
+      clearTimeout(t);
+      // 失败也记时间，避免上游不可用时每个请求都去探测
+      this.fetchedAt = Date.now();
+    }
+    return this.models;
+  }
+
+  /**
+   * 查找已安装的模型（使用缓存结果，不触发刷新）
+   * @param {string} name - 模型名，省略 tag 视为 :latest
+   * @returns {Object|undefined}
+   */
+  find(name) {
+    const want = normalizeModelName(name);
+    return this.models.find(m => normalizeModelName(m.name) === want);
+  }
+
+  // embedding 模型不能聊天，不参与“最大/最小”挑选
+  _chatModels() {
+    return this.models.filter(m => !/embed/i.test(m.name));
+  }
+
+  /** @returns {Object|undefined} 体积最大的聊天模型 */
+  largest() {
+    return this._chatModels().sort((a, b) => b.size - a.size)[0];
+  }
+
+  /** @returns {Object|undefined} 体积最小的聊天模型 */
+  smallest() {
+    return this._chatModels().sort((a, b) => a.size - b.size)[0];
+  }
+}
+
+export { ModelInventory, normalizeModelName };
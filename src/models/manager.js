@@ -0,0 +1,398 @@
+import fetch from "node-fetch";
+import { normalizeModelName } from "./inventory.js";
+import { globToRegExp } from "../routing/rules.js";
+
+const DURATION = /^-?(\d+(\.\d+)?(ns|us|µs|ms|s|m|h))+$/;
+
+/**
+ * 规范化 keep_alive：数字（秒，负数表示一直驻留）或 Go duration 字符串（"30m"、"1h30m"）；
+ * 纯数字的字符串转成数字（Ollama 不把 "-1" 当作 duration）
+ * @param {*} value - keep_alive
+ * @returns {string|number}
+ * @throws {Error} 格式不对时
+ */
+function normalizeKeepAlive(value) {
+  if (typeof value === "string" && /^-?\d+$/.test(value)) return Number(value);
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  if (typeof value === "string" && DURATION.test(value)) return value;
+  throw new Error(`keep_alive must be a duration like "30m" or a number of seconds, got ${JSON.stringify(value)}`);
+}
+
+/**
+ * 解析 MODEL_KEEP_ALIVE：{ "qwen3:0.6b": "-1", "deepseek*": "10m" }，键支持 *
+ * @param {string} raw - JSON 字符串
+ * @returns {Array<{ pattern: string, keepAlive: string|number, test: (model: string) => boolean }>}
+ */
+function parseKeepAlive(raw) {
+  if (!raw) return [];
+  let obj;
+  try {
+    obj = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`MODEL_KEEP_ALIVE invalid JSON: ${e.message}`);
+  }
+  if (typeof obj !== "object" || obj === null || Array.isArray(obj)) {
+    throw new Error("MODEL_KEEP_ALIVE must be an object of model → keep_alive");
+  }
+  return Object.entries(obj).map(([pattern, value]) => {
+    let keepAlive;
+    try {
+      keepAlive = normalizeKeepAlive(value);
+    } catch (e) {
+      throw new Error(`MODEL_KEEP_ALIVE.${pattern}: ${e.message}`);
+    }
+    const re = globToRegExp(pattern);
+    const exact = normalizeModelName(pattern);
+    return { pattern, keepAlive, test: model => normalizeModelName(model) === exact || re.test(model) };
+  });
+}
+
+// 自动 pull 进行中时建议客户端多久后重试
+const PULL_RETRY_AFTER_MS = 30000;
+
+/**
+ * 上游是否报告“模型不存在”：按错误内容判断（Ollama 为 model "x" not found），
+ * 不是所有 404 都算，地址写错等返回的 404 照常按上游错误处理
+ * @param {Error} e - 上游请求抛出的错误
+ * @returns {boolean}
+ */
+function isModelNotFound(e) {
+  return /\bmodel\b.*\bnot found\b/i.test(e?.message || "");
+}
+
+/**
+ * 自动 pull 已在后台开始时请求失败用的错误：529 overloaded_error，带进度和建议的重试时间
+ * @param {string} model - 模型名
+ * @param {Object} entry - startPull 返回的 pull 记录
+ * @returns {Error} - err.code = "model_pulling"
+ */
+function modelPullingError(model, entry) {
+  const percent = entry.total ? `, ${Math.floor((entry.completed / entry.total) * 100)}%` : "";
+  const err = new Error(`model ${model} is being pulled on ${entry.upstream} (${entry.status}${percent}); retry later`);
+  err.code = "model_pulling";
+  err.status = 529;
+  err.type = "overloaded_error";
+  err.model = model;
+  err.retryAfterMs = PULL_RETRY_AFTER_MS;
+  return err;
+}
+
+/**
+ * 逐行读取 NDJSON 响应（/api/pull 的进度）
+ * @param {AsyncIterable<Buffer>} body - 响应体
+ */
+async function* readNDJSON(body) {
+  let buf = "";
+  for await (const chunk of body) {
+    buf += chunk.toString("utf8");
+    let nl;
+    while ((nl = buf.indexOf("\n")) >= 0) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (line) yield JSON.parse(line);
+    }
+  }
+  if (buf.trim()) yield JSON.parse(buf);
+}
+
+async function ollamaError(r, what) {
+  const txt = await r.text();
+  let message = txt;
+  try {
+    message = JSON.parse(txt).error || txt;
+  } catch {}
+  const err = new Error(`ollama ${what} http_${r.status}: ${message}`);
+  err.status = r.status;
+  return err;
+}
+
+/**
+ * Ollama 模型生命周期：启动时预加载、按模型设置 keep_alive、模型不存在时自动 pull，以及管理接口用的加载 / 卸载 / 下载
+ * 只管理 kind 为 ollama 的上游；llama.cpp、LM Studio 的模型由它们自己管理
+ */
+class ModelManager {
+  /**
+   * @param {UpstreamPool} pool - 上游池
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.keepAlive] - parseKeepAlive 的结果
+   * @param {string|number} [options.defaultKeepAlive] - 其余模型的 keep_alive（省略时用 Ollama 自己的默认值）
+   * @param {Array<string>} [options.preload] - 启动时预加载的模型
+   * @param {Array<string>} [options.autoPull] - 允许自动 pull 的模型（支持 *）
+   * @param {number} [options.pullTimeoutMs] - 单次 pull 的最长时间
+   * @param {(fields: Object) => void} [options.log] - 结构化日志（pull 进度、加载结果）
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.keepAlive = options.keepAlive || [];
+    this.defaultKeepAlive = options.defaultKeepAlive;
+    this.preload = options.preload || [];
+    this.autoPullPatterns = options.autoPull || [];
+    this.autoPull = this.autoPullPatterns.map(globToRegExp);
+    this.pullTimeoutMs = options.pullTimeoutMs ?? 60 * 60 * 1000;
+    this.log = options.log || (() => {});
+    // "upstream/model" → { model, upstream, state, status, completed, total, startedAt, error, promise }
+    this.pulls = new Map();
+  }
+
+  /** 可以管理模型的上游（Ollama） */
+  get ollamaUpstreams() {
+    return this.pool.upstreams.filter(u => u.kind === "ollama");
+  }
+
+  /**
+   * 模型的 keep_alive：MODEL_KEEP_ALIVE 里第一个匹配的，否则 defaultKeepAlive
+   * @param {string} model - 模型名
+   * @returns {string|number|undefined}
+   */
+  keepAliveFor(model) {
+    return this.keepAlive.find(k => k.test(model))?.keepAlive ?? this.defaultKeepAlive;
+  }
+
+  /**
+   * 是否允许自动 pull 这个模型
+   * @param {string} model - 模型名
+   * @returns {boolean}
+   */
+  canAutoPull(model) {
+    return this.autoPull.some(re => re.test(model) || re.test(normalizeModelName(model)));
+  }
+
+  _upstream(name) {
+    const u = this.ollamaUpstreams.find(x => x.name === name);
+    if (!u) {
+      const err = new Error(`${name} is not an ollama upstream`);
+      err.status = 400;
+      err.type = "invalid_request_error";
+      throw err;
+    }
+    return u;
+  }
+
+  // 默认操作所有提供该模型的 Ollama 上游；指定 upstream 时只操作那一个
+  _targets(model, upstream) {
+    if (upstream) return [this._upstream(upstream)];
+    return this.ollamaUpstreams.filter(u => this.pool.serves(u, model) && u.inventory.find(model));
+  }
+
+  async _generate(u, model, keepAlive) {
+    const body = { model, keep_alive: keepAlive };
+    const r = await fetch(new URL("/api/generate", u.baseUrl).toString(), {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(u.timeoutMs)
+    });
+    if (!r.ok) throw await ollamaError(r, keepAlive === 0 ? "unload" : "load");
+    await r.text();
+  }
+
+  /**
+   * 把模型加载进内存（Ollama /api/generate 不带 prompt），并设置 keep_alive
+   * @param {string} model - 模型名
+   * @param {Object} [opts]
+   * @param {string} [opts.upstream] - 只在这个上游加载
+   * @param {string|number} [opts.keepAlive] - 覆盖配置的 keep_alive
+   * @returns {Promise<Array<{ upstream: string, ok: boolean, error?: string }>>}
+   */
+  async load(model, opts = {}) {
+    const keepAlive = opts.keepAlive ?? this.keepAliveFor(model);
+    return this._each(model, opts.upstream, "load", u => this._generate(u, model, keepAlive), { keep_alive: keepAlive });
+  }
+
+  /**
+   * 从内存卸载模型（keep_alive: 0）
+   * @param {string} model - 模型名
+   * @param {Object} [opts]
+   * @param {string} [opts.upstream] - 只在这个上游卸载
+   * @returns {Promise<Array<{ upstream: string, ok: boolean, error?: string }>>}
+   */
+  async unload(model, opts = {}) {
+    return this._each(model, opts.upstream, "unload", u => this._generate(u, model, 0));
+  }
+
+  async _each(model, upstream, action, fn, extra = {}) {
+    const targets = this._targets(model, upstream);
+    if (!targets.length) {
+      const err = new Error(`model ${model} is not installed on any ollama upstream`);
+      err.status = 404;
+      err.type = "not_found_error";
+      throw err;
+    }
+    return Promise.all(targets.map(async u => {
+      const started = Date.now();
+      try {
+        await fn(u);
+        this.log({ level: "info", event: "model", action, model, upstream: u.name, duration_ms: Date.now() - started, ...extra });
+        return { upstream: u.name, ok: true };
+      } catch (e) {
+        const error = e.name === "TimeoutError" ? "timeout" : e.message;
+        this.log({ level: "warn", event: "model", action, model, upstream: u.name, error });
+        return { upstream: u.name, ok: false, error };
+      }
+    }));
+  }
+
+  /**
+   * 启动时预加载 MODEL_PRELOAD 里的模型（没安装且允许自动 pull 的先下载）；失败只记日志
+   * @returns {Promise<void>}
+   */
+  async preloadAll() {
+    for (const model of this.preload) {
+      // 清单还没探测到时先刷新一次
+      await Promise.all(this.ollamaUpstreams.map(u => u.inventory.list()));
+      try {
+        if (!this._targets(model).length && this.canAutoPull(model)) await this.pull(model);
+        await this.load(model);
+      } catch (e) {
+        this.log({ level: "warn", event: "model", action: "load", model, error: e.message });
+      }
+    }
+  }
+
+  /**
+   * 下载模型（Ollama /api/pull），进度写日志；同一上游上同一模型的并发 pull 共用一次下载
+   * @param {string} model - 模型名
+   * @param {Object} [opts]
+   * @param {string} [opts.upstream] - 下载到这个上游；默认第一个健康且允许该模型的 Ollama 上游
+   * @returns {Promise<void>}
+   */
+  async pull(model, opts = {}) {
+    return this.startPull(model, opts).promise;
+  }
+
+  /**
+   * 开始下载但不等待完成（管理接口用）
+   * @param {string} model - 模型名
+   * @param {Object} [opts] - 同 pull
+   * @returns {Object} - pull 记录：{ model, upstream, state, status, completed, total, startedAt, error, promise }
+   * @throws {Error} 没有可用的 Ollama 上游时抛出 err.status = 404 的错误
+   */
+  startPull(model, opts = {}) {
+    const u = opts.upstream
+      ? this._upstream(opts.upstream)
+      : this.ollamaUpstreams.find(x => x.healthy !== false && (!x.modelPatterns || x.modelPatterns.some(re => re.test(model))));
+    if (!u) {
+      const err = new Error(`no healthy ollama upstream can pull ${model}`);
+      err.status = 404;
+      err.type = "not_found_error";
+      throw err;
+    }
+    const id = `${u.name}/${normalizeModelName(model)}`;
+    const running = this.pulls.get(id);
+    if (running?.state === "pulling") return running;
+    const entry = { model, upstream: u.name, state: "pulling", status: "starting", completed: 0, total: 0, startedAt: new Date().toISOString(), error: null };
+    entry.promise = this._pull(u, model, entry).then(
+      () => {
+        entry.state = "done";
+      },
+      e => {
+        entry.state = "failed";
+        entry.error = e.name === "TimeoutError" ? "timeout" : e.message;
+        this.log({ level: "error", event: "model_pull", model, upstream: u.name, error: entry.error });
+        throw e;
+      }
+    );
+    this.pulls.set(id, entry);
+    return entry;
+  }
+
+  async _pull(u, model, entry) {
+    const r = await fetch(new URL("/api/pull", u.baseUrl).toString(), {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ model, stream: true }),
+      signal: AbortSignal.timeout(this.pullTimeoutMs)
+    });
+    if (!r.ok) throw await ollamaError(r, "pull");
+    // 每个阶段第一次出现和每 10% 记一行，避免每个 chunk 都写日志
+    let logged = null;
+    for await (const evt of readNDJSON(r.body)) {
+      if (evt.error) throw new Error(`ollama pull: ${evt.error}`);
+      entry.status = evt.status || entry.status;
+      if (evt.total) {
+        entry.total = evt.total;
+        entry.completed = evt.completed || 0;
+      }
+      const percent = entry.total ? Math.floor((entry.completed / entry.total) * 10) * 10 : null;
+      const mark = `${entry.status}|${percent}`;
+      if (mark === logged) continue;
+      logged = mark;
+      this.log({ level: "info", event: "model_pull", model, upstream: u.name, status: entry.status, percent: percent ?? undefined, completed: entry.completed || undefined, total: entry.total || undefined });
+    }
+    if (entry.status !== "success") throw new Error(`ollama pull ended without success (last status: ${entry.status})`);
+    await this.pool.probe(u);
+  }
+
+  /**
+   * 上游报告模型不存在时：允许自动 pull 的模型在后台开始下载（已经在下载的共用同一次），
+   * 请求立即以 model_pulling 错误失败，不占着并发名额等下载完成；其他情况原样抛出
+   * @param {string} model - 模型名
+   * @param {() => Promise<*>} fn - 上游请求
+   * @returns {Promise<*>}
+   * @throws {Error} 开始或正在自动 pull 时抛出 modelPullingError
+   */
+  async withAutoPull(model, fn) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (!isModelNotFound(e) || !this.canAutoPull(model)) throw e;
+      let entry;
+      try {
+        entry = this.startPull(model);
+      } catch {
+        // 没有能下载这个模型的 Ollama 上游：按原来的“模型不存在”报告
+        throw e;
+      }
+      // 失败已经写进日志和 pulls 记录
+      entry.promise.catch(() => {});
+      this.log({ level: "warn", event: "model_pull", model, status: "auto", reason: e.message });
+      throw modelPullingError(model, entry);
+    }
+  }
+
+  /**
+   * 各 Ollama 上游已安装与已加载的模型（/api/tags + /api/ps），以及进行中的 pull
+   * @returns {Promise<{ upstreams: Array<Object>, pulls: Array<Object> }>}
+   */
+  async list() {
+    const upstreams = await Promise.all(this.ollamaUpstreams.map(async u => {
+      const installed = await u.inventory.refresh();
+      let loaded = [];
+      let error = null;
+      try {
+        const r = await fetch(new URL("/api/ps", u.baseUrl).toString(), { signal: AbortSignal.timeout(3000) });
+        if (!r.ok) throw await ollamaError(r, "ps");
+        loaded = ((await r.json())?.models || []).map(m => ({
+          name: m.name || m.model,
+          size: Number(m.size) || 0,
+          size_vram: Number(m.size_vram) || 0,
+          expires_at: m.expires_at || null
+        }));
+      } catch (e) {
+        error = e.name === "TimeoutError" ? "timeout" : e.message;
+      }
+      return {
+        name: u.name,
+        error: error || u.inventory.lastError,
+        models: installed.map(m => {
+          const running = loaded.find(l => normalizeModelName(l.name) === normalizeModelName(m.name));
+          return {
+            ...m,
+            loaded: !!running,
+            size_vram: running?.size_vram ?? null,
+            expires_at: running?.expires_at ?? null,
+            keep_alive: this.keepAliveFor(m.name) ?? null
+          };
+        })
+      };
+    }));
+    return { upstreams, pulls: this.pullStatus() };
+  }
+
+  /** pull 记录（不含 promise） */
+  pullStatus() {
+    return [...this.pulls.values()].map(({ promise, ...rest }) => rest);
+  }
+}
+
+export { ModelManager, parseKeepAlive, normalizeKeepAlive, isModelNotFound };
@@ -0,0 +1,141 @@
+// 原样转发给上游的 chat/completions 字段（model / messages / stream 由 proxy 自己填）
+const FORWARDED_FIELDS = [
+  "temperature",
+  "top_p",
+  "top_k",
+  "max_tokens",
+  "stop",
+  "seed",
+  "presence_penalty",
+  "frequency_penalty",
+  "response_format",
+  "user",
+  "tools",
+  "tool_choice",
+  "parallel_tool_calls"
+];
+
+const ROLES = new Set(["system", "developer", "user", "assistant", "tool"]);
+
+/**
+ * 校验 OpenAI chat/completions 请求
+ * @param {Object} body - 请求体
+ * @returns {string|null} - 错误信息；合法时返回 null
+ */
+function validateChatRequest(body) {
+  if (!Array.isArray(body.messages) || !body.messages.length) return "messages: must be a non-empty array";
+  for (const [i, m] of body.messages.entries()) {
+    if (typeof m !== "object" || m === null || !ROLES.has(m.role)) {
+      return `messages[${i}].role: must be one of ${[...ROLES].join(", ")}`;
+    }
+  }
+  if (body.model !== undefined && typeof body.model !== "string") return "model: must be a string";
+  if (body.stream !== undefined && typeof body.stream !== "boolean") return "stream: must be a boolean";
+  if (body.tools !== undefined) {
+    if (!Array.isArray(body.tools)) return "tools: must be an array";
+    if (body.tools.some(t => t?.type !== "function" || typeof t.function?.name !== "string")) {
+      return "tools: each tool must be { type: \"function\", function: { name, parameters } }";
+    }
+  }
+  const isNum = v => typeof v === "number" && Number.isFinite(v);
+  if (body.temperature !== undefined && !(isNum(body.temperature) && body.temperature >= 0 && body.temperature <= 2)) {
+    return "temperature: must be a number between 0 and 2";
+  }
+  if (body.top_p !== undefined && !(isNum(body.top_p) && body.top_p >= 0 && body.top_p <= 1)) {
+    return "top_p: must be a number between 0 and 1";
+  }
+  for (const field of ["max_tokens", "max_completion_tokens"]) {
+    if (body[field] !== undefined && body[field] !== null && !(Number.isInteger(body[field]) && body[field] >= 1)) {
+      return `${field}: must be an integer greater than or equal to 1`;
+    }
+  }
+  if (body.stop !== undefined && body.stop !== null && typeof body.stop !== "string"
+    && !(Array.isArray(body.stop) && body.stop.every(x => typeof x === "string"))) {
+    return "stop: must be a string or an array of strings";
+  }
+  return null;
+}
+
+/**
+ * 生成发给上游的请求体：developer 角色转成 system（本地模型大多不认识），max_completion_tokens → max_tokens
+ * @param {Object} body - 已校验的请求体
+ * @param {string} model - 路由到的模型
+ * @returns {Object} - OpenAI chat/completions 请求体（不含 stream）
+ */
+function chatRequestToPayload(body, model) {
+  const payload = {
+    model,
+    messages: body.messages.map(m => (m.role === "developer" ? { ...m, role: "system" } : m))
+  };
+  for (const field of FORWARDED_FIELDS) {
+    if (body[field] !== undefined && body[field] !== null) payload[field] = body[field];
+  }
+  if (payload.max_tokens === undefined && body.max_completion_tokens) payload.max_tokens = body.max_completion_tokens;
+  return payload;
+}
+
+/**
+ * 把流式 chunk 拼回完整的 chat.completion（缓存、对话记录、指标使用）
+ * @returns {{ push: (chunk: Object) => void, completion: (meta: { id: string, model: string, created: number }) => Object }}
+ */
+function createChatCollector() {
+  const choices = [];
+  let usage = null;
+  return {
+    push(chunk) {
+      if (chunk?.usage) usage = chunk.usage;
+      for (const c of chunk?.choices || []) {
+        const i = c.index ?? 0;
+        const choice = choices[i] ||= { index: i, message: { role: "assistant", content: "" }, finish_reason: null };
+        const d = c.delta || {};
+        if (typeof d.content === "string") choice.message.content += d.content;
+        const reasoning = d.reasoning_content ?? d.reasoning;
+        if (typeof reasoning === "string") choice.message.reasoning_content = (choice.message.reasoning_content || "") + reasoning;
+        for (const part of d.tool_calls || []) {
+          const calls = choice.message.tool_calls ||= [];
+          const k = part.index ?? calls.length;
+          const call = calls[k] ||= { id: "", type: "function", function: { name: "", arguments: "" } };
+          if (part.id) call.id = part.id;
+          // 有的上游每个 chunk 都带完整的名字，只取第一次
+          if (part.function?.name && !call.function.name) call.function.name = part.function.name;
+          const args = part.function?.arguments;
+          if (args) call.function.arguments += typeof args === "string" ? args : JSON.stringify(args);
+        }
+        if (c.finish_reason) choice.finish_reason = c.finish_reason;
+      }
+    },
+    completion(meta) {
+      return {
+        id: meta.id,
+        object: "chat.completion",
+        created: meta.created,
+        model: meta.model,
+        choices: choices.filter(Boolean),
+        usage
+      };
+    }
+  };
+}
+
+/**
+ * 把完整的 chat.completion 拆成流式 chunk（缓存命中时回放用）
+ * @param {Object} completion - chat.completion
+ * @param {Object} [opts]
+ * @param {boolean} [opts.includeUsage] - 客户端要求 stream_options.include_usage 时最后附上只带 usage 的 chunk
+ * @returns {Array<Object>}
+ */
+function completionToChunks(completion, opts = {}) {
+  const base = { id: completion.id, object: "chat.completion.chunk", created: completion.created, model: completion.model };
+  const chunks = [];
+  for (const c of completion.choices) {
+    const delta = { role: "assistant", content: c.message.content ?? "" };
+    if (c.message.reasoning_content) delta.reasoning_content = c.message.reasoning_content;
+    if (c.message.tool_calls?.length) delta.tool_calls = c.message.tool_calls.map((call, index) => ({ index, ...call }));
+    chunks.push({ ...base, choices: [{ index: c.index, delta, finish_reason: null }] });
+    chunks.push({ ...base, choices: [{ index: c.index, delta: {}, finish_reason: c.finish_reason }] });
+  }
+  if (opts.includeUsage) chunks.push({ ...base, choices: [], usage: completion.usage });
+  return chunks;
+}
+
+export { validateChatRequest, chatRequestToPayload, createChatCollector, completionToChunks };
@@ -1,16 +1,41 @@
+// 优先级从高到低；同一优先级内按客户端轮转，避免一个客户端的大量请求饿死其他人
+const DEFAULT_PRIORITIES = ['interactive', 'default', 'background'];
+
+/**
+ * 排队失败：queue_full（队列已满）/ queue_timeout（排队超过期限）/ queue_cleared（被管理员清空）/ draining（停止接收新请求）
+ * retryAfterMs 是按当前队列长度和平均任务耗时估算的等待时间
+ */
+class QueueError extends Error {
+  constructor(code, message, retryAfterMs) {
+    super(message);
+    this.name = 'QueueError';
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
 class Queue {
   constructor(limit = 1, options = {}) {
     this.limit = Math.max(1, Number(limit) || 1);
     this.inflight = 0;
-    this.q = [];
     this.options = {
+      ...options,
       maxQueueLength: options.maxQueueLength || Infinity,
-      ...options
+      maxWaitMs: options.maxWaitMs || Infinity,
+      priorities: options.priorities || DEFAULT_PRIORITIES
     };
+    // 优先级 → { order: 轮转中的客户端, jobs: 客户端 → 等待中的任务 }
+    this.classes = new Map(this.options.priorities.map(p => [p, { order: [], jobs: new Map() }]));
+    this.running = new Map();
+    this.rejected = 0;
+    this.expired = 0;
+    this.avgJobMs = null;
+    this._size = 0;
+    this._seq = 0;
   }
 
   get size() {
-    return this.q.length;
+    return this._size;
   }
 
   get inflightCount() {
@@ -18,44 +43,231 @@ class Queue {
   }
 
   get isEmpty() {
-    return this.q.length === 0 && this.inflight === 0;
+    return this._size === 0 && this.inflight === 0;
   }
 
-  enqueue(fn) {
+  /**
+   * 加入队列
+   * @param {() => Promise<*>} fn - 任务
+   * @param {Object} [options]
+   * @param {*} [options.id] - 任务 id（用于查询排队位置），默认自增
+   * @param {string} [options.priority] - 优先级，默认 'default'
+   * @param {string} [options.client] - 客户端标识，同一优先级内按客户端轮转
+   * @param {number} [options.maxWaitMs] - 最长排队时间，超过后以 QueueError('queue_timeout') 拒绝
+   * @param {AbortSignal} [options.signal] - 还在排队的任务在 abort 后直接移出队列并以 AbortError 拒绝
+   *   （已经开始执行的任务由 fn 自己响应 signal）
+   * @returns {Promise<*>}
+   */
+  enqueue(fn, options = {}) {
     if (typeof fn !== 'function') {
       throw new TypeError('enqueue requires a function');
     }
+    const priority = options.priority ?? 'default';
+    if (!this.classes.has(priority)) {
+      throw new TypeError(`unknown priority: ${priority}`);
+    }
 
-    if (this.q.length >= this.options.maxQueueLength) {
-      return Promise.reject(new Error('Queue is full'));
+    if (this._size >= this.options.maxQueueLength) {
+      this.rejected++;
+      return Promise.reject(new QueueError(
+        'queue_full',
+        `queue is full (${this._size} requests waiting)`,
+        this.estimateWaitMs()
+      ));
     }
 
+    const { signal } = options;
+    if (signal?.aborted) return Promise.reject(abortedWhileQueued());
+
     return new Promise((resolve, reject) => {
-      this.q.push({ fn, resolve, reject });
+      const job = {
+        id: options.id ?? ++this._seq,
+        fn,
+        resolve,
+        reject,
+        signal,
+        priority,
+        client: String(options.client ?? ''),
+        enqueuedAt: Date.now()
+      };
+      if (signal) {
+        job.onAbort = () => {
+          if (this._remove(job)) reject(abortedWhileQueued());
+        };
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+      const maxWaitMs = options.maxWaitMs ?? this.options.maxWaitMs;
+      if (Number.isFinite(maxWaitMs)) {
+        job.timer = setTimeout(() => {
+          if (!this._remove(job)) return;
+          this.expired++;
+          reject(new QueueError('queue_timeout', `waited more than ${maxWaitMs} ms in queue`, this.estimateWaitMs()));
+        }, maxWaitMs);
+      }
+      this._push(job);
       this._pump();
     });
   }
 
+  _push(job) {
+    const cls = this.classes.get(job.priority);
+    let list = cls.jobs.get(job.client);
+    if (!list) {
+      list = [];
+      cls.jobs.set(job.client, list);
+      cls.order.push(job.client);
+    }
+    list.push(job);
+    this._size++;
+  }
+
+  _remove(job) {
+    const cls = this.classes.get(job.priority);
+    const list = cls.jobs.get(job.client);
+    const i = list ? list.indexOf(job) : -1;
+    if (i === -1) return false;
+    list.splice(i, 1);
+    if (!list.length) {
+      cls.jobs.delete(job.client);
+      cls.order.splice(cls.order.indexOf(job.client), 1);
+    }
+    this._size--;
+    this._release(job);
+    return true;
+  }
+
+  _release(job) {
+    clearTimeout(job.timer);
+    job.signal?.removeEventListener('abort', job.onAbort);
+  }
+
+  // 取出下一个任务：最高的非空优先级里，轮到的客户端的最早任务
+  _next() {
+    for (const cls of this.classes.values()) {
+      if (!cls.order.length) continue;
+      const client = cls.order.shift();
+      const list = cls.jobs.get(client);
+      const job = list.shift();
+      if (list.length) cls.order.push(client);
+      else cls.jobs.delete(client);
+      this._size--;
+      this._release(job);
+      return job;
+    }
+    return null;
+  }
+
   _pump() {
-    if (this.inflight >= this.limit) return;
-    const job = this.q.shift();
-    if (!job) return;
-    
-    this.inflight++;
-    Promise.resolve()
-      .then(() => job.fn())
-      .then(job.resolve, job.reject)
-      .finally(() => {
-        this.inflight--;
-        this._pump();
-      });
+    while (this.inflight < this.limit) {
+      const job = this._next();
+      if (!job) return;
+
+      this.inflight++;
+      this.running.set(job.id, job);
+      const started = Date.now();
+      Promise.resolve()
+        .then(() => job.fn())
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.inflight--;
+          this.running.delete(job.id);
+          const ms = Date.now() - started;
+          this.avgJobMs = this.avgJobMs === null ? ms : this.avgJobMs * 0.8 + ms * 0.2;
+          this._pump();
+        });
+    }
   }
 
+  /**
+   * 按实际出队顺序列出等待中的任务
+   * @returns {Array<{ id: *, priority: string, client: string, waitedMs: number }>}
+   */
+  waiting() {
+    const out = [];
+    const now = Date.now();
+    for (const cls of this.classes.values()) {
+      const order = [...cls.order];
+      const next = new Map(order.map(c => [c, 0]));
+      while (order.length) {
+        const client = order.shift();
+        const list = cls.jobs.get(client);
+        const i = next.get(client);
+        const job = list[i];
+        out.push({ id: job.id, priority: job.priority, client: job.client, waitedMs: now - job.enqueuedAt });
+        if (i + 1 < list.length) {
+          next.set(client, i + 1);
+          order.push(client);
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * 查询任务的排队位置
+   * @param {*} id - enqueue 时的 id
+   * @returns {number|null} - 1 表示下一个执行，0 表示正在执行，null 表示不在队列里
+   */
+  position(id) {
+    if (this.running.has(id)) return 0;
+    const i = this.waiting().findIndex(j => j.id === id);
+    return i === -1 ? null : i + 1;
+  }
+
+  /**
+   * 估算新任务需要等多久：前面的任务数 / 并发数 × 平均任务耗时（还没有数据时按 1 秒算）
+   * @returns {number} - 毫秒
+   */
+  estimateWaitMs() {
+    const avg = this.avgJobMs ?? 1000;
+    return Math.ceil((this._size + this.inflight) / this.limit) * Math.round(avg);
+  }
+
+  /**
+   * 调整并发上限；调大时立即放行排队中的任务，调小时正在执行的任务不受影响
+   * @param {number} limit - 新的并发上限
+   */
+  setLimit(limit) {
+    this.limit = Math.max(1, Number(limit) || 1);
+    this._pump();
+  }
+
+  /**
+   * 调整排队上限与默认排队期限（只影响之后入队的任务）
+   * @param {{ maxQueueLength?: number, maxWaitMs?: number }} options
+   */
+  setQueueOptions({ maxQueueLength, maxWaitMs }) {
+    if (maxQueueLength !== undefined) this.options.maxQueueLength = maxQueueLength || Infinity;
+    if (maxWaitMs !== undefined) this.options.maxWaitMs = maxWaitMs || Infinity;
+  }
+
+  /**
+   * 清空等待中的任务，每个任务以 QueueError('queue_cleared') 拒绝；正在执行的任务不受影响
+   * @returns {number} - 清掉的任务数
+   */
   clear() {
-    this.q.length = 0;
+    const jobs = [];
+    for (const cls of this.classes.values()) {
+      for (const list of cls.jobs.values()) jobs.push(...list);
+      cls.jobs.clear();
+      cls.order.length = 0;
+    }
+    this._size = 0;
+    for (const job of jobs) {
+      this._release(job);
+      job.reject(new QueueError('queue_cleared', 'queue was cleared by an administrator', 1000));
+    }
+    return jobs.length;
   }
 }
 
+function abortedWhileQueued() {
+  const err = new Error('aborted while queued');
+  err.name = 'AbortError';
+  err.queued = true;
+  return err;
+}
+
 const queue = new Queue(1);
 
-export { Queue, queue };
+export { Queue, QueueError, queue };
@@ -0,0 +1,179 @@
+import fs from "node:fs";
+import fetch from "node-fetch";
+import { normalizeModelName } from "../models/inventory.js";
+
+/**
+ * 读取 TRANSCRIPT_DIR 里的 JSONL 对话记录，只保留带原始请求的 Anthropic 条目（/v1/chat/completions 的记录跳过）
+ * @param {string} file - transcript.jsonl 路径
+ * @returns {Array<Object>}
+ */
+function readTranscripts(file) {
+  const records = [];
+  fs.readFileSync(file, "utf8").split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${file}:${i + 1}: invalid JSON: ${e.message}`);
+    }
+    if (record?.api === "openai") return;
+    if (record?.request && Array.isArray(record.request.messages)) records.push(record);
+  });
+  return records;
+}
+
+/**
+ * 从 Anthropic message 里提取对比用的指标
+ * @param {Object|null} message - Anthropic message（失败时为 null）
+ * @returns {{ output_chars: number, output_tokens: number|null, stop_reason: string|null, tool_calls: number, tool_calls_parsed: boolean|null }}
+ */
+function summarizeMessage(message) {
+  const content = message?.content || [];
+  const tools = content.filter(b => b.type === "tool_use");
+  return {
+    output_chars: content.reduce((n, b) => n + (b.type === "text" ? b.text.length : 0), 0),
+    output_tokens: message?.usage?.output_tokens ?? null,
+    stop_reason: message?.stop_reason ?? null,
+    tool_calls: tools.length,
+    // 参数不是合法 JSON 时 proxy 会把原文放进 input._raw
+    tool_calls_parsed: tools.length ? tools.every(b => b.input && !("_raw" in b.input)) : null
+  };
+}
+
+/**
+ * 把一条请求发给 proxy（非流式），返回耗时与结果摘要
+ * 按 x-routed-model 响应头记录实际使用的模型；proxy 把请求路由到了别的模型（模型没装、名字写错）时记为错误，
+ * 免得把别的模型的结果当成被测模型的
+ * @param {Object} opts - { baseUrl, bearer, request, model }
+ * @returns {Promise<Object>}
+ */
+async function replayOne({ baseUrl, bearer, request, model }) {
+  const body = { ...request, model, stream: false };
+  const started = Date.now();
+  try {
+    const r = await fetch(new URL("/v1/messages", baseUrl).toString(), {
+      method: "POST",
+      headers: { "content-type": "application/json", authorization: `Bearer ${bearer}` },
+      body: JSON.stringify(body)
+    });
+    const data = await r.json().catch(() => null);
+    const latency = Date.now() - started;
+    const routed = r.headers.get("x-routed-model");
+    if (routed && normalizeModelName(routed) !== normalizeModelName(model)) {
+      return { latency_ms: latency, routed_model: routed, ...summarizeMessage(null), error: `routed to ${routed} instead of ${model}` };
+    }
+    if (!r.ok) {
+      return { latency_ms: latency, routed_model: routed, ...summarizeMessage(null), error: data?.error?.message || `http_${r.status}` };
+    }
+    return { latency_ms: latency, routed_model: routed, ...summarizeMessage(data), error: null };
+  } catch (e) {
+    return { latency_ms: Date.now() - started, routed_model: null, ...summarizeMessage(null), error: e.message };
+  }
+}
+
+/**
+ * 把记录下来的请求逐条用每个替换模型重放一遍（串行，避免本地模型互相抢资源）
+ * @param {Array<Object>} records - readTranscripts 的结果
+ * @param {Object} opts
+ * @param {string} opts.baseUrl - proxy 地址
+ * @param {string} opts.bearer - proxy 的 Bearer token
+ * @param {Array<string>} opts.models - 要对比的模型（请求里的 model 会被替换成它们）
+ * @param {(done: number, total: number) => void} [opts.onProgress] - 进度回调
+ * @returns {Promise<Object>} - { generated_at, models, summary, results }
+ */
+async function replayTranscripts(records, opts) {
+  if (!opts.models?.length) throw new Error("at least one model is required");
+  const results = [];
+  const total = records.length * opts.models.length;
+  for (const record of records) {
+    const entry = {
+      request_id: record.request_id ?? null,
+      prompt: promptPreview(record.request),
+      recorded: {
+        model: record.upstream_request?.model ?? record.request.model ?? null,
+        latency_ms: record.duration_ms ?? null,
+        ...summarizeMessage(record.response),
+        error: record.error?.message ?? null
+      },
+      replays: {}
+    };
+    for (const model of opts.models) {
+      entry.replays[model] = await replayOne({ baseUrl: opts.baseUrl, bearer: opts.bearer, request: record.request, model });
+      opts.onProgress?.(results.length * opts.models.length + Object.keys(entry.replays).length, total);
+    }
+    results.push(entry);
+  }
+  return buildReport(opts.models, results);
+}
+
+// 报告里展示的提示词：最后一条 user 消息的前 60 个字符
+function promptPreview(request) {
+  const last = [...request.messages].reverse().find(m => m.role === "user");
+  const content = last?.content;
+  const text = typeof content === "string"
+    ? content
+    : (Array.isArray(content) ? content.filter(b => b.type === "text").map(b => b.text).join(" ") : "");
+  const oneLine = text.replace(/\s+/g, " ").trim();
+  return oneLine.length > 60 ? `${oneLine.slice(0, 59)}…` : oneLine;
+}
+
+function buildReport(models, results) {
+  const summary = {};
+  for (const model of models) {
+    const runs = results.map(r => r.replays[model]);
+    const ok = runs.filter(r => !r.error);
+    const withTools = ok.filter(r => r.tool_calls > 0);
+    summary[model] = {
+      requests: runs.length,
+      errors: runs.length - ok.length,
+      misrouted: runs.filter(r => r.routed_model && normalizeModelName(r.routed_model) !== normalizeModelName(model)).length,
+      avg_latency_ms: ok.length ? Math.round(ok.reduce((n, r) => n + r.latency_ms, 0) / ok.length) : null,
+      avg_output_chars: ok.length ? Math.round(ok.reduce((n, r) => n + r.output_chars, 0) / ok.length) : null,
+      stop_reasons: ok.reduce((acc, r) => ({ ...acc, [r.stop_reason]: (acc[r.stop_reason] || 0) + 1 }), {}),
+      tool_calls_parsed: withTools.length ? `${withTools.filter(r => r.tool_calls_parsed).length}/${withTools.length}` : null
+    };
+  }
+  return { generated_at: new Date().toISOString(), models, summary, results };
+}
+
+function cell(value) {
+  if (value === null || value === undefined) return "-";
+  return String(value).replace(/\|/g, "\\|");
+}
+
+function runCell(run) {
+  if (run.error) return `error: ${cell(run.error)}`;
+  const tools = run.tool_calls ? `, tools ${run.tool_calls}${run.tool_calls_parsed ? "" : " (unparsed)"}` : "";
+  return `${run.latency_ms ?? "-"} ms, ${run.output_chars} chars, ${run.stop_reason}${tools}`;
+}
+
+/**
+ * 把报告渲染成 Markdown：先是每个模型的汇总表，再是逐条请求的对比表
+ * @param {Object} report - replayTranscripts 的结果
+ * @returns {string}
+ */
+function renderMarkdown(report) {
+  const lines = [
+    "# Replay report",
+    "",
+    `Generated at ${report.generated_at}, ${report.results.length} requests.`,
+    "",
+    "| Model | Requests | Errors | Misrouted | Avg latency (ms) | Avg output (chars) | Stop reasons | Tool calls parsed |",
+    "| --- | --- | --- | --- | --- | --- | --- | --- |"
+  ];
+  for (const model of report.models) {
+    const s = report.summary[model];
+    const stops = Object.entries(s.stop_reasons).map(([k, v]) => `${k} ×${v}`).join(", ");
+    lines.push(`| ${cell(model)} | ${s.requests} | ${s.errors} | ${s.misrouted} | ${cell(s.avg_latency_ms)} | ${cell(s.avg_output_chars)} | ${cell(stops || null)} | ${cell(s.tool_calls_parsed)} |`);
+  }
+  lines.push("", `| Request | Prompt | Recorded | ${report.models.map(cell).join(" | ")} |`);
+  lines.push(`| --- | --- | --- | ${report.models.map(() => "---").join(" | ")} |`);
+  for (const r of report.results) {
+    const recorded = `${cell(r.recorded.model)}: ${runCell(r.recorded)}`;
+    lines.push(`| ${cell(r.request_id)} | ${cell(r.prompt)} | ${recorded} | ${report.models.map(m => runCell(r.replays[m])).join(" | ")} |`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+export { readTranscripts, summarizeMessage, replayTranscripts, renderMarkdown };
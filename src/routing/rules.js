@@ -0,0 +1,246 @@
+import fs from "node:fs";
+import { normalizeModelName } from "../models/inventory.js";
+
+// 与原先硬编码的 pickModel 行为一致的默认规则
+const DEFAULT_CODE_PATTERN = "(代码|code|class|import|docker|sql|bash|python|java|js|ts|bug|报错|编译|运行)";
+const DEFAULT_REASONING_PATTERN = "(证明|推导|为什么|一步一步|严谨|推理)";
+
+const MATCH_KEYS = new Set(["pattern", "flags", "minLength", "maxLength", "model", "hasTools", "hasImages", "headers"]);
+
+/**
+ * 默认路由配置（未提供 ROUTING_CONFIG 时使用）
+ * @param {Object} [opts]
+ * @param {string} [opts.visionModel] - 带图片请求使用的模型
+ * @returns {Object} - 路由配置（未编译）
+ */
+function defaultRoutingConfig(opts = {}) {
+  return {
+    rules: [
+      { name: "vision", match: { hasImages: true }, target: opts.visionModel || "qwen2.5vl:7b" },
+      { name: "code", match: { pattern: DEFAULT_CODE_PATTERN, flags: "i" }, target: "deepseek-coder:6.7b" },
+      { name: "reasoning", match: { pattern: DEFAULT_REASONING_PATTERN, flags: "i" }, target: "qwen2.5:7b" },
+      { name: "short", match: { maxLength: 159 }, target: "qwen3:0.6b" }
+    ],
+    default: "llama3.2:latest",
+    aliases: [
+      { id: "sonnet-4.5", match: "*sonnet*", target: "auto", display_name: "Sonnet 4.5 (local routing)" },
+      { id: "haiku-4.5", match: "*haiku*", target: "@smallest", display_name: "Haiku 4.5 (local small model)" },
+      { id: "opus-4.5", match: "*opus*", target: "@largest", display_name: "Opus 4.5 (local large model)" }
+    ]
+  };
+}
+
+/**
+ * 把 "haiku*" 这样的通配符转成正则（只支持 *）
+ * @param {string} glob - 通配符
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+/**
+ * 解析“模型 → 正整数”的 JSON 配置（MODEL_CONCURRENCY、MODEL_CONTEXT 等），键为模型名或通配符
+ * @param {string} [raw] - JSON 字符串，如 { "qwen3:0.6b": 2, "deepseek-coder*": 1 }
+ * @param {string} name - 配置名（用于报错）
+ * @returns {Array<{ pattern: string, test: (model: string) => boolean, limit: number }>} - 按书写顺序，先匹配的优先
+ */
+function parseModelLimits(raw, name) {
+  if (!raw) return [];
+  let obj;
+  try {
+    obj = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`${name} invalid JSON: ${e.message}`);
+  }
+  if (typeof obj !== "object" || obj === null || Array.isArray(obj)) {
+    throw new Error(`${name} must be an object of model → limit`);
+  }
+  return Object.entries(obj).map(([pattern, limit]) => {
+    if (!Number.isInteger(limit) || limit < 1) throw new Error(`${name}.${pattern} must be a positive integer`);
+    const re = globToRegExp(pattern);
+    const exact = normalizeModelName(pattern);
+    return { pattern, limit, test: model => normalizeModelName(model) === exact || re.test(model) };
+  });
+}
+
+function compileRegExp(source, flags, where) {
+  try {
+    return new RegExp(source, flags || "");
+  } catch (e) {
+    throw new Error(`${where}: invalid regex: ${e.message}`);
+  }
+}
+
+function assertType(value, type, where) {
+  if (value !== undefined && typeof value !== type) {
+    throw new Error(`${where} must be a ${type}`);
+  }
+}
+
+/**
+ * 校验并编译单条规则
+ * @param {Object} rule - { name?, match?, target }
+ * @param {number} i - 规则下标（用于报错）
+ * @returns {{ name: string, target: string, test: (ctx: Object) => boolean }}
+ */
+function compileRule(rule, i) {
+  const where = `rules[${i}]`;
+  if (typeof rule !== "object" || rule === null) throw new Error(`${where} must be an object`);
+  if (typeof rule.target !== "string" || !rule.target) throw new Error(`${where}.target is required`);
+  assertType(rule.name, "string", `${where}.name`);
+
+  const m = rule.match ?? {};
+  if (typeof m !== "object" || Array.isArray(m)) throw new Error(`${where}.match must be an object`);
+  for (const k of Object.keys(m)) {
+    if (!MATCH_KEYS.has(k)) throw new Error(`${where}.match.${k} is not a supported condition`);
+  }
+  assertType(m.pattern, "string", `${where}.match.pattern`);
+  assertType(m.flags, "string", `${where}.match.flags`);
+  assertType(m.minLength, "number", `${where}.match.minLength`);
+  assertType(m.maxLength, "number", `${where}.match.maxLength`);
+  assertType(m.model, "string", `${where}.match.model`);
+  assertType(m.hasTools, "boolean", `${where}.match.hasTools`);
+  assertType(m.hasImages, "boolean", `${where}.match.hasImages`);
+  if (m.headers !== undefined && (typeof m.headers !== "object" || Array.isArray(m.headers))) {
+    throw new Error(`${where}.match.headers must be an object`);
+  }
+
+  const pattern = m.pattern !== undefined ? compileRegExp(m.pattern, m.flags, `${where}.match.pattern`) : null;
+  const model = m.model !== undefined ? globToRegExp(m.model) : null;
+  const headers = Object.entries(m.headers || {}).map(([name, source]) => {
+    if (typeof source !== "string") throw new Error(`${where}.match.headers.${name} must be a string`);
+    return [name.toLowerCase(), compileRegExp(source, "i", `${where}.match.headers.${name}`)];
+  });
+
+  return {
+    name: rule.name || `rule${i}`,
+    target: rule.target,
+    test(ctx) {
+      const text = ctx.text || "";
+      if (pattern && !pattern.test(text)) return false;
+      if (m.minLength !== undefined && text.length < m.minLength) return false;
+      if (m.maxLength !== undefined && text.length > m.maxLength) return false;
+      if (model && !model.test(ctx.requestModel || "")) return false;
+      if (m.hasTools !== undefined && !!ctx.hasTools !== m.hasTools) return false;
+      if (m.hasImages !== undefined && !!ctx.hasImages !== m.hasImages) return false;
+      for (const [name, re] of headers) {
+        const v = ctx.headers?.[name];
+        if (!re.test(Array.isArray(v) ? v.join(",") : v || "")) return false;
+      }
+      return true;
+    }
+  };
+}
+
+/**
+ * 校验并编译模型别名
+ * target 可以是具体模型名，也可以是 "auto"（走路由规则）、"@largest" / "@smallest"（按已安装模型体积选）
+ * @param {Object} alias - { id, match?, target, display_name? }
+ * @param {number} i - 别名下标（用于报错）
+ * @returns {{ id: string, target: string, display_name: string, test: (model: string) => boolean }}
+ */
+function compileAlias(alias, i) {
+  const where = `aliases[${i}]`;
+  if (typeof alias !== "object" || alias === null) throw new Error(`${where} must be an object`);
+  if (typeof alias.id !== "string" || !alias.id) throw new Error(`${where}.id is required`);
+  if (typeof alias.target !== "string" || !alias.target) throw new Error(`${where}.target is required`);
+  assertType(alias.match, "string", `${where}.match`);
+  assertType(alias.display_name, "string", `${where}.display_name`);
+  const re = globToRegExp(alias.match || alias.id);
+  return {
+    id: alias.id,
+    target: alias.target,
+    display_name: alias.display_name || alias.id,
+    test: model => re.test(model)
+  };
+}
+
+/**
+ * 校验并编译路由配置；配置有误时抛出带位置信息的错误
+ * @param {Object} raw - { rules: Array<Object>, default: string, aliases?: Array<Object> }
+ * @returns {{ rules: Array<Object>, default: string, aliases: Array<Object> }}
+ */
+function compileRoutingConfig(raw) {
+  if (typeof raw !== "object" || raw === null) throw new Error("routing config must be an object");
+  if (!Array.isArray(raw.rules)) throw new Error("routing config: rules must be an array");
+  if (typeof raw.default !== "string" || !raw.default) throw new Error("routing config: default model is required");
+  if (raw.aliases !== undefined && !Array.isArray(raw.aliases)) throw new Error("routing config: aliases must be an array");
+  return {
+    rules: raw.rules.map(compileRule),
+    default: raw.default,
+    aliases: (raw.aliases || []).map(compileAlias)
+  };
+}
+
+/**
+ * 查找请求的 model 命中的第一个别名
+ * @param {Object} compiled - compileRoutingConfig 的结果
+ * @param {string} [requestModel] - 客户端请求的 model
+ * @returns {Object|undefined}
+ */
+function findAlias(compiled, requestModel) {
+  if (!requestModel) return undefined;
+  return compiled.aliases.find(a => a.test(requestModel));
+}
+
+/**
+ * 按顺序匹配规则，第一条命中的生效；都不命中时用 default
+ * @param {Object} compiled - compileRoutingConfig 的结果
+ * @param {Object} ctx - { text, requestModel, hasTools, hasImages, headers }
+ * @returns {{ model: string, rule: string }}
+ */
+function routeModel(compiled, ctx) {
+  for (const rule of compiled.rules) {
+    if (rule.test(ctx)) return { model: rule.target, rule: rule.name };
+  }
+  return { model: compiled.default, rule: "default" };
+}
+
+/**
+ * 从 JSON 文件读取并编译路由配置
+ * @param {string} file - 配置文件路径
+ * @returns {Object} - 编译后的配置
+ */
+function loadRoutingConfig(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`routing config ${file}: ${e.message}`);
+  }
+  return compileRoutingConfig(raw);
+}
+
+/**
+ * 监听配置文件变化并热加载；新配置校验失败时保留旧配置
+ * @param {string} file - 配置文件路径
+ * @param {(compiled: Object) => void} onReload - 加载成功回调
+ * @param {(err: Error) => void} [onError] - 加载失败回调
+ * @returns {() => void} - 停止监听
+ */
+function watchRoutingConfig(file, onReload, onError = () => {}) {
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    try {
+      onReload(loadRoutingConfig(file));
+    } catch (e) {
+      onError(e);
+    }
+  };
+  // watchFile 轮询 mtime，编辑器“写临时文件再 rename”的保存方式也能感知
+  fs.watchFile(file, { interval: 1000, persistent: false }, listener);
+  return () => fs.unwatchFile(file, listener);
+}
+
+export {
+  defaultRoutingConfig,
+  compileRoutingConfig,
+  routeModel,
+  findAlias,
+  loadRoutingConfig,
+  watchRoutingConfig,
+  globToRegExp,
+  parseModelLimits
+};
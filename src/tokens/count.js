@@ -0,0 +1,122 @@
+import fetch from "node-fetch";
+
+// 估算规则（上游没有 tokenizer 时使用）：
+// - CJK 字符（汉字、假名、韩文）每个记 1 token
+// - 其余字符按 4 个字符 1 token 向上取整（英文、代码的常见经验值）
+// - 每条消息额外 4 token（角色与分隔符），整段对话再加 3 token（assistant 开头）
+// - 每张图片记 IMAGE_TOKENS（常见视觉模型一个图块的量级）
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+const PER_MESSAGE_TOKENS = 4;
+const PRIMING_TOKENS = 3;
+const IMAGE_TOKENS = 768;
+
+/**
+ * 估算一段文本的 token 数
+ * @param {string} text - 文本
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const cjk = (text.match(CJK_PATTERN) || []).length;
+  const rest = text.length - cjk;
+  return cjk + Math.ceil(rest / 4);
+}
+
+/**
+ * 把 OpenAI 消息和工具定义渲染成一段纯文本，交给上游 tokenizer 或估算器
+ * @param {Array<Object>} messages - OpenAI 消息数组
+ * @param {Array<Object>} [tools] - OpenAI tools
+ * @returns {{ text: string, images: number }}
+ */
+function renderForCounting(messages, tools) {
+  let images = 0;
+  const lines = [];
+  for (const m of messages) {
+    let text = "";
+    if (typeof m.content === "string") {
+      text = m.content;
+    } else if (Array.isArray(m.content)) {
+      for (const part of m.content) {
+        if (part.type === "text") text += part.text;
+        else if (part.type === "image_url") images++;
+      }
+    }
+    if (m.tool_calls) text += JSON.stringify(m.tool_calls.map(c => c.function));
+    lines.push(`${m.role}: ${text}`);
+  }
+  if (tools?.length) lines.push(`tools: ${JSON.stringify(tools.map(t => t.function))}`);
+  return { text: lines.join("\n"), images };
+}
+
+/**
+ * 不依赖上游的 token 估算
+ * @param {Array<Object>} messages - OpenAI 消息数组
+ * @param {Array<Object>} [tools] - OpenAI tools
+ * @returns {number}
+ */
+function estimateMessagesTokens(messages, tools) {
+  const { text, images } = renderForCounting(messages, tools);
+  return estimateTokens(text) + messages.length * PER_MESSAGE_TOKENS + PRIMING_TOKENS + images * IMAGE_TOKENS;
+}
+
+// 返回过 404 / 405 的上游（如没有 /api/tokenize 的官方 Ollama）：之后直接估算，不再每次白跑一趟
+const noTokenizer = new WeakSet();
+
+/**
+ * 调用上游 tokenizer：Ollama 的 /api/tokenize、llama.cpp 的 /tokenize
+ * @param {Object} upstream - { baseUrl, kind }
+ * @param {string} model - 模型名
+ * @param {string} text - 待计数文本
+ * @param {number} [timeoutMs] - 超时
+ * @returns {Promise<number|null>} - token 数；上游不支持或失败时返回 null（不支持的上游会被记住，之后直接返回 null）
+ */
+async function tokenizeUpstream(upstream, model, text, timeoutMs = 5000) {
+  let pathname;
+  let body;
+  if (upstream.kind === "ollama") {
+    pathname = "/api/tokenize";
+    body = { model, text };
+  } else if (upstream.kind === "llamacpp") {
+    pathname = "/tokenize";
+    body = { content: text };
+  } else {
+    return null;
+  }
+  if (noTokenizer.has(upstream)) return null;
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), timeoutMs);
+  try {
+    const r = await fetch(new URL(pathname, upstream.baseUrl).toString(), {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+      signal: ac.signal
+    });
+    if (r.status === 404 || r.status === 405) noTokenizer.add(upstream);
+    if (!r.ok) return null;
+    const data = await r.json();
+    return Array.isArray(data?.tokens) ? data.tokens.length : null;
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+/**
+ * 统计请求的输入 token：优先用上游 tokenizer，拿不到再用估算
+ * @param {Object|undefined} upstream - 路由到的上游
+ * @param {Object} payload - OpenAI chat/completions 请求体（model / messages / tools）
+ * @returns {Promise<{ input_tokens: number, source: "tokenizer" | "estimate" }>}
+ */
+async function countInputTokens(upstream, payload) {
+  const { text, images } = renderForCounting(payload.messages, payload.tools);
+  const counted = upstream ? await tokenizeUpstream(upstream, payload.model, text) : null;
+  if (counted === null) {
+    return { input_tokens: estimateMessagesTokens(payload.messages, payload.tools), source: "estimate" };
+  }
+  // tokenizer 只认文本，图片仍按估算值计
+  return { input_tokens: counted + images * IMAGE_TOKENS, source: "tokenizer" };
+}
+
+export { estimateTokens, estimateMessagesTokens, renderForCounting, tokenizeUpstream, countInputTokens };
@@ -0,0 +1,291 @@
+import crypto from "node:crypto";
+import fetch from "node-fetch";
+
+// OpenAI 采样字段 → Ollama options 字段；Ollama 的 /v1/chat/completions 兼容层不认 options / keep_alive / top_k，
+// 所以 kind 为 ollama 的上游改走原生 /api/chat，由这里在两种格式之间转换
+const OPTION_FIELDS = {
+  temperature: "temperature",
+  top_p: "top_p",
+  top_k: "top_k",
+  max_tokens: "num_predict",
+  stop: "stop",
+  seed: "seed",
+  presence_penalty: "presence_penalty",
+  frequency_penalty: "frequency_penalty"
+};
+
+const DATA_URI = /^data:[^;,]+;base64,(.*)$/s;
+const REMOTE_URL = /^https?:\/\//i;
+// 原生接口只收 base64 图片，http(s) 图片由代理下载；限制大小和耗时，避免一张图拖住请求
+const IMAGE_MAX_BYTES = 20 * 1024 * 1024;
+const IMAGE_TIMEOUT_MS = 30000;
+
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.type = "invalid_request_error";
+  return err;
+}
+
+function imageUrl(part) {
+  const url = part?.type === "image_url" ? part.image_url?.url ?? part.image_url : null;
+  return typeof url === "string" ? url : null;
+}
+
+/**
+ * 下载请求里的 http(s) 图片，转成 base64 交给 toOllamaChat
+ * @param {Object} payload - OpenAI chat/completions 请求体
+ * @param {AbortSignal} [signal] - 客户端断开时中止下载
+ * @returns {Promise<Map<string, string>>} - 图片地址 → base64
+ * @throws {Error} 下载失败、不是图片或超过 20MB 时抛出 err.status = 400 的错误
+ */
+async function downloadImages(payload, signal) {
+  const images = new Map();
+  for (const m of payload.messages) {
+    if (!Array.isArray(m.content)) continue;
+    for (const url of m.content.map(imageUrl)) {
+      if (!url || !REMOTE_URL.test(url) || images.has(url)) continue;
+      images.set(url, await downloadImage(url, signal));
+    }
+  }
+  return images;
+}
+
+async function downloadImage(url, signal) {
+  signal?.throwIfAborted();
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), IMAGE_TIMEOUT_MS);
+  const onAbort = () => ac.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  try {
+    const r = await fetch(url, { signal: ac.signal, size: IMAGE_MAX_BYTES });
+    if (!r.ok) throw invalidRequest(`could not download image ${url}: HTTP ${r.status}`);
+    const type = r.headers.get("content-type") || "";
+    if (!type.startsWith("image/")) throw invalidRequest(`could not download image ${url}: content-type is ${type || "missing"}, not an image`);
+    return Buffer.from(await r.arrayBuffer()).toString("base64");
+  } catch (e) {
+    if (signal?.aborted || e.type === "invalid_request_error") throw e;
+    const reason = ac.signal.aborted ? `no response within ${IMAGE_TIMEOUT_MS / 1000}s` : e.message;
+    throw invalidRequest(`could not download image ${url}: ${reason}`);
+  } finally {
+    clearTimeout(t);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+function toolArguments(args) {
+  if (typeof args !== "string") return args ?? {};
+  try {
+    return JSON.parse(args);
+  } catch {
+    // 模型之前生成的参数不是合法 JSON 时原样带回去，不让整个请求失败
+    return { arguments: args };
+  }
+}
+
+function convertMessage(m, toolNames, downloaded) {
+  const out = { role: m.role };
+  if (typeof m.content === "string" || m.content === null || m.content === undefined) {
+    out.content = m.content ?? "";
+  } else {
+    // content parts：文字拼接，图片以 base64 放进 images（data URI 直接取出，http(s) 地址用 downloadImages 下载好的内容）
+    const texts = [];
+    const images = [];
+    for (const part of m.content) {
+      if (part?.type === "text") texts.push(part.text);
+      const url = imageUrl(part);
+      if (!url) continue;
+      const match = DATA_URI.exec(url);
+      if (match) images.push(match[1]);
+      else if (downloaded.has(url)) images.push(downloaded.get(url));
+      else throw invalidRequest(`image ${url.slice(0, 100)} cannot be sent to Ollama: only base64 data and http(s) URLs are supported`);
+    }
+    out.content = texts.join("\n");
+    if (images.length) out.images = images;
+  }
+  if (m.tool_calls?.length) {
+    out.tool_calls = m.tool_calls.map(call => {
+      toolNames.set(call.id, call.function?.name);
+      return { function: { name: call.function?.name, arguments: toolArguments(call.function?.arguments) } };
+    });
+  }
+  if (m.role === "tool" && toolNames.has(m.tool_call_id)) out.tool_name = toolNames.get(m.tool_call_id);
+  return out;
+}
+
+/**
+ * tool_choice 要求必须调用工具（"required" 或指定函数）时可选的工具，其余情况为 null
+ * @param {Object} payload - OpenAI chat/completions 请求体
+ * @returns {Array<Object>|null}
+ * @throws {Error} 指定的函数不在 tools 里时抛出 err.status = 400 的错误
+ */
+function forcedTools(payload) {
+  if (!payload.tools?.length) return null;
+  if (payload.tool_choice === "required") return payload.tools;
+  const name = payload.tool_choice?.function?.name;
+  if (!name) return null;
+  const tools = payload.tools.filter(t => t.function?.name === name);
+  if (!tools.length) throw invalidRequest(`tool_choice: tool ${name} is not in tools`);
+  return tools;
+}
+
+// 强制调用时约束输出的 JSON schema：{ name, arguments }，每个工具一个分支
+function forcedCallSchema(tools) {
+  const branches = tools.map(t => ({
+    type: "object",
+    properties: {
+      name: { type: "string", enum: [t.function.name] },
+      arguments: t.function.parameters || { type: "object" }
+    },
+    required: ["name", "arguments"]
+  }));
+  return branches.length === 1 ? branches[0] : { anyOf: branches };
+}
+
+function forcedCallInstruction(tools) {
+  const list = tools.map(t => ({ name: t.function.name, description: t.function.description, parameters: t.function.parameters }));
+  return `You must call one of the following tools now. Reply with only a JSON object {"name": <tool name>, "arguments": <arguments object>}.\n${JSON.stringify(list)}`;
+}
+
+// 把强制调用时模型输出的 JSON 转回工具调用；不是合法调用时返回 null，按普通文本处理
+function parseForcedCall(text, tools) {
+  let call;
+  try {
+    call = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!tools.some(t => t.function.name === call?.name)) return null;
+  return { function: { name: call.name, arguments: call.arguments ?? {} } };
+}
+
+/**
+ * OpenAI chat/completions 请求体 → Ollama /api/chat 请求体
+ * 采样参数放进 options（并合并 payload.options，如 num_ctx），keep_alive 原样带上。
+ * 原生接口没有 tool_choice："none" 不带 tools；"required" / 指定函数时不带 tools，改为追加一条 system 说明，
+ * 并用 format 把输出约束成 { name, arguments }，回复由 ollamaChatToOpenAI / ollamaStreamToChunks 转回 tool_calls
+ * （此时忽略 response_format）
+ * @param {Object} payload - OpenAI chat/completions 请求体（含 stream，可带 options / keep_alive）
+ * @param {Map<string, string>} [downloaded] - downloadImages 的结果（http(s) 图片地址 → base64）
+ * @returns {Object}
+ * @throws {Error} 有无法发送的图片或 tool_choice 指定的函数不存在时抛出 err.status = 400 的错误
+ */
+function toOllamaChat(payload, downloaded = new Map()) {
+  const toolNames = new Map();
+  const body = {
+    model: payload.model,
+    messages: payload.messages.map(m => convertMessage(m, toolNames, downloaded)),
+    stream: !!payload.stream
+  };
+  const options = { ...payload.options };
+  for (const [from, to] of Object.entries(OPTION_FIELDS)) {
+    if (payload[from] !== undefined && payload[from] !== null) options[to] = payload[from];
+  }
+  if (Object.keys(options).length) body.options = options;
+  const forced = forcedTools(payload);
+  const format = payload.response_format;
+  if (format?.type === "json_object") body.format = "json";
+  if (format?.type === "json_schema" && format.json_schema?.schema) body.format = format.json_schema.schema;
+  if (forced) {
+    body.messages.push({ role: "system", content: forcedCallInstruction(forced) });
+    body.format = forcedCallSchema(forced);
+  } else if (payload.tools?.length && payload.tool_choice !== "none") {
+    body.tools = payload.tools;
+  }
+  if (payload.keep_alive !== undefined) body.keep_alive = payload.keep_alive;
+  return body;
+}
+
+function toolCallsToOpenAI(calls) {
+  return calls.map(call => ({
+    id: `call_${crypto.randomBytes(12).toString("hex")}`,
+    type: "function",
+    function: {
+      name: call.function?.name ?? "",
+      arguments: typeof call.function?.arguments === "string" ? call.function.arguments : JSON.stringify(call.function?.arguments ?? {})
+    }
+  }));
+}
+
+function finishReason(data, usedTools) {
+  if (usedTools) return "tool_calls";
+  return data.done_reason === "length" ? "length" : "stop";
+}
+
+function usageOf(data) {
+  const prompt = data.prompt_eval_count ?? 0;
+  const completion = data.eval_count ?? 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+/**
+ * Ollama /api/chat 的非流式响应 → OpenAI chat.completion
+ * @param {Object} data - { model, message: { content, thinking?, tool_calls? }, done_reason, prompt_eval_count, eval_count }
+ * @param {Object} [request] - 对应的 OpenAI 请求体（强制调用工具时把输出的 JSON 转回 tool_calls）
+ * @returns {Object}
+ */
+function ollamaChatToOpenAI(data, request) {
+  const m = data.message || {};
+  const message = { role: "assistant", content: m.content ?? "" };
+  if (m.thinking) message.reasoning_content = m.thinking;
+  const forced = request && forcedTools(request);
+  const call = forced && !m.tool_calls?.length && parseForcedCall(message.content, forced);
+  if (call) message.content = "";
+  const calls = call ? [call] : m.tool_calls;
+  if (calls?.length) message.tool_calls = toolCallsToOpenAI(calls);
+  return {
+    object: "chat.completion",
+    model: data.model,
+    choices: [{ index: 0, message, finish_reason: finishReason(data, !!message.tool_calls) }],
+    usage: usageOf(data)
+  };
+}
+
+/**
+ * Ollama /api/chat 的流式响应（NDJSON）→ OpenAI chat.completion.chunk
+ * 最后一行（done: true）转成带 finish_reason 的 chunk 和只带 usage 的 chunk；
+ * 强制调用工具时正文先攒着，结束时整段转成一个工具调用（不是合法调用时原样作为正文发出）
+ * @param {AsyncIterable<Buffer>} body - 响应 body
+ * @param {Object} [request] - 对应的 OpenAI 请求体
+ * @throws {Error} 上游在流中途报错（{ error }）时抛出
+ */
+async function* ollamaStreamToChunks(body, request) {
+  let buf = "";
+  let toolIndex = 0;
+  let model;
+  const forced = request && forcedTools(request);
+  let forcedText = "";
+  const chunk = (choices, extra) => ({ object: "chat.completion.chunk", model, choices, ...extra });
+  const toChunks = function* (data) {
+    if (data.error) throw new Error(`ollama_stream: ${data.error}`);
+    model = data.model ?? model;
+    const m = data.message || {};
+    const delta = {};
+    if (m.content && forced) forcedText += m.content;
+    else if (m.content) delta.content = m.content;
+    if (m.thinking) delta.reasoning_content = m.thinking;
+    if (m.tool_calls?.length) delta.tool_calls = toolCallsToOpenAI(m.tool_calls).map(call => ({ index: toolIndex++, ...call }));
+    if (Object.keys(delta).length) yield chunk([{ index: 0, delta, finish_reason: null }]);
+    if (data.done) {
+      if (forcedText) {
+        const call = toolIndex === 0 && parseForcedCall(forcedText, forced);
+        const end = call ? { tool_calls: toolCallsToOpenAI([call]).map(c => ({ index: toolIndex++, ...c })) } : { content: forcedText };
+        yield chunk([{ index: 0, delta: end, finish_reason: null }]);
+      }
+      yield chunk([{ index: 0, delta: {}, finish_reason: finishReason(data, toolIndex > 0) }]);
+      yield chunk([], { usage: usageOf(data) });
+    }
+  };
+  for await (const part of body) {
+    buf += part.toString("utf8");
+    let nl;
+    while ((nl = buf.indexOf("\n")) >= 0) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (line) yield* toChunks(JSON.parse(line));
+    }
+  }
+  if (buf.trim()) yield* toChunks(JSON.parse(buf));
+}
+
+export { toOllamaChat, downloadImages, ollamaChatToOpenAI, ollamaStreamToChunks };
@@ -0,0 +1,319 @@
+import fs from "node:fs";
+import fetch from "node-fetch";
+import { ModelInventory, normalizeModelName } from "../models/inventory.js";
+import { globToRegExp } from "../routing/rules.js";
+import { toOllamaChat, downloadImages } from "./ollamaChat.js";
+
+const KINDS = new Set(["ollama", "openai", "llamacpp"]);
+
+/**
+ * 校验单个上游配置
+ * @param {Object} raw - { name, baseUrl, kind?, models?, weight?, timeoutMs?, maxInflight? }
+ * @param {number} i - 下标（用于报错）
+ * @param {Object} defaults - { timeoutMs }
+ * @returns {Object} - 规范化后的上游配置
+ */
+function normalizeUpstream(raw, i, defaults) {
+  const where = `upstreams[${i}]`;
+  if (typeof raw !== "object" || raw === null) throw new Error(`${where} must be an object`);
+  if (typeof raw.baseUrl !== "string" || !raw.baseUrl) throw new Error(`${where}.baseUrl is required`);
+  try {
+    new URL(raw.baseUrl);
+  } catch {
+    throw new Error(`${where}.baseUrl is not a valid URL: ${raw.baseUrl}`);
+  }
+  const kind = raw.kind || "ollama";
+  if (!KINDS.has(kind)) throw new Error(`${where}.kind must be one of ${[...KINDS].join("|")}`);
+  if (raw.models !== undefined && (!Array.isArray(raw.models) || raw.models.some(m => typeof m !== "string"))) {
+    throw new Error(`${where}.models must be an array of strings`);
+  }
+  const weight = raw.weight ?? 1;
+  if (typeof weight !== "number" || !(weight > 0)) throw new Error(`${where}.weight must be a positive number`);
+  const timeoutMs = raw.timeoutMs ?? defaults.timeoutMs;
+  if (typeof timeoutMs !== "number" || !(timeoutMs > 0)) throw new Error(`${where}.timeoutMs must be a positive number`);
+  if (raw.maxInflight !== undefined && (!Number.isInteger(raw.maxInflight) || raw.maxInflight < 1)) {
+    throw new Error(`${where}.maxInflight must be a positive integer`);
+  }
+  return {
+    name: typeof raw.name === "string" && raw.name ? raw.name : `upstream${i}`,
+    baseUrl: raw.baseUrl,
+    kind,
+    models: raw.models,
+    weight,
+    timeoutMs,
+    maxInflight: raw.maxInflight
+  };
+}
+
+/**
+ * 读取上游列表：UPSTREAMS_FILE（JSON 文件）> UPSTREAMS_JSON（内联 JSON）> 单个 Ollama
+ * @param {Object} env - process.env
+ * @param {Object} defaults - { baseUrl, timeoutMs }
+ * @returns {Array<Object>}
+ */
+function loadUpstreamsConfig(env, defaults) {
+  let raw;
+  if (env.UPSTREAMS_FILE) {
+    try {
+      raw = JSON.parse(fs.readFileSync(env.UPSTREAMS_FILE, "utf8"));
+    } catch (e) {
+      throw new Error(`UPSTREAMS_FILE ${env.UPSTREAMS_FILE}: ${e.message}`);
+    }
+  } else if (env.UPSTREAMS_JSON) {
+    try {
+      raw = JSON.parse(env.UPSTREAMS_JSON);
+    } catch (e) {
+      throw new Error(`UPSTREAMS_JSON invalid JSON: ${e.message}`);
+    }
+  } else {
+    raw = [{ name: "ollama", baseUrl: defaults.baseUrl, kind: "ollama" }];
+  }
+  if (!Array.isArray(raw) || raw.length === 0) throw new Error("upstreams must be a non-empty array");
+  return raw.map((u, i) => normalizeUpstream(u, i, defaults));
+}
+
+/**
+ * 上游连接失败、5xx、404（模型不在这台机器上）时可以换下一个上游重试
+ * @param {Error} err - fetchFromUpstreams 抛出的错误
+ * @returns {boolean}
+ */
+function isFailoverable(err) {
+  if (err.name === "AbortError") return false;
+  if (err.status) return err.status >= 500 || err.status === 404;
+  return true;
+}
+
+/**
+ * 多个 OpenAI 兼容上游（Ollama / llama.cpp server / LM Studio）
+ * 后台定期探测健康状态与模型清单，按模型挑选健康的上游，首字节前失败时切换到下一个
+ */
+class UpstreamPool {
+  constructor(upstreams, options = {}) {
+    this.probeIntervalMs = options.probeIntervalMs ?? 15000;
+    this.upstreams = upstreams.map(cfg => ({
+      ...cfg,
+      modelPatterns: cfg.models ? cfg.models.map(globToRegExp) : null,
+      inventory: new ModelInventory(cfg.baseUrl, {
+        kind: cfg.kind,
+        ttlMs: this.probeIntervalMs,
+        timeoutMs: options.probeTimeoutMs ?? 3000
+      }),
+      // null 表示还没探测过，先当作可用
+      healthy: null,
+      lastError: null,
+      requests: 0,
+      failures: 0
+    }));
+    this._timer = null;
+  }
+
+  /** 启动后台健康探测 */
+  start() {
+    if (this._timer) return;
+    this.probeAll();
+    this._timer = setInterval(() => this.probeAll(), this.probeIntervalMs);
+    this._timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  async probeAll() {
+    await Promise.all(this.upstreams.map(u => this.probe(u)));
+  }
+
+  async probe(u) {
+    await u.inventory.refresh();
+    u.healthy = u.inventory.lastError === null;
+    u.lastError = u.inventory.lastError;
+  }
+
+  /**
+   * 上游是否提供某个模型：配置了 models 时按通配符匹配，否则看探测到的清单
+   * 清单还为空（未探测/探测失败）时不排除，交给请求本身去试
+   */
+  serves(u, model) {
+    if (u.modelPatterns) return u.modelPatterns.some(re => re.test(model));
+    if (!u.inventory.models.length) return true;
+    const want = normalizeModelName(model);
+    return u.inventory.models.some(m => normalizeModelName(m.name) === want);
+  }
+
+  /**
+   * 按优先级返回可以处理该模型的上游：健康的按权重随机排序在前，不健康的兜底
+   * @param {string} model - 模型名
+   * @returns {Array<Object>}
+   */
+  candidates(model) {
+    const serving = this.upstreams.filter(u => this.serves(u, model));
+    // 加权随机排序：key = random^(1/weight)，权重越大越靠前
+    const weighted = list => list
+      .map(u => ({ u, key: Math.random() ** (1 / u.weight) }))
+      .sort((a, b) => b.key - a.key)
+      .map(x => x.u);
+    return [
+      ...weighted(serving.filter(u => u.healthy !== false)),
+      ...weighted(serving.filter(u => u.healthy === false))
+    ];
+  }
+
+  markSuccess(u) {
+    u.healthy = true;
+    u.lastError = null;
+  }
+
+  markFailure(u, err) {
+    u.failures++;
+    // 连不上才判定为不健康；HTTP 错误说明服务还活着
+    if (!err.status) {
+      u.healthy = false;
+      u.lastError = err.message;
+    }
+  }
+
+  /**
+   * 所有上游已安装模型的合集：[{ name, size, modified_at, upstreams }]
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    await Promise.all(this.upstreams.map(u => u.inventory.list()));
+    const byName = new Map();
+    for (const u of this.upstreams) {
+      for (const m of u.inventory.models) {
+        const entry = byName.get(m.name) || { ...m, upstreams: [] };
+        entry.upstreams.push(u.name);
+        byName.set(m.name, entry);
+      }
+    }
+    return [...byName.values()];
+  }
+
+  find(name) {
+    for (const u of this.upstreams) {
+      const m = u.inventory.find(name);
+      if (m) return m;
+    }
+    return undefined;
+  }
+
+  largest() {
+    return this.upstreams
+      .map(u => u.inventory.largest())
+      .filter(Boolean)
+      .sort((a, b) => b.size - a.size)[0];
+  }
+
+  smallest() {
+    return this.upstreams
+      .map(u => u.inventory.smallest())
+      .filter(Boolean)
+      .sort((a, b) => a.size - b.size)[0];
+  }
+
+  /** /health 展示用的上游状态 */
+  status() {
+    return this.upstreams.map(u => ({
+      name: u.name,
+      baseUrl: u.baseUrl,
+      kind: u.kind,
+      healthy: u.healthy,
+      lastError: u.lastError,
+      lastProbeAt: u.inventory.fetchedAt ? new Date(u.inventory.fetchedAt).toISOString() : null,
+      probeLatencyMs: u.inventory.latencyMs,
+      weight: u.weight,
+      timeoutMs: u.timeoutMs,
+      maxInflight: u.maxInflight ?? null,
+      models: u.models || u.inventory.models.map(m => m.name),
+      requests: u.requests,
+      failures: u.failures
+    }));
+  }
+}
+
+/**
+ * 依次尝试可用上游发起 chat/completions，直到拿到成功的响应头
+ * 返回后由调用方读取 body，读完（或出错）后必须调用 done() 清理超时定时器；
+ * native 为 true 时 body 是 Ollama /api/chat 的格式，需用 ollamaChat.js 转换
+ * @param {UpstreamPool} pool - 上游池
+ * @param {Object} payload - OpenAI chat/completions 请求体（含 stream）
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - 客户端断开时 abort，中止上游请求（包括之后读取 body）且不再切换上游
+ * @param {Object} [options.prefer] - 优先尝试的上游（调度器已为它占好并发名额），失败时照常切换
+ * @returns {Promise<{ response: Object, upstream: Object, signal: AbortSignal, done: () => void, native: boolean }>}
+ */
+async function fetchFromUpstreams(pool, payload, options = {}) {
+  const { signal, prefer } = options;
+  let candidates = pool.candidates(payload.model);
+  if (prefer && candidates.includes(prefer)) candidates = [prefer, ...candidates.filter(u => u !== prefer)];
+  if (!candidates.length) {
+    const err = new Error(`model ${payload.model} not found on any upstream`);
+    err.status = 404;
+    err.model = payload.model;
+    throw err;
+  }
+  let lastErr;
+  let images;
+  for (const u of candidates) {
+    signal?.throwIfAborted();
+    // Ollama 走原生 /api/chat（兼容层会忽略 options / keep_alive）；options 和 keep_alive 是 Ollama 专有字段，其他上游不认识，
+    // top_k 只有 llama.cpp 的兼容接口支持，OpenAI 会以未知参数拒绝。
+    // 原生接口不接受图片地址，第一次用到时下载；下载失败或无法转换是请求本身的问题（400），不切换上游
+    const native = u.kind === "ollama";
+    if (native) images ??= await downloadImages(payload, signal);
+    const body = native
+      ? toOllamaChat(payload, images)
+      : { ...payload, options: undefined, keep_alive: undefined, top_k: u.kind === "llamacpp" ? payload.top_k : undefined };
+    const ac = new AbortController();
+    const t = setTimeout(() => ac.abort(), u.timeoutMs);
+    const onAbort = () => ac.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const done = () => {
+      clearTimeout(t);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    u.requests++;
+    try {
+      const r = await fetch(new URL(native ? "/api/chat" : "/v1/chat/completions", u.baseUrl).toString(), {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(body),
+        signal: ac.signal
+      });
+      if (!r.ok) {
+        const txt = await r.text();
+        let data;
+        try { data = JSON.parse(txt); } catch { data = { raw: txt }; }
+        // 包含详细的错误信息在错误消息中
+        let errorMsg = `ollama_${payload.stream ? "stream_" : ""}http_${r.status}`;
+        if (data?.error?.message) {
+          errorMsg += `: ${data.error.message}`;
+        } else if (typeof data?.error === "string") {
+          errorMsg += `: ${data.error}`;
+        } else if (txt) {
+          errorMsg += `: ${txt}`;
+        }
+        const err = new Error(errorMsg);
+        err.status = r.status;
+        err.detail = data;
+        err.upstream = u.name;
+        err.model = payload.model;
+        throw err;
+      }
+      pool.markSuccess(u);
+      return { response: r, upstream: u, signal: ac.signal, done, native };
+    } catch (e) {
+      done();
+      // 客户端主动取消不算上游故障
+      if (signal?.aborted) throw e;
+      pool.markFailure(u, e);
+      lastErr = e;
+      if (!isFailoverable(e)) throw e;
+      console.warn(`UPSTREAM ${u.name} failed for ${payload.model}: ${e.message}`);
+    }
+  }
+  throw lastErr;
+}
+
+export { UpstreamPool, loadUpstreamsConfig, fetchFromUpstreams, isFailoverable };
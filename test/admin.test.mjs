@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { validateSettingsPatch, mergeSettings, loadSettingsFile, saveSettingsFile } from "../src/admin/settings.js";
+import { InflightRequests } from "../src/admin/inflight.js";
+
+const known = { upstreams: ["gpu", "cpu"], keys: ["main"] };
+const current = {
+  maxInflight: 1,
+  modelConcurrency: { "qwen3:0.6b": 2 },
+  maxHeavyInflight: 0,
+  queueMaxLength: 64,
+  queueMaxWaitMs: 300000,
+  timeoutMs: 600000,
+  authFailuresPerMinute: 30,
+  upstreams: { gpu: { timeoutMs: 600000, maxInflight: 2 }, cpu: { timeoutMs: 600000 } },
+  keys: { main: { requestsPerMinute: 60 } }
+};
+
+test("validateSettingsPatch checks fields, limits and names", () => {
+  assert.equal(validateSettingsPatch({ maxInflight: 2, modelConcurrency: { "qwen3:0.6b": null, "deepseek*": 1 } }, known), null);
+  assert.equal(validateSettingsPatch({ upstreams: { gpu: { maxInflight: null } }, keys: { main: { tokensPerDay: 1000 } } }, known), null);
+  assert.match(validateSettingsPatch(null, known), /^body: must be an object/);
+  assert.match(validateSettingsPatch({ maxInflight: 0 }, known), /^maxInflight: must be an integer >= 1/);
+  assert.match(validateSettingsPatch({ queueMaxLength: -1 }, known), /^queueMaxLength: must be an integer >= 0/);
+  assert.match(validateSettingsPatch({ cache: true }, known), /^cache: unknown setting/);
+  assert.match(validateSettingsPatch({ modelConcurrency: { x: 1.5 } }, known), /^modelConcurrency\.x: must be a positive integer or null/);
+  assert.match(validateSettingsPatch({ upstreams: { nope: {} } }, known), /^upstreams\.nope: unknown upstream/);
+  assert.match(validateSettingsPatch({ upstreams: { gpu: { timeoutMs: null } } }, known), /^upstreams\.gpu\.timeoutMs: must be a positive integer$/);
+  assert.match(validateSettingsPatch({ upstreams: { gpu: { baseUrl: "http://x" } } }, known), /cannot be changed at runtime/);
+  assert.match(validateSettingsPatch({ keys: { other: {} } }, known), /^keys\.other: unknown key/);
+});
+
+test("mergeSettings applies patches without touching the current settings", () => {
+  const next = mergeSettings(current, {
+    maxInflight: 3,
+    timeoutMs: 120000,
+    modelConcurrency: { "qwen3:0.6b": null, "deepseek*": 1 },
+    upstreams: { gpu: { timeoutMs: 900000, maxInflight: null } },
+    keys: { main: { requestsPerMinute: null, maxConcurrency: 2 } }
+  });
+  assert.equal(next.maxInflight, 3);
+  assert.deepEqual(next.modelConcurrency, { "deepseek*": 1 });
+  // 顶层 timeoutMs 作用于所有上游，同时指定的单个上游优先
+  assert.deepEqual(next.upstreams, { gpu: { timeoutMs: 900000 }, cpu: { timeoutMs: 120000 } });
+  assert.deepEqual(next.keys, { main: { maxConcurrency: 2 } });
+  assert.equal(current.maxInflight, 1);
+  assert.deepEqual(current.upstreams.gpu, { timeoutMs: 600000, maxInflight: 2 });
+});
+
+test("settings files round-trip and missing files load as null", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "settings-"));
+  try {
+    const file = join(dir, "runtime.json");
+    assert.equal(loadSettingsFile(file), null);
+    await saveSettingsFile(file, current);
+    assert.deepEqual(loadSettingsFile(file), current);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("InflightRequests lists oldest first and cancels once", () => {
+  const requests = new InflightRequests();
+  const older = new AbortController();
+  const newer = new AbortController();
+  requests.add({ requestId: "req_b", startedAt: 2 }, newer);
+  requests.add({ requestId: "req_a", startedAt: 1 }, older);
+  assert.deepEqual(requests.list().map(t => t.requestId), ["req_a", "req_b"]);
+
+  const trace = requests.cancel("req_a", "ops");
+  assert.equal(trace.cancelledBy, "ops");
+  assert.equal(older.signal.aborted, true);
+  assert.equal(requests.cancel("req_a", "ops"), null);
+  assert.equal(requests.cancel("req_missing", "ops"), null);
+
+  requests.remove("req_a");
+  assert.equal(requests.size, 1);
+});
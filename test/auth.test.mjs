@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { KeyRegistry, loadApiKeys, credentialFromHeaders } from "../src/auth/keys.js";
+import { TokenBuckets, KeyQuotas } from "../src/auth/rateLimit.js";
+
+// 可手动拨动的时钟
+function clock(start = 1_000_000) {
+  const c = { t: start, now: () => c.t };
+  return c;
+}
+
+test("loadApiKeys falls back to PROXY_BEARER as an unlimited admin key", () => {
+  const [key] = loadApiKeys({ PROXY_BEARER: "secret" });
+  assert.equal(key.name, "default");
+  assert.equal(key.admin, true);
+  assert.equal(key.requestsPerMinute, undefined);
+  assert.equal(new KeyRegistry([key]).lookup("secret"), key);
+});
+
+test("loadApiKeys validates the registry", () => {
+  const load = keys => loadApiKeys({ API_KEYS_JSON: JSON.stringify(keys) });
+  assert.throws(() => load([]), /non-empty array/);
+  assert.throws(() => load([{ key: "k" }]), /keys\[0\]\.name is required/);
+  assert.throws(() => load([{ name: "a" }]), /needs key or keySha256/);
+  assert.throws(() => load([{ name: "a", key: "k", requestsPerMinute: 0 }]), /requestsPerMinute must be a positive integer/);
+  assert.throws(() => load([{ name: "a", key: "k" }, { name: "a", key: "j" }]), /duplicate key name: a/);
+});
+
+test("KeyRegistry matches plaintext and sha256 keys and filters models", () => {
+  const hash = createHash("sha256").update("hashed-key").digest("hex");
+  const registry = new KeyRegistry(loadApiKeys({
+    API_KEYS_JSON: JSON.stringify([
+      { name: "plain", key: "plain-key", models: ["qwen3:*"] },
+      { name: "hashed", keySha256: hash }
+    ])
+  }));
+  assert.equal(registry.lookup("plain-key").name, "plain");
+  assert.equal(registry.lookup("hashed-key").name, "hashed");
+  assert.equal(registry.lookup("nope"), null);
+  assert.equal(registry.lookup(""), null);
+  assert.equal(registry.lookup("plain-key").allowsModel("qwen3:0.6b"), true);
+  assert.equal(registry.lookup("plain-key").allowsModel("qwen2.5:7b"), false);
+  assert.equal(registry.lookup("hashed-key").allowsModel("anything"), true);
+});
+
+test("credentialFromHeaders accepts x-api-key and Authorization: Bearer", () => {
+  assert.equal(credentialFromHeaders({ "x-api-key": "a" }), "a");
+  assert.equal(credentialFromHeaders({ authorization: "Bearer b" }), "b");
+  assert.equal(credentialFromHeaders({ "x-api-key": "a", authorization: "Bearer b" }), "a");
+  assert.equal(credentialFromHeaders({ authorization: "Basic xyz" }), null);
+  assert.equal(credentialFromHeaders({}), null);
+});
+
+test("TokenBuckets refill over time and evict full buckets", () => {
+  const c = clock();
+  const buckets = new TokenBuckets({ now: c.now, sweepIntervalMs: 1000 });
+  const limit = { capacity: 2, periodMs: 60000 };
+  assert.equal(buckets.take("a", limit).ok, true);
+  const second = buckets.take("a", limit);
+  assert.deepEqual({ ok: second.ok, remaining: second.remaining }, { ok: true, remaining: 0 });
+  const third = buckets.take("a", limit);
+  assert.equal(third.ok, false);
+  assert.equal(third.retryAfterMs, 30000);
+  assert.equal(third.resetMs, 60000);
+
+  c.t += 30000;
+  assert.equal(buckets.take("a", limit).ok, true);
+  buckets.take("b", limit);
+  assert.equal(buckets.size, 2);
+
+  // 两个桶都补满之后，下一次访问时被清掉
+  c.t += 120000;
+  buckets.take("c", limit);
+  assert.equal(buckets.size, 1);
+});
+
+test("KeyQuotas enforce concurrency, requests per minute and tokens per day", () => {
+  const c = clock();
+  const quotas = new KeyQuotas({ now: c.now });
+  const key = { name: "k", requestsPerMinute: 10, tokensPerDay: 100, maxConcurrency: 1 };
+
+  const first = quotas.acquire(key);
+  assert.equal(first.ok, true);
+  assert.equal(first.headers["anthropic-ratelimit-requests-remaining"], "9");
+  assert.equal(first.headers["anthropic-ratelimit-tokens-remaining"], "100");
+  const busy = quotas.acquire(key);
+  assert.equal(busy.ok, false);
+  assert.match(busy.message, /concurrency limit of 1/);
+
+  first.release();
+  first.release();
+  quotas.chargeTokens(key, 150);
+  const broke = quotas.acquire(key);
+  assert.equal(broke.ok, false);
+  assert.match(broke.message, /daily token limit of 100/);
+  assert.equal(broke.headers["anthropic-ratelimit-tokens-remaining"], "0");
+  // 欠了 50 个，补到 1 个需要 51 / (100 / 天)
+  assert.equal(broke.retryAfterMs, Math.ceil(51 * 24 * 3600 * 1000 / 100));
+
+  const unlimited = quotas.acquire({ name: "free" });
+  assert.equal(unlimited.ok, true);
+  assert.deepEqual(unlimited.headers, {});
+});
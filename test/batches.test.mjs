@@ -0,0 +1,193 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { BatchStore, validateBatchRequest, batchObject } from "../src/batches/store.js";
+
+function tempDir() {
+  return mkdtempSync(join(tmpdir(), "batches-"));
+}
+
+const params = text => ({ model: "m", max_tokens: 10, messages: [{ role: "user", content: text }] });
+
+async function waitForEnd(store, id) {
+  for (let i = 0; i < 100; i++) {
+    if (store.get(id).processing_status === "ended") return store.get(id);
+    await new Promise(r => setTimeout(r, 10));
+  }
+  throw new Error(`batch ${id} did not end`);
+}
+
+function results(file) {
+  return readFileSync(file, "utf8").split("\n").filter(Boolean).map(l => JSON.parse(l));
+}
+
+test("validateBatchRequest checks custom ids and params", () => {
+  const ok = { requests: [{ custom_id: "a-1", params: params("x") }] };
+  assert.equal(validateBatchRequest(ok, 10), null);
+  assert.match(validateBatchRequest({}, 10), /^requests: must be a non-empty array/);
+  assert.match(validateBatchRequest({ requests: [ok.requests[0], ok.requests[0]] }, 1), /at most 1 requests/);
+  assert.match(validateBatchRequest({ requests: [ok.requests[0], ok.requests[0]] }, 10), /duplicate custom_id a-1/);
+  assert.match(validateBatchRequest({ requests: [{ custom_id: "a b", params: params("x") }] }, 10), /custom_id/);
+  assert.match(validateBatchRequest({ requests: [{ custom_id: "a", params: { messages: "hi" } }] }, 10), /params\.messages/);
+  assert.match(validateBatchRequest({ requests: [{ custom_id: "a", params: { ...params("x"), stream: true } }] }, 10), /streaming is not supported/);
+});
+
+test("BatchStore runs requests in the background and records results", async () => {
+  const dir = tempDir();
+  try {
+    const seen = [];
+    const store = new BatchStore(dir, {
+      handler: async (p, ctx) => {
+        seen.push([ctx.customId, ctx.key]);
+        if (p.messages[0].content === "boom") throw Object.assign(new Error("bad request"), { type: "invalid_request_error" });
+        return { type: "message", content: [{ type: "text", text: p.messages[0].content }] };
+      }
+    });
+    const state = await store.create([
+      { custom_id: "one", params: params("hello") },
+      { custom_id: "two", params: params("boom") }
+    ], "main");
+    assert.equal(state.request_counts.processing, 2);
+
+    const ended = await waitForEnd(store, state.id);
+    assert.deepEqual(ended.request_counts, { processing: 0, succeeded: 1, errored: 1, canceled: 0, expired: 0 });
+    assert.deepEqual(seen, [["one", "main"], ["two", "main"]]);
+    assert.deepEqual(results(await store.resultsFile(state.id)), [
+      { custom_id: "one", result: { type: "succeeded", message: { type: "message", content: [{ type: "text", text: "hello" }] } } },
+      { custom_id: "two", result: { type: "errored", error: { type: "error", error: { type: "invalid_request_error", message: "bad request" } } } }
+    ]);
+
+    const view = batchObject(ended, "http://proxy");
+    assert.equal(view.type, "message_batch");
+    assert.equal(view.results_url, `http://proxy/v1/messages/batches/${state.id}/results`);
+    assert.equal(view.key, undefined);
+
+    assert.equal(await store.remove(state.id), true);
+    assert.equal(store.get(state.id), null);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("BatchStore resumes unfinished batches after a restart", async () => {
+  const dir = tempDir();
+  try {
+    // b 永远不结束，模拟执行到一半进程退出
+    const blocked = new Promise(() => {});
+    const first = new BatchStore(dir, {
+      handler: async p => {
+        if (p.messages[0].content === "slow") await blocked;
+        return { content: [] };
+      }
+    });
+    const state = await first.create([
+      { custom_id: "a", params: params("fast") },
+      { custom_id: "b", params: params("slow") },
+      { custom_id: "c", params: params("fast") }
+    ], "main");
+    // a 完成、b 卡住时“重启”
+    await new Promise(r => setTimeout(r, 20));
+    assert.equal(first.get(state.id).request_counts.succeeded, 1);
+
+    const ran = [];
+    const second = new BatchStore(dir, { handler: async (p, ctx) => { ran.push(ctx.customId); return { content: [] }; } });
+    assert.equal(second.get(state.id).processing_status, "in_progress");
+    assert.equal(second.get(state.id).request_counts.processing, 2);
+    second.resume();
+    const ended = await waitForEnd(second, state.id);
+    assert.deepEqual(ran, ["b", "c"]);
+    assert.equal(ended.request_counts.succeeded, 3);
+    assert.deepEqual(results(await second.resultsFile(state.id)).map(r => r.custom_id), ["a", "b", "c"]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("BatchStore retries overloaded requests, cancels and expires the rest", async () => {
+  const dir = tempDir();
+  try {
+    let attempts = 0;
+    const store = new BatchStore(dir, {
+      retryDelayMs: 5,
+      isRetryable: e => e.code === "queue_full",
+      handler: (p, { signal }) => {
+        if (p.messages[0].content === "flaky" && ++attempts < 3) {
+          return Promise.reject(Object.assign(new Error("queue is full"), { code: "queue_full" }));
+        }
+        if (p.messages[0].content !== "hang") return Promise.resolve({ content: [] });
+        return new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new Error("aborted"))));
+      }
+    });
+    const retried = await store.create([{ custom_id: "f", params: params("flaky") }], "main");
+    assert.equal((await waitForEnd(store, retried.id)).request_counts.succeeded, 1);
+    assert.equal(attempts, 3);
+
+    const cancelled = await store.create([
+      { custom_id: "h", params: params("hang") },
+      { custom_id: "x", params: params("never") }
+    ], "main");
+    await new Promise(r => setTimeout(r, 10));
+    const canceling = await store.cancel(cancelled.id);
+    assert.ok(canceling.cancel_initiated_at);
+    const ended = await waitForEnd(store, cancelled.id);
+    assert.equal(ended.request_counts.canceled, 2);
+    assert.equal(await store.resultsFile("msgbatch_missing"), null);
+
+    const expiring = new BatchStore(dir, { expiryMs: -1, handler: async () => ({ content: [] }) });
+    const expired = await expiring.create([{ custom_id: "e", params: params("late") }], "main");
+    assert.equal((await waitForEnd(expiring, expired.id)).request_counts.expired, 1);
+    // 等所有写入落盘再删目录
+    assert.deepEqual(results(await expiring.resultsFile(expired.id)), [{ custom_id: "e", result: { type: "expired" } }]);
+    await store.resultsFile(cancelled.id);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("BatchStore stops retrying overloaded requests once the batch expires", async () => {
+  const dir = tempDir();
+  try {
+    let attempts = 0;
+    const store = new BatchStore(dir, {
+      expiryMs: 60,
+      retryDelayMs: 1000,
+      isRetryable: e => e.code === "queue_timeout",
+      handler: () => {
+        attempts++;
+        return Promise.reject(Object.assign(new Error("waited too long"), { code: "queue_timeout", retryAfterMs: 20 }));
+      }
+    });
+    const batch = await store.create([{ custom_id: "o", params: params("overloaded") }], "main");
+    const ended = await waitForEnd(store, batch.id);
+    assert.equal(ended.request_counts.expired, 1);
+    assert.ok(attempts >= 2);
+    assert.deepEqual(results(await store.resultsFile(batch.id)), [{ custom_id: "o", result: { type: "expired" } }]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("BatchStore lists newest first with cursors and refuses to delete running batches", async () => {
+  const dir = tempDir();
+  try {
+    const store = new BatchStore(dir, { handler: () => new Promise(() => {}) });
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      ids.push((await store.create([{ custom_id: "a", params: params(String(i)) }], i === 2 ? "other" : "main")).id);
+      await new Promise(r => setTimeout(r, 2));
+    }
+    const page = store.list({ limit: 2 });
+    assert.deepEqual(page.data.map(s => s.id), [ids[2], ids[1]]);
+    assert.equal(page.hasMore, true);
+    assert.deepEqual(store.list({ limit: 2, afterId: ids[1] }).data.map(s => s.id), [ids[0]]);
+    assert.deepEqual(store.list({ limit: 2, beforeId: ids[0] }).data.map(s => s.id), [ids[2], ids[1]]);
+    assert.deepEqual(store.list({ key: "main" }).data.map(s => s.id), [ids[1], ids[0]]);
+
+    await assert.rejects(store.remove(ids[0]), e => e.status === 400 && /cancel it before deleting/.test(e.message));
+    await assert.rejects(store.resultsFile(ids[0]), /still in_progress/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
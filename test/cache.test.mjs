@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, readdirSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { ResponseCache, cacheKey } from "../src/cache/responseCache.js";
+
+function tempDir() {
+  return mkdtempSync(join(tmpdir(), "response-cache-"));
+}
+
+test("cacheKey ignores key order and undefined fields", () => {
+  assert.equal(
+    cacheKey("anthropic", { model: "m", messages: [{ role: "user", content: "x" }], user: undefined }),
+    cacheKey("anthropic", { messages: [{ content: "x", role: "user" }], model: "m" })
+  );
+  assert.notEqual(cacheKey("anthropic", { model: "m" }), cacheKey("openai", { model: "m" }));
+  assert.notEqual(cacheKey("anthropic", { model: "m", temperature: 0 }), cacheKey("anthropic", { model: "m", temperature: 1 }));
+});
+
+test("ResponseCache stores, expires and survives restarts", async () => {
+  const dir = tempDir();
+  try {
+    const cache = new ResponseCache(dir, { ttlMs: 60000 });
+    assert.equal(await cache.get("a"), null);
+    await cache.set("a", { content: [{ type: "text", text: "hi" }] });
+    assert.deepEqual(await cache.get("a"), { content: [{ type: "text", text: "hi" }] });
+    assert.deepEqual({ hits: cache.hits, misses: cache.misses }, { hits: 1, misses: 1 });
+
+    const reopened = new ResponseCache(dir, { ttlMs: 60000 });
+    assert.equal(reopened.stats().entries, 1);
+    assert.ok(await reopened.get("a"));
+
+    const expired = new ResponseCache(dir, { ttlMs: -1 });
+    assert.equal(await expired.get("a"), null);
+    assert.deepEqual(readdirSync(dir), []);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("ResponseCache evicts the oldest entries above the size cap and purges", async () => {
+  const dir = tempDir();
+  try {
+    const cache = new ResponseCache(dir, { maxBytes: 250 });
+    await cache.set("one", { text: "x".repeat(100) });
+    await new Promise(r => setTimeout(r, 5));
+    await cache.set("two", { text: "y".repeat(100) });
+    assert.equal(await cache.get("one"), null);
+    assert.ok(await cache.get("two"));
+    assert.equal(cache.stats().evictions, 1);
+
+    assert.equal(await cache.purge(), 1);
+    assert.equal(cache.stats().entries, 0);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,102 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fitContext, groupTurns, parseContextStrategies, truncateText } from "../src/context/window.js";
+import { estimateMessagesTokens } from "../src/tokens/count.js";
+
+// 一段带工具调用的长对话：每轮 user 提问 → assistant 调工具 → tool 结果 → assistant 回答
+function conversation(turns, toolChars = 4000) {
+  const messages = [{ role: "system", content: "you are a coding agent" }];
+  for (let i = 0; i < turns; i++) {
+    messages.push({ role: "user", content: `task ${i}: ${"please fix it ".repeat(20)}` });
+    messages.push({ role: "assistant", content: "", tool_calls: [{ id: `c${i}`, type: "function", function: { name: "read", arguments: "{}" } }] });
+    messages.push({ role: "tool", tool_call_id: `c${i}`, content: `file ${i}\n${"z".repeat(toolChars)}\nEND ${i}` });
+    messages.push({ role: "assistant", content: `done ${i}` });
+  }
+  return messages;
+}
+
+test("parseContextStrategies validates strategy names", () => {
+  assert.deepEqual(parseContextStrategies("truncate_tool_results, summarize"), ["truncate_tool_results", "summarize"]);
+  assert.deepEqual(parseContextStrategies(""), []);
+  assert.throws(() => parseContextStrategies("drop_newest"), /unknown strategy drop_newest/);
+});
+
+test("groupTurns keeps tool calls and their results in the same turn", () => {
+  const { system, turns } = groupTurns(conversation(2));
+  assert.equal(system.length, 1);
+  assert.equal(turns.length, 2);
+  assert.deepEqual(turns[0].map(m => m.role), ["user", "assistant", "tool", "assistant"]);
+});
+
+test("truncateText keeps the head and the tail", () => {
+  const text = `HEAD${"a".repeat(4000)}TAIL`;
+  const out = truncateText(text, 100);
+  assert.ok(out.startsWith("HEAD"));
+  assert.ok(out.endsWith("TAIL"));
+  assert.match(out, /\[\.\.\. \d+ characters truncated by proxy \.\.\.\]/);
+  assert.equal(truncateText("short", 100), "short");
+});
+
+test("fitContext leaves conversations that fit untouched", async () => {
+  const payload = { model: "m", messages: conversation(1, 100) };
+  const fitted = await fitContext(payload, { limit: 8192, strategies: ["drop_oldest"] });
+  assert.equal(fitted.payload, payload);
+  assert.equal(fitted.report, null);
+});
+
+test("truncate_tool_results shortens the oldest tool results first", async () => {
+  const payload = { model: "m", max_tokens: 256, messages: conversation(3) };
+  const { payload: out, report } = await fitContext(payload, { limit: 2048, strategies: ["truncate_tool_results"], toolResultKeepTokens: 200 });
+  assert.deepEqual(report.strategies, ["truncate_tool_results"]);
+  assert.equal(out.messages.length, payload.messages.length);
+  const tools = out.messages.filter(m => m.role === "tool");
+  assert.match(tools[0].content, /truncated by proxy/);
+  assert.match(tools[0].content, /END 0$/);
+  assert.ok(report.after_tokens <= report.budget);
+  assert.equal(report.after_tokens, estimateMessagesTokens(out.messages));
+});
+
+test("drop_oldest removes whole turns and keeps the system prompt and latest turn", async () => {
+  const payload = { model: "m", max_tokens: 256, messages: conversation(5) };
+  const { payload: out, report } = await fitContext(payload, { limit: 3000, strategies: ["drop_oldest"] });
+  assert.deepEqual(report.strategies, ["drop_oldest"]);
+  assert.ok(report.dropped_messages > 0 && report.dropped_messages % 4 === 0);
+  assert.match(out.messages[0].content, /^you are a coding agent\n\n\[\d+ earlier messages were omitted/);
+  assert.equal(out.messages[1].role, "user");
+  assert.deepEqual(out.messages.slice(-4), payload.messages.slice(-4));
+  assert.ok(report.after_tokens <= report.budget);
+});
+
+test("summarize replaces dropped turns with a summary and falls back to dropping", async () => {
+  const payload = { model: "m", max_tokens: 256, messages: conversation(5) };
+  let seen = "";
+  const summarized = await fitContext(payload, {
+    limit: 3000,
+    strategies: ["summarize"],
+    summarize: async text => {
+      seen = text;
+      return "earlier: fixed files 0-2";
+    }
+  });
+  assert.match(seen, /^user: task 0/);
+  assert.match(seen, /\[tool call read\(\{\}\)\]/);
+  assert.deepEqual(summarized.report.strategies, ["summarize"]);
+  assert.ok(summarized.report.summarized_messages > 0);
+  assert.match(summarized.payload.messages[0].content, /<summary_of_earlier_conversation>\nearlier: fixed files 0-2\n/);
+
+  const failed = await fitContext(payload, {
+    limit: 3000,
+    strategies: ["summarize"],
+    summarize: async () => { throw new Error("summary model down"); }
+  });
+  assert.deepEqual(failed.report.strategies, ["drop_oldest"]);
+  assert.equal(failed.report.summary_error, "summary model down");
+});
+
+test("fitContext rejects prompts that still exceed the limit", async () => {
+  const payload = { model: "m", messages: [{ role: "user", content: "q".repeat(40000) }] };
+  await assert.rejects(
+    fitContext(payload, { limit: 4096, strategies: ["truncate_tool_results", "drop_oldest"] }),
+    e => e.status === 400 && e.type === "invalid_request_error" && /^prompt is too long: \d+ tokens > 4096 maximum$/.test(e.message)
+  );
+});
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { RecentRequests } from "../src/dashboard/recent.js";
+import { LiveTail } from "../src/dashboard/tail.js";
+import { DashboardSessions } from "../src/dashboard/sessions.js";
+
+test("RecentRequests keeps the newest entries first", () => {
+  const recent = new RecentRequests(3);
+  for (let i = 1; i <= 5; i++) recent.push({ id: i });
+  assert.deepEqual(recent.list().map(e => e.id), [5, 4, 3]);
+  assert.deepEqual(recent.list(2).map(e => e.id), [5, 4]);
+});
+
+test("LiveTail replays buffered output, streams new tokens and ends subscribers", () => {
+  const tail = new LiveTail({ maxChars: 8 });
+  tail.publish("req_1", "thinking", "hmm");
+  tail.publish("req_1", "text", "hello");
+  tail.publish("req_1", "text", "!!");
+  tail.publish("req_1", "text", "");
+
+  const seen = [];
+  const unsubscribe = tail.subscribe("req_1", evt => seen.push(evt));
+  // 只保留最近 8 个字符，相邻的同类内容合并
+  assert.deepEqual(seen, [
+    { type: "token", kind: "thinking", text: "m" },
+    { type: "token", kind: "text", text: "hello!!" }
+  ]);
+
+  tail.publish("req_1", "tool", "{\"a\":1}");
+  tail.end("req_1", { outcome: "ok" });
+  assert.deepEqual(seen.slice(2), [{ type: "token", kind: "tool", text: "{\"a\":1}" }, { type: "done", outcome: "ok" }]);
+  assert.equal(tail.streams.size, 0);
+
+  // 结束之后取消订阅、再次结束都不会出错
+  unsubscribe();
+  tail.end("req_1");
+});
+
+test("DashboardSessions resolve until they sit unused for longer than the ttl", async () => {
+  const sessions = new DashboardSessions(200);
+  const token = sessions.create("main");
+  assert.match(token, /^[0-9a-f]{48}$/);
+  assert.equal(sessions.resolve(token), "main");
+  assert.equal(sessions.resolve("nope"), null);
+  assert.equal(sessions.resolve(null), null);
+  // 使用时顺延有效期
+  await new Promise(r => setTimeout(r, 120));
+  assert.equal(sessions.resolve(token), "main");
+  await new Promise(r => setTimeout(r, 120));
+  assert.equal(sessions.resolve(token), "main");
+  await new Promise(r => setTimeout(r, 250));
+  assert.equal(sessions.resolve(token), null);
+});
@@ -0,0 +1,185 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { LaneScheduler, parseModelConcurrency } from "../src/lanes.js";
+import { UpstreamPool } from "../src/upstreams/pool.js";
+import { QueueError } from "../src/queue.js";
+
+// 返回一个任务和放行它的函数；started 记录任务已经开始执行
+function gated() {
+  let release;
+  const gate = new Promise(r => { release = r; });
+  const state = { started: false };
+  const fn = grant => {
+    state.started = true;
+    state.grant = grant;
+    return gate;
+  };
+  return { fn, release, state };
+}
+
+const tick = () => new Promise(r => setImmediate(r));
+
+test("parseModelConcurrency accepts exact names and globs", () => {
+  const limits = parseModelConcurrency(JSON.stringify({ "qwen3:0.6b": 3, "deepseek*": 1, llama3: 2 }));
+  const scheduler = new LaneScheduler({ defaultLimit: 1, modelLimits: limits });
+  assert.equal(scheduler.modelLimit("qwen3:0.6b"), 3);
+  assert.equal(scheduler.modelLimit("deepseek-coder:6.7b"), 1);
+  assert.equal(scheduler.modelLimit("llama3:latest"), 2);
+  assert.equal(scheduler.modelLimit("mistral"), 1);
+  assert.throws(() => parseModelConcurrency("{\"x\": 0}"), /must be a positive integer/);
+  assert.throws(() => parseModelConcurrency("[1]"), /must be an object/);
+});
+
+test("different models run side by side while the same model queues", async () => {
+  const scheduler = new LaneScheduler({ defaultLimit: 1 });
+  const big = gated();
+  const small = gated();
+  const small2 = gated();
+  const runs = [
+    scheduler.run(big.fn, { model: "deepseek-coder:6.7b", id: "big" }),
+    scheduler.run(small.fn, { model: "qwen3:0.6b", id: "small" }),
+    scheduler.run(small2.fn, { model: "qwen3:0.6b", id: "small2" })
+  ];
+  await tick();
+  assert.equal(big.state.started, true);
+  assert.equal(small.state.started, true);
+  assert.equal(small2.state.started, false);
+  assert.deepEqual(scheduler.position("small2"), { state: "queued", lane: "model:qwen3:0.6b", position: 1 });
+  assert.deepEqual(scheduler.position("big"), { state: "running", lane: null, position: 0 });
+  assert.deepEqual(scheduler.status(), [
+    { name: "model:deepseek-coder:6.7b", kind: "model", limit: 1, inflight: 1, queued: 0 },
+    { name: "model:qwen3:0.6b", kind: "model", limit: 1, inflight: 1, queued: 1 }
+  ]);
+
+  small.release();
+  await tick();
+  assert.equal(small2.state.started, true);
+  big.release();
+  small2.release();
+  await Promise.all(runs);
+  assert.equal(scheduler.inflightCount, 0);
+});
+
+test("upstream and heavy lanes cap work across models", async () => {
+  const pool = new UpstreamPool([
+    { name: "gpu", baseUrl: "http://gpu", kind: "ollama", models: ["*"], weight: 1, timeoutMs: 1000, maxInflight: 1 }
+  ]);
+  const scheduler = new LaneScheduler({
+    defaultLimit: 2,
+    pool,
+    maxHeavyInflight: 1,
+    isHeavy: model => model.startsWith("big"),
+    queueOptions: { maxWaitMs: 50 }
+  });
+
+  const a = gated();
+  const b = gated();
+  const runA = scheduler.run(a.fn, { model: "small:1b", id: "a" });
+  const runB = scheduler.run(b.fn, { model: "other:1b", id: "b" });
+  await tick();
+  assert.equal(a.state.started, true);
+  assert.equal(a.state.grant.upstream.name, "gpu");
+  // 不同模型，但同一个上游只允许 1 个
+  assert.equal(b.state.started, false);
+  assert.equal(scheduler.position("b").lane, "upstream:gpu");
+  await assert.rejects(runB, err => err instanceof QueueError && err.code === "queue_timeout");
+  a.release();
+  await runA;
+
+  // 没有上游名额限制时，heavy 车道同一时间只放一个大模型
+  const noPool = new LaneScheduler({ defaultLimit: 2, maxHeavyInflight: 1, isHeavy: m => m.startsWith("big") });
+  const x = gated();
+  const y = gated();
+  const z = gated();
+  const runs = [
+    noPool.run(x.fn, { model: "big:70b" }),
+    noPool.run(y.fn, { model: "big:32b" }),
+    noPool.run(z.fn, { model: "tiny:1b" })
+  ];
+  await tick();
+  assert.deepEqual([x.state.started, y.state.started, z.state.started], [true, false, true]);
+  x.release();
+  await tick();
+  assert.equal(y.state.started, true);
+  y.release();
+  z.release();
+  await Promise.all(runs);
+});
+
+test("a request waiting on a saturated upstream does not block its model on an idle upstream", async () => {
+  const pool = new UpstreamPool([
+    { name: "a", baseUrl: "http://a", kind: "ollama", models: ["*"], weight: 1, timeoutMs: 1000, maxInflight: 1 },
+    { name: "b", baseUrl: "http://b", kind: "ollama", models: ["qwen*"], weight: 1, timeoutMs: 1000, maxInflight: 1 }
+  ]);
+  const scheduler = new LaneScheduler({ defaultLimit: 1, pool });
+
+  const x = gated();
+  const y = gated();
+  const first = gated();
+  const second = gated();
+  const runs = [
+    scheduler.run(x.fn, { model: "llama3", id: "x" }),
+    scheduler.run(y.fn, { model: "qwen3:8b", id: "y" })
+  ];
+  await tick();
+  assert.equal(x.state.grant.upstream.name, "a");
+  assert.equal(y.state.grant.upstream.name, "b");
+
+  // 两个上游都满了：first 排到 b 后面
+  runs.push(scheduler.run(first.fn, { model: "qwen3:0.6b", id: "first" }));
+  await tick();
+  assert.equal(scheduler.position("first").lane, "upstream:b");
+
+  // a 空出来后，同一模型的 second 直接在 a 上执行，不用等 first
+  x.release();
+  await tick();
+  runs.push(scheduler.run(second.fn, { model: "qwen3:0.6b", id: "second" }));
+  await tick();
+  assert.equal(second.state.started, true);
+  assert.equal(second.state.grant.upstream.name, "a");
+  assert.equal(first.state.started, false);
+
+  y.release();
+  await tick();
+  assert.equal(scheduler.position("first").lane, "model:qwen3:0.6b");
+  second.release();
+  await tick();
+  assert.equal(first.state.started, true);
+  assert.equal(first.state.grant.upstream.name, "b");
+  first.release();
+  await Promise.all(runs);
+  assert.equal(scheduler.inflightCount, 0);
+});
+
+test("configure changes lane limits at runtime; drain and clear stop queued work", async () => {
+  const scheduler = new LaneScheduler({ defaultLimit: 1 });
+  const a = gated();
+  const b = gated();
+  const runs = [
+    scheduler.run(a.fn, { model: "qwen3:0.6b", id: "a" }),
+    scheduler.run(b.fn, { model: "qwen3:0.6b", id: "b" })
+  ];
+  await tick();
+  assert.equal(b.state.started, false);
+  scheduler.configure({ modelLimits: parseModelConcurrency(JSON.stringify({ "qwen3*": 2 })), maxHeavyInflight: 1 });
+  await tick();
+  assert.equal(b.state.started, true);
+  assert.equal(scheduler.modelLimit("qwen3:8b"), 2);
+  assert.ok(scheduler.heavy);
+
+  scheduler.drain();
+  await assert.rejects(scheduler.run(gated().fn, { model: "llama3.2" }), err => err instanceof QueueError && err.code === "draining");
+  scheduler.resume();
+
+  const c = gated();
+  const waiting = scheduler.run(c.fn, { model: "qwen3:0.6b", id: "c" });
+  await tick();
+  assert.equal(scheduler.position("c").state, "queued");
+  assert.equal(scheduler.clear(), 1);
+  await assert.rejects(waiting, err => err instanceof QueueError && err.code === "queue_cleared");
+  assert.equal(c.state.started, false);
+
+  a.release();
+  b.release();
+  await Promise.all(runs);
+});
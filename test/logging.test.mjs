@@ -0,0 +1,34 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, readdirSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { logJSON, TranscriptWriter } from "../src/logging/requestLog.js";
+
+test("logJSON writes one JSON object per line and drops undefined fields", () => {
+  let out = "";
+  logJSON({ event: "request", request_id: "req_1", upstream: undefined }, { write: s => { out += s; } });
+  assert.ok(out.endsWith("\n"));
+  const line = JSON.parse(out);
+  assert.equal(line.event, "request");
+  assert.equal(line.request_id, "req_1");
+  assert.ok(!("upstream" in line));
+  assert.ok(!Number.isNaN(Date.parse(line.ts)));
+});
+
+test("TranscriptWriter rotates files by size and keeps maxFiles", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "transcripts-"));
+  try {
+    const writer = new TranscriptWriter(dir, { maxBytes: 60, maxFiles: 3 });
+    for (let i = 0; i < 5; i++) writer.write({ i, text: "x".repeat(30) });
+    await writer.write({ i: 5, text: "x".repeat(30) });
+
+    assert.deepEqual(readdirSync(dir).sort(), ["transcript.1.jsonl", "transcript.2.jsonl", "transcript.jsonl"]);
+    const read = n => readFileSync(writer.file(n), "utf8").trim().split("\n").map(l => JSON.parse(l).i);
+    assert.deepEqual(read(0), [5]);
+    assert.deepEqual(read(1), [4]);
+    assert.deepEqual(read(2), [3]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
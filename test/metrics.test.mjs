@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Registry } from "../src/metrics/registry.js";
+
+test("counters and gauges render in Prometheus text format", () => {
+  const registry = new Registry();
+  const requests = registry.counter("demo_requests_total", "Requests", ["model", "outcome"]);
+  let depth = 0;
+  registry.gauge("demo_queue_depth", "Queue depth", [], g => g.set({}, depth));
+
+  requests.inc({ model: "qwen3:0.6b", outcome: "ok" });
+  requests.inc({ model: "qwen3:0.6b", outcome: "ok" }, 2);
+  requests.inc({ model: "a\"b\\c", outcome: "error" });
+  depth = 4;
+
+  assert.equal(requests.get({ model: "qwen3:0.6b", outcome: "ok" }), 3);
+  assert.equal(registry.render(), [
+    "# HELP demo_requests_total Requests",
+    "# TYPE demo_requests_total counter",
+    "demo_requests_total{model=\"qwen3:0.6b\",outcome=\"ok\"} 3",
+    "demo_requests_total{model=\"a\\\"b\\\\c\",outcome=\"error\"} 1",
+    "# HELP demo_queue_depth Queue depth",
+    "# TYPE demo_queue_depth gauge",
+    "demo_queue_depth 4",
+    ""
+  ].join("\n"));
+});
+
+test("histograms render cumulative buckets, sum and count", () => {
+  const registry = new Registry();
+  const latency = registry.histogram("demo_seconds", "Latency", ["model"], [1, 5]);
+  latency.observe({ model: "m" }, 0.5);
+  latency.observe({ model: "m" }, 3);
+  latency.observe({ model: "m" }, 10);
+
+  assert.deepEqual(registry.render().trim().split("\n").slice(2), [
+    "demo_seconds_bucket{model=\"m\",le=\"1\"} 1",
+    "demo_seconds_bucket{model=\"m\",le=\"5\"} 2",
+    "demo_seconds_bucket{model=\"m\",le=\"+Inf\"} 3",
+    "demo_seconds_sum{model=\"m\"} 13.5",
+    "demo_seconds_count{model=\"m\"} 3"
+  ]);
+  assert.throws(() => registry.counter("demo_seconds", "dup"), /already registered/);
+});
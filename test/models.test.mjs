@@ -0,0 +1,134 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { UpstreamPool, fetchFromUpstreams } from "../src/upstreams/pool.js";
+import { ModelManager, parseKeepAlive, normalizeKeepAlive, isModelNotFound } from "../src/models/manager.js";
+
+// 模拟 Ollama 原生接口：/api/tags、/api/ps、/api/generate、/api/pull（NDJSON 进度）、/api/chat
+async function startOllama() {
+  const state = { installed: ["qwen3:0.6b"], loaded: [], generate: [], pulls: 0, failPull: false };
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const json = body ? JSON.parse(body) : {};
+    res.setHeader("content-type", "application/json");
+    if (req.url === "/api/tags") {
+      return res.end(JSON.stringify({ models: state.installed.map(name => ({ name, size: 100 })) }));
+    }
+    if (req.url === "/api/ps") {
+      return res.end(JSON.stringify({ models: state.loaded.map(name => ({ name, size: 100, size_vram: 80, expires_at: "2030-01-01T00:00:00Z" })) }));
+    }
+    if (req.url === "/api/generate") {
+      state.generate.push(json);
+      state.loaded = json.keep_alive === 0 ? state.loaded.filter(m => m !== json.model) : [...state.loaded, json.model];
+      return res.end(JSON.stringify({ model: json.model, done: true, done_reason: json.keep_alive === 0 ? "unload" : "load" }));
+    }
+    if (req.url === "/api/pull") {
+      state.pulls++;
+      res.setHeader("content-type", "application/x-ndjson");
+      res.write(`${JSON.stringify({ status: "pulling manifest" })}\n`);
+      if (state.failPull) return res.end(`${JSON.stringify({ error: "pull model manifest: file does not exist" })}\n`);
+      for (const completed of [0, 50, 100]) res.write(`${JSON.stringify({ status: "pulling abc", total: 100, completed })}\n`);
+      state.installed.push(json.model);
+      return res.end(`${JSON.stringify({ status: "success" })}\n`);
+    }
+    if (req.url === "/api/chat") {
+      if (!state.installed.includes(json.model)) {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ error: `model "${json.model}" not found, try pulling it first` }));
+      }
+      return res.end(JSON.stringify({ model: json.model, message: { role: "assistant", content: "hi" }, done: true }));
+    }
+    res.statusCode = 404;
+    res.end("{}");
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const pool = new UpstreamPool([{ name: "local", baseUrl: `http://127.0.0.1:${server.address().port}`, kind: "ollama", weight: 1, timeoutMs: 5000 }]);
+  await pool.probeAll();
+  return { server, state, pool };
+}
+
+test("parseKeepAlive matches models and normalizeKeepAlive validates durations", () => {
+  const rules = parseKeepAlive(JSON.stringify({ "qwen3:0.6b": "-1", "deepseek*": "10m" }));
+  const manager = new ModelManager(new UpstreamPool([]), { keepAlive: rules, defaultKeepAlive: "5m" });
+  assert.equal(manager.keepAliveFor("qwen3:0.6b"), -1);
+  assert.equal(manager.keepAliveFor("deepseek-r1:8b"), "10m");
+  assert.equal(manager.keepAliveFor("llama3.2"), "5m");
+  assert.equal(normalizeKeepAlive("1h30m"), "1h30m");
+  assert.equal(normalizeKeepAlive(300), 300);
+  assert.throws(() => normalizeKeepAlive("forever"), /keep_alive must be a duration/);
+  assert.throws(() => parseKeepAlive("[]"), /must be an object/);
+  assert.throws(() => parseKeepAlive(JSON.stringify({ a: true })), /MODEL_KEEP_ALIVE\.a: keep_alive must be/);
+  assert.equal(isModelNotFound(new Error("ollama_http_404: model \"x\" not found")), true);
+  assert.equal(isModelNotFound(Object.assign(new Error("boom"), { status: 500 })), false);
+  assert.equal(isModelNotFound(Object.assign(new Error("ollama_http_404: 404 page not found"), { status: 404 })), false);
+});
+
+test("ModelManager loads, unloads and lists models with keep_alive", async () => {
+  const { server, state, pool } = await startOllama();
+  const logs = [];
+  try {
+    const manager = new ModelManager(pool, {
+      keepAlive: parseKeepAlive(JSON.stringify({ "qwen3:*": "-1" })),
+      preload: ["qwen3:0.6b", "missing:1b"],
+      log: fields => logs.push(fields)
+    });
+    await manager.preloadAll();
+    assert.deepEqual(state.generate, [{ model: "qwen3:0.6b", keep_alive: -1 }]);
+    assert.ok(logs.some(l => l.action === "load" && l.model === "missing:1b" && /not installed/.test(l.error)));
+
+    const listed = await manager.list();
+    assert.deepEqual(listed.upstreams[0].models, [
+      { name: "qwen3:0.6b", size: 100, modified_at: null, loaded: true, size_vram: 80, expires_at: "2030-01-01T00:00:00Z", keep_alive: -1 }
+    ]);
+
+    const unloaded = await manager.unload("qwen3:0.6b");
+    assert.deepEqual(unloaded, [{ upstream: "local", ok: true }]);
+    assert.deepEqual(state.generate.at(-1), { model: "qwen3:0.6b", keep_alive: 0 });
+    assert.equal((await manager.list()).upstreams[0].models[0].loaded, false);
+    assert.throws(() => manager.startPull("x", { upstream: "nope" }), /nope is not an ollama upstream/);
+  } finally {
+    server.close();
+  }
+});
+
+test("withAutoPull starts one background pull and fails fast until the model is installed", async () => {
+  const { server, state, pool } = await startOllama();
+  const logs = [];
+  try {
+    const manager = new ModelManager(pool, { autoPull: ["llama3.2*"], log: fields => logs.push(fields) });
+    const call = model => manager.withAutoPull(model, async () => {
+      const { response, done } = await fetchFromUpstreams(pool, { model, messages: [] });
+      done();
+      return response.json();
+    });
+
+    await assert.rejects(call("phi4:14b"), e => isModelNotFound(e));
+    assert.equal(state.pulls, 0);
+
+    // 两个请求同时触发 pull：只下载一次，请求不等下载完成，立即以 model_pulling 失败
+    const [a, b] = await Promise.allSettled([call("llama3.2:1b"), call("llama3.2:1b")]);
+    for (const r of [a, b]) {
+      assert.equal(r.reason.code, "model_pulling");
+      assert.equal(r.reason.status, 529);
+      assert.ok(r.reason.retryAfterMs > 0);
+      assert.match(r.reason.message, /^model llama3\.2:1b is being pulled on local/);
+    }
+    // 下载还在进行：等的是同一次 pull
+    assert.deepEqual(manager.pullStatus().map(p => [p.model, p.state]), [["llama3.2:1b", "pulling"]]);
+    await manager.pull("llama3.2:1b");
+    assert.equal(state.pulls, 1);
+    assert.equal((await call("llama3.2:1b")).message.content, "hi");
+    const progress = logs.filter(l => l.event === "model_pull" && l.status === "pulling abc").map(l => l.percent);
+    assert.deepEqual(progress, [0, 50, 100]);
+    assert.deepEqual(manager.pullStatus().map(p => [p.model, p.state, p.status]), [["llama3.2:1b", "done", "success"]]);
+
+    state.failPull = true;
+    await assert.rejects(manager.pull("llama3.2:3b"), /file does not exist/);
+    assert.equal(manager.pullStatus().find(p => p.model === "llama3.2:3b").state, "failed");
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,66 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validateChatRequest, chatRequestToPayload, createChatCollector, completionToChunks } from "../src/openai/chat.js";
+
+test("validateChatRequest checks messages, tools and sampling parameters", () => {
+  const messages = [{ role: "user", content: "hi" }];
+  assert.equal(validateChatRequest({ messages }), null);
+  assert.match(validateChatRequest({}), /^messages: must be a non-empty array/);
+  assert.match(validateChatRequest({ messages: [{ role: "robot" }] }), /^messages\[0\]\.role/);
+  assert.match(validateChatRequest({ messages, tools: [{ name: "ls" }] }), /^tools:/);
+  assert.match(validateChatRequest({ messages, temperature: 3 }), /^temperature:/);
+  assert.match(validateChatRequest({ messages, max_tokens: 0 }), /^max_tokens:/);
+  assert.match(validateChatRequest({ messages, stop: [1] }), /^stop:/);
+  assert.equal(validateChatRequest({ messages, stop: "END", max_tokens: null }), null);
+});
+
+test("chatRequestToPayload forwards known fields only", () => {
+  const payload = chatRequestToPayload({
+    model: "gpt-4o",
+    messages: [{ role: "developer", content: "rules" }, { role: "user", content: "hi" }],
+    max_completion_tokens: 20,
+    stop: ["END"],
+    logprobs: true,
+    stream: true
+  }, "qwen3:0.6b");
+  assert.deepEqual(payload, {
+    model: "qwen3:0.6b",
+    messages: [{ role: "system", content: "rules" }, { role: "user", content: "hi" }],
+    stop: ["END"],
+    max_tokens: 20
+  });
+});
+
+test("createChatCollector rebuilds a completion and completionToChunks replays it", () => {
+  const collector = createChatCollector();
+  collector.push({ choices: [{ index: 0, delta: { role: "assistant", content: "Let me " } }] });
+  collector.push({ choices: [{ index: 0, delta: { content: "look", reasoning_content: "hmm" } }] });
+  collector.push({ choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: "c1", function: { name: "ls", arguments: "{\"p" } }] } }] });
+  collector.push({ choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { name: "ls", arguments: "\":1}" } }] }, finish_reason: "tool_calls" }] });
+  collector.push({ choices: [], usage: { prompt_tokens: 5, completion_tokens: 7 } });
+  const completion = collector.completion({ id: "chatcmpl_1", model: "m", created: 1 });
+  assert.deepEqual(completion, {
+    id: "chatcmpl_1",
+    object: "chat.completion",
+    created: 1,
+    model: "m",
+    choices: [{
+      index: 0,
+      message: {
+        role: "assistant",
+        content: "Let me look",
+        reasoning_content: "hmm",
+        tool_calls: [{ id: "c1", type: "function", function: { name: "ls", arguments: "{\"p\":1}" } }]
+      },
+      finish_reason: "tool_calls"
+    }],
+    usage: { prompt_tokens: 5, completion_tokens: 7 }
+  });
+
+  const replay = createChatCollector();
+  const chunks = completionToChunks(completion, { includeUsage: true });
+  assert.deepEqual(chunks.at(-1).usage, completion.usage);
+  for (const chunk of chunks) replay.push(chunk);
+  assert.deepEqual(replay.completion({ id: "chatcmpl_1", model: "m", created: 1 }), completion);
+  assert.ok(!completionToChunks(completion).some(c => c.usage));
+});
@@ -0,0 +1,984 @@
+import test, { before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { mkdtempSync, mkdirSync, rmSync, readFileSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import fetch from "node-fetch";
+
+// 模拟 Ollama：/api/tags + 原生的 /api/chat（NDJSON 流）
+const calls = [];
+const generateCalls = [];
+let nextReply = null;
+let hungUpstreamClosed = false;
+
+const upstream = http.createServer(async (req, res) => {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  if (req.url === "/api/tags") {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({
+      models: [
+        { name: "qwen3:0.6b", size: 500, modified_at: "2025-05-01T00:00:00Z" },
+        { name: "qwen2.5:7b", size: 4700, modified_at: "2025-04-01T00:00:00Z" },
+        { name: "llava:7b", size: 4100, modified_at: "2025-02-01T00:00:00Z" },
+        { name: "nomic-embed-text:latest", size: 200, modified_at: "2025-03-01T00:00:00Z" }
+      ]
+    }));
+    return;
+  }
+  if (req.url === "/api/ps") {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ models: [] }));
+    return;
+  }
+  if (req.url === "/api/generate") {
+    generateCalls.push(JSON.parse(body));
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ done: true, done_reason: "load" }));
+    return;
+  }
+  if (req.url === "/image.png") {
+    res.setHeader("content-type", "image/png");
+    res.end(Buffer.from("fake png bytes"));
+    return;
+  }
+  if (req.url !== "/api/chat") {
+    res.statusCode = 404;
+    res.end("404 page not found");
+    return;
+  }
+  const payload = JSON.parse(body || "{}");
+  calls.push(payload);
+  const reply = nextReply || { content: "ok" };
+  nextReply = null;
+  // 模拟模型加载 / 长 prefill：迟迟不返回响应头
+  if (reply.delayMs) await new Promise(r => setTimeout(r, reply.delayMs));
+  if (reply.status) {
+    res.statusCode = reply.status;
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ error: reply.error }));
+    return;
+  }
+  const line = obj => `${JSON.stringify({ model: payload.model, ...obj })}\n`;
+  if (reply.hang) {
+    // 模拟生成很慢的模型：发一个 chunk 后一直不结束，直到 proxy 断开连接
+    res.setHeader("content-type", "application/x-ndjson");
+    res.write(line({ message: { role: "assistant", content: "thinking" }, done: false }));
+    res.on("close", () => { hungUpstreamClosed = true; });
+    return;
+  }
+  const done = { done: true, done_reason: reply.doneReason || "stop" };
+  if (payload.stream) {
+    res.setHeader("content-type", "application/x-ndjson");
+    for (const message of reply.chunks || [{ content: reply.content }]) {
+      res.write(line({ message: { role: "assistant", content: "", ...message }, done: false }));
+    }
+    res.end(line({ message: { role: "assistant", content: "" }, ...done, prompt_eval_count: 11, eval_count: 3 }));
+    return;
+  }
+  res.setHeader("content-type", "application/json");
+  res.end(line({ message: reply.message || { role: "assistant", content: reply.content }, ...done, prompt_eval_count: 9, eval_count: 2 }));
+});
+
+let proxy;
+let baseUrl;
+const cacheDir = mkdtempSync(join(tmpdir(), "proxy-cache-"));
+const transcriptDir = mkdtempSync(join(tmpdir(), "proxy-transcripts-"));
+const batchDir = mkdtempSync(join(tmpdir(), "proxy-batches-"));
+const configDir = mkdtempSync(join(tmpdir(), "proxy-config-"));
+
+before(async () => {
+  upstream.listen(0, "127.0.0.1");
+  await once(upstream, "listening");
+  process.env.OLLAMA_BASE_URL = `http://127.0.0.1:${upstream.address().port}`;
+  process.env.API_KEYS_JSON = JSON.stringify([
+    { name: "main", key: "test", admin: true },
+    { name: "limited", key: "sk-limited", models: ["qwen3:*"], requestsPerMinute: 2, tokensPerDay: 1000, maxConcurrency: 1 },
+    { name: "other", key: "sk-other" }
+  ]);
+  process.env.RESPONSE_CACHE_DIR = cacheDir;
+  process.env.TRANSCRIPT_DIR = transcriptDir;
+  process.env.BATCH_DIR = batchDir;
+  process.env.QUEUE_MAX_LENGTH = "1";
+  process.env.SSE_PING_INTERVAL_MS = "100";
+  process.env.MODEL_CONTEXT = JSON.stringify({ "qwen2.5:7b": 1024 });
+  process.env.MODEL_KEEP_ALIVE = JSON.stringify({ "qwen3:*": "-1" });
+  process.env.RUNTIME_CONFIG_FILE = join(configDir, "runtime.json");
+  const { app } = await import("../proxy.mjs");
+  proxy = app.listen(0, "127.0.0.1");
+  await once(proxy, "listening");
+  baseUrl = `http://127.0.0.1:${proxy.address().port}`;
+});
+
+after(() => {
+  proxy?.close();
+  upstream.close();
+  rmSync(cacheDir, { recursive: true, force: true });
+  rmSync(transcriptDir, { recursive: true, force: true });
+  rmSync(batchDir, { recursive: true, force: true });
+  rmSync(configDir, { recursive: true, force: true });
+});
+
+// 每个用例从空缓存开始，避免相同请求互相命中
+beforeEach(async () => {
+  if (baseUrl) await fetch(`${baseUrl}/admin/cache`, { method: "DELETE", headers: { authorization: "Bearer test" } });
+});
+
+function post(path, body, signal) {
+  return fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { "content-type": "application/json", authorization: "Bearer test" },
+    body: JSON.stringify(body),
+    signal
+  });
+}
+
+async function waitFor(predicate, what) {
+  for (let i = 0; i < 100; i++) {
+    const value = await predicate();
+    if (value) return value;
+    await new Promise(r => setTimeout(r, 20));
+  }
+  throw new Error(`timed out waiting for ${what}`);
+}
+
+async function health() {
+  return (await fetch(`${baseUrl}/health`)).json();
+}
+
+async function adminStatus() {
+  return (await fetch(`${baseUrl}/admin/status`, { headers: { authorization: "Bearer test" } })).json();
+}
+
+// 解析 Anthropic SSE，默认去掉 ping（出现与否取决于时间）
+function parseSSE(text, { pings = false } = {}) {
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map(part => {
+      const lines = part.split("\n");
+      const event = lines.find(l => l.startsWith("event: "))?.slice(7);
+      const data = JSON.parse(lines.find(l => l.startsWith("data:")).slice(5));
+      assert.equal(event, data.type);
+      return data;
+    })
+    .filter(e => pings || e.type !== "ping");
+}
+
+test("/health leaves out upstream addresses and request ids; /admin/status has them", async () => {
+  const health = await (await fetch(`${baseUrl}/health`)).json();
+  assert.equal(health.status, "ok");
+  assert.equal(health.upstreams[0].name, "ollama");
+  assert.equal(health.upstreams[0].baseUrl, undefined);
+  assert.ok("hits" in health.cache);
+  assert.deepEqual(Object.keys(health.cancelled), ["queued", "running"]);
+  assert.ok(health.lanes.every(l => "inflight" in l && "queued" in l));
+  assert.equal((await fetch(`${baseUrl}/admin/status`)).status, 401);
+  assert.equal((await fetch(`${baseUrl}/admin/status`, { headers: { "x-api-key": "sk-limited" } })).status, 403);
+  const status = await adminStatus();
+  assert.equal(status.upstreams[0].baseUrl, process.env.OLLAMA_BASE_URL);
+  assert.deepEqual(status.queue.waiting, []);
+});
+
+test("/v1/models merges aliases with installed Ollama models", async () => {
+  const res = await fetch(`${baseUrl}/v1/models`, { headers: { authorization: "Bearer test" } });
+  const body = await res.json();
+  const ids = body.data.map(m => m.id);
+  assert.deepEqual(ids.slice(0, 3), ["sonnet-4.5", "haiku-4.5", "opus-4.5"]);
+  assert.ok(ids.includes("qwen2.5:7b"));
+  const qwen = body.data.find(m => m.id === "qwen3:0.6b");
+  assert.equal(qwen.display_name, "qwen3:0.6b");
+  assert.equal(qwen.created_at, "2025-05-01T00:00:00.000Z");
+  assert.equal(body.has_more, false);
+});
+
+test("requested model names resolve through aliases and installed models", async () => {
+  // 每次用不同的内容，避免路由到同一模型的请求命中响应缓存
+  const messages = text => [{ role: "user", content: text }];
+  calls.length = 0;
+  await post("/v1/messages", { model: "claude-haiku-4-5", messages: messages("hello") });
+  await post("/v1/messages", { model: "claude-opus-4-5", messages: messages("hello opus") });
+  await post("/v1/messages", { model: "qwen2.5:7b", messages: messages("hello qwen") });
+  const sonnet = await post("/v1/messages", { model: "claude-sonnet-4-5", messages: messages("hello sonnet") });
+  assert.deepEqual(calls.map(c => c.model), ["qwen3:0.6b", "qwen2.5:7b", "qwen2.5:7b", "qwen3:0.6b"]);
+  assert.equal(sonnet.headers.get("x-routed-model"), "qwen3:0.6b");
+  const streamed = await post("/v1/messages", { model: "claude-opus-4-5", stream: true, messages: messages("hello stream") });
+  assert.equal(streamed.headers.get("x-routed-model"), "qwen2.5:7b");
+  await streamed.text();
+});
+
+test("image URLs are downloaded and sent to Ollama as base64", async () => {
+  const imageUrl = `${process.env.OLLAMA_BASE_URL}/image.png`;
+  const encoded = Buffer.from("fake png bytes").toString("base64");
+  calls.length = 0;
+  const res = await post("/v1/messages", {
+    model: "llava:7b",
+    messages: [{ role: "user", content: [{ type: "image", source: { type: "url", url: imageUrl } }, { type: "text", text: "what is this" }] }]
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(calls[0].messages, [{ role: "user", content: "what is this", images: [encoded] }]);
+
+  const chat = await post("/v1/chat/completions", {
+    model: "llava:7b",
+    messages: [{ role: "user", content: [{ type: "text", text: "and this" }, { type: "image_url", image_url: { url: imageUrl } }] }]
+  });
+  assert.equal(chat.status, 200);
+  assert.deepEqual(calls[1].messages, [{ role: "user", content: "and this", images: [encoded] }]);
+
+  const missing = await post("/v1/messages", {
+    model: "llava:7b",
+    messages: [{ role: "user", content: [{ type: "image", source: { type: "url", url: `${process.env.OLLAMA_BASE_URL}/missing.png` } }] }]
+  });
+  assert.equal(missing.status, 400);
+  const { error } = await missing.json();
+  assert.equal(error.type, "invalid_request_error");
+  assert.match(error.message, /could not download image .*missing\.png: HTTP 404/);
+  assert.equal(calls.length, 2);
+});
+
+test("non-streaming tool calls come back as tool_use blocks", async () => {
+  nextReply = {
+    message: {
+      role: "assistant",
+      content: "",
+      tool_calls: [{ function: { name: "ls", arguments: { path: "." } } }]
+    }
+  };
+  const res = await post("/v1/messages", {
+    messages: [{ role: "user", content: "list files" }],
+    tools: [{ name: "ls", input_schema: { type: "object" } }]
+  });
+  const body = await res.json();
+  assert.equal(calls.at(-1).tools[0].function.name, "ls");
+  assert.equal(body.stop_reason, "tool_use");
+  assert.deepEqual(body.usage, { input_tokens: 9, output_tokens: 2 });
+  assert.match(body.content[0].id, /^call_/);
+  assert.deepEqual(body.content, [{ type: "tool_use", id: body.content[0].id, name: "ls", input: { path: "." } }]);
+});
+
+test("forced tool_choice is emulated with a JSON format on Ollama", async () => {
+  const tools = [
+    { name: "ls", input_schema: { type: "object", properties: { path: { type: "string" } } } },
+    { name: "cat", input_schema: { type: "object" } }
+  ];
+  nextReply = { content: "{\"name\":\"cat\",\"arguments\":{\"file\":\"a.txt\"}}" };
+  const forced = await (await post("/v1/messages", {
+    messages: [{ role: "user", content: "show a.txt" }],
+    tools,
+    tool_choice: { type: "tool", name: "cat" }
+  })).json();
+  const sent = calls.at(-1);
+  assert.equal(sent.tools, undefined);
+  assert.deepEqual(sent.format.properties.name, { type: "string", enum: ["cat"] });
+  assert.equal(sent.messages.at(-1).role, "system");
+  assert.equal(forced.stop_reason, "tool_use");
+  assert.deepEqual(forced.content.map(b => [b.type, b.name, b.input]), [["tool_use", "cat", { file: "a.txt" }]]);
+
+  nextReply = { chunks: [{ content: "{\"name\":\"ls\"," }, { content: "\"arguments\":{\"path\":\"src\"}}" }] };
+  const res = await post("/v1/messages", {
+    stream: true,
+    messages: [{ role: "user", content: "list src please" }],
+    tools,
+    tool_choice: { type: "any" }
+  });
+  const events = parseSSE(await res.text());
+  assert.deepEqual(calls.at(-1).format.anyOf.map(b => b.properties.name.enum[0]), ["ls", "cat"]);
+  assert.equal(events.find(e => e.type === "content_block_start").content_block.name, "ls");
+  assert.equal(events.find(e => e.type === "content_block_delta").delta.partial_json, "{\"path\":\"src\"}");
+  assert.equal(events.find(e => e.type === "message_delta").delta.stop_reason, "tool_use");
+
+  const unknown = await post("/v1/messages", {
+    messages: [{ role: "user", content: "use rm" }],
+    tools,
+    tool_choice: { type: "tool", name: "rm" }
+  });
+  assert.equal(unknown.status, 400);
+  assert.equal((await unknown.json()).error.type, "invalid_request_error");
+});
+
+test("streaming tool calls are emitted as input_json_delta events", async () => {
+  nextReply = {
+    chunks: [{ tool_calls: [{ function: { name: "ls", arguments: { path: "src" } } }] }]
+  };
+  const res = await post("/v1/messages", {
+    stream: true,
+    messages: [{ role: "user", content: "list src" }],
+    tools: [{ name: "ls", input_schema: { type: "object" } }]
+  });
+  const events = parseSSE(await res.text());
+  assert.deepEqual(events.map(e => e.type), [
+    "message_start",
+    "content_block_start",
+    "content_block_delta",
+    "content_block_stop",
+    "message_delta",
+    "message_stop"
+  ]);
+  assert.equal(events[1].content_block.name, "ls");
+  assert.equal(events[2].delta.partial_json, "{\"path\":\"src\"}");
+  assert.equal(events[4].delta.stop_reason, "tool_use");
+  assert.deepEqual(events[4].usage, { input_tokens: 11, output_tokens: 3 });
+  assert.equal(calls.at(-1).stream, true);
+});
+
+test("sampling parameters are forwarded and validated", async () => {
+  await post("/v1/messages", {
+    messages: [{ role: "user", content: "hello" }],
+    max_tokens: 64,
+    top_p: 0.8,
+    top_k: 30
+  });
+  assert.equal(calls.at(-1).options.num_predict, 64);
+  assert.equal(calls.at(-1).options.top_p, 0.8);
+  assert.equal(calls.at(-1).options.top_k, 30);
+
+  const res = await post("/v1/messages", { messages: [{ role: "user", content: "hello" }], max_tokens: -1 });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.error.type, "invalid_request_error");
+  assert.match(body.error.message, /^max_tokens:/);
+});
+
+test("non-streaming requests report the stop sequence that ended generation", async () => {
+  nextReply = {
+    chunks: [{ content: "Final answer: 4\n#" }, { content: "## Explanation" }]
+  };
+  const res = await post("/v1/messages", {
+    messages: [{ role: "user", content: "2+2" }],
+    stop_sequences: ["###"]
+  });
+  const body = await res.json();
+  assert.equal(calls.at(-1).stream, true);
+  assert.equal(calls.at(-1).options.stop, undefined);
+  assert.deepEqual(body.content, [{ type: "text", text: "Final answer: 4\n" }]);
+  assert.equal(body.stop_reason, "stop_sequence");
+  assert.equal(body.stop_sequence, "###");
+});
+
+test("/v1/messages/count_tokens counts input tokens for the routed model", async () => {
+  calls.length = 0;
+  const res = await post("/v1/messages/count_tokens", {
+    model: "claude-haiku-4-5",
+    messages: [{ role: "user", content: "hello there" }]
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-routed-model"), "qwen3:0.6b");
+  assert.equal(res.headers.get("x-token-count-source"), "estimate");
+  const body = await res.json();
+  assert.ok(body.input_tokens > 0);
+  assert.equal(calls.length, 0);
+
+  const bad = await post("/v1/messages/count_tokens", { model: "x" });
+  assert.equal(bad.status, 400);
+
+  const forbidden = await fetch(`${baseUrl}/v1/messages/count_tokens`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "x-api-key": "sk-limited" },
+    body: JSON.stringify({ model: "qwen2.5:7b", messages: [{ role: "user", content: "hello" }] })
+  });
+  assert.equal(forbidden.status, 403);
+  assert.equal((await forbidden.json()).error.type, "permission_error");
+});
+
+test("identical requests are served from the cache in JSON and SSE mode", async () => {
+  const body = { model: "qwen2.5:7b", messages: [{ role: "user", content: "summarize README" }], max_tokens: 100, temperature: 0 };
+  nextReply = { content: "a summary" };
+  calls.length = 0;
+  const { hits } = (await health()).cache;
+
+  const first = await (await post("/v1/messages", body)).json();
+  const second = await (await post("/v1/messages", body)).json();
+  assert.equal(calls.length, 1);
+  assert.deepEqual(second.content, first.content);
+  assert.deepEqual(second.usage, first.usage);
+
+  const streamed = parseSSE(await (await post("/v1/messages", { ...body, stream: true })).text());
+  assert.equal(calls.length, 1);
+  assert.deepEqual(streamed.map(e => e.type), [
+    "message_start",
+    "content_block_start",
+    "content_block_delta",
+    "content_block_stop",
+    "message_delta",
+    "message_stop"
+  ]);
+  assert.equal(streamed[2].delta.text, "a summary");
+
+  const send = (json, headers) => fetch(`${baseUrl}/v1/messages`, {
+    method: "POST",
+    headers: { "content-type": "application/json", authorization: "Bearer test", ...headers },
+    body: JSON.stringify(json)
+  }).then(r => r.json());
+  // 其他 key 的相同请求不共享缓存
+  nextReply = { content: "another summary" };
+  assert.equal((await send(body, { authorization: "Bearer sk-other" })).content[0].text, "another summary");
+  assert.equal(calls.length, 2);
+
+  // 非 0 temperature（包括默认值）不缓存，除非请求头明确要求
+  const sampled = { ...body, temperature: undefined };
+  await send(sampled);
+  await send(sampled);
+  assert.equal(calls.length, 4);
+  await send(sampled, { "x-response-cache": "on" });
+  await send(sampled, { "x-response-cache": "on" });
+  assert.equal(calls.length, 5);
+
+  const { cache } = await health();
+  assert.equal(cache.enabled, true);
+  assert.equal(cache.hits - hits, 3);
+
+  const purge = await fetch(`${baseUrl}/admin/cache`, { method: "DELETE", headers: { authorization: "Bearer test" } });
+  assert.deepEqual(await purge.json(), { enabled: true, purged: 3 });
+  const unauthorized = await fetch(`${baseUrl}/admin/cache`, { method: "DELETE" });
+  assert.equal(unauthorized.status, 401);
+});
+
+test("/metrics reports requests, tokens, latency and error classes", async () => {
+  nextReply = { content: "metered" };
+  await post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "count me" }] });
+  nextReply = { chunks: [{ content: "streamed" }] };
+  await (await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "stream me" }] })).text();
+  nextReply = { status: 500, error: "out of memory" };
+  await post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "break me" }] });
+
+  const res = await fetch(`${baseUrl}/metrics`);
+  assert.match(res.headers.get("content-type"), /^text\/plain; version=0\.0\.4/);
+  const text = await res.text();
+  assert.match(text, /^proxy_requests_total\{model="qwen3:0\.6b",stream="false",outcome="ok"\} [1-9]/m);
+  assert.match(text, /^proxy_requests_total\{model="qwen3:0\.6b",stream="true",outcome="ok"\} [1-9]/m);
+  assert.match(text, /^proxy_requests_total\{model="qwen3:0\.6b",stream="false",outcome="error"\} 1$/m);
+  assert.match(text, /^proxy_errors_total\{model="qwen3:0\.6b",class="upstream_http_500"\} 1$/m);
+  assert.match(text, /^proxy_generated_tokens_total\{model="qwen3:0\.6b"\} \d+/m);
+  assert.match(text, /^proxy_upstream_request_duration_seconds_count\{model="qwen3:0\.6b",upstream="ollama",stream="true"\} [1-9]/m);
+  assert.match(text, /^proxy_time_to_first_token_seconds_count\{model="qwen3:0\.6b",upstream="ollama"\} [1-9]/m);
+  assert.match(text, /^proxy_queue_wait_seconds_count [1-9]/m);
+  assert.match(text, /^proxy_queue_depth 0$/m);
+});
+
+test("every request gets a unique request-id header and message id", async () => {
+  const body = { model: "qwen3:0.6b", messages: [{ role: "user", content: "who am i" }] };
+  const a = await post("/v1/messages", body);
+  const b = await post("/v1/messages", { ...body, messages: [{ role: "user", content: "who are you" }] });
+  assert.match(a.headers.get("request-id"), /^req_[0-9a-f]{24}$/);
+  assert.notEqual(a.headers.get("request-id"), b.headers.get("request-id"));
+  const [ma, mb] = [await a.json(), await b.json()];
+  assert.match(ma.id, /^msg_[0-9a-f]{24}$/);
+  assert.notEqual(ma.id, mb.id);
+
+  const invalid = await post("/v1/messages", { model: "x" });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.headers.get("request-id"), /^req_/);
+});
+
+test("transcripts record the request and the reconstructed streamed reply", async () => {
+  nextReply = { chunks: [{ content: "Hel" }, { content: "lo!" }] };
+  const res = await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "transcribe me" }] });
+  const requestId = res.headers.get("request-id");
+  const events = parseSSE(await res.text());
+
+  // 对话记录在响应结束后异步写入，轮询等它落盘
+  const readRecord = () => {
+    try {
+      const lines = readFileSync(join(transcriptDir, "transcript.jsonl"), "utf8").trim().split("\n");
+      return lines.map(l => JSON.parse(l)).find(r => r.request_id === requestId);
+    } catch {
+      return undefined;
+    }
+  };
+  const record = await waitFor(readRecord, "transcript record");
+  assert.equal(record.message_id, events[0].message.id);
+  assert.equal(record.request.messages[0].content, "transcribe me");
+  assert.equal(record.upstream_request.model, "qwen3:0.6b");
+  assert.deepEqual(record.response.content, [{ type: "text", text: "Hello!" }]);
+  assert.equal(record.error, null);
+});
+
+test("client disconnects remove queued requests and abort running generations", async () => {
+  const before = (await health()).cancelled;
+
+  nextReply = { hang: true };
+  const running = new AbortController();
+  const res = await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "slow one" }] }, running.signal);
+  assert.equal(res.status, 200);
+
+  // MAX_INFLIGHT=1：第二个请求只能排队
+  const waiting = new AbortController();
+  const queued = post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "waiting one" }] }, waiting.signal).catch(e => e);
+  await waitFor(async () => (await health()).queued === 1, "request to queue");
+  waiting.abort();
+  assert.equal((await queued).name, "AbortError");
+  await waitFor(async () => (await health()).cancelled.queued === before.queued + 1, "queued cancellation");
+  assert.equal((await health()).queued, 0);
+
+  running.abort();
+  await waitFor(() => hungUpstreamClosed, "upstream connection to close");
+  const after = await waitFor(async () => {
+    const h = await health();
+    return h.cancelled.running === before.running + 1 && h.inflight === 0 && h;
+  }, "running cancellation");
+  assert.equal(after.queued, 0);
+
+  // 名额已经释放，新的请求马上能处理
+  nextReply = { content: "next" };
+  const next = await (await post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "after cancel" }] })).json();
+  assert.equal(next.content[0].text, "next");
+});
+
+test("queue overflow returns 529 overloaded_error and queue positions are queryable", async () => {
+  nextReply = { hang: true };
+  const running = new AbortController();
+  const first = await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "hog the slot" }] }, running.signal);
+  const runningId = first.headers.get("request-id");
+
+  // 流式请求在排队之前就拿到响应头
+  const waiting = new AbortController();
+  const queued = await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "wait in line" }] }, waiting.signal);
+  assert.equal(queued.status, 200);
+  const [{ id: queuedId }] = await waitFor(async () => {
+    const { waiting: list } = (await adminStatus()).queue;
+    return list.length ? list : null;
+  }, "request to queue");
+  assert.deepEqual(Object.keys((await health()).queue.waiting[0]), ["lane", "priority", "waitedMs"]);
+
+  const lane = (await health()).lanes.find(l => l.name === "model:qwen3:0.6b");
+  assert.deepEqual(lane, { name: "model:qwen3:0.6b", kind: "model", limit: 1, inflight: 1, queued: 1 });
+
+  const overflow = await post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "no room" }] });
+  assert.equal(overflow.status, 529);
+  assert.match(overflow.headers.get("retry-after"), /^\d+$/);
+  assert.equal((await overflow.json()).error.type, "overloaded_error");
+  const streamedOverflow = await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "no room either" }] });
+  assert.equal(streamedOverflow.status, 200);
+  const overflowEvents = parseSSE(await streamedOverflow.text());
+  assert.deepEqual(overflowEvents.map(e => e.type), ["message_start", "error"]);
+  assert.equal(overflowEvents[1].error.type, "overloaded_error");
+
+  const auth = { headers: { authorization: "Bearer test" } };
+  const pos = await (await fetch(`${baseUrl}/v1/queue/${queuedId}`, auth)).json();
+  assert.deepEqual({ state: pos.state, lane: pos.lane, position: pos.position }, { state: "queued", lane: "model:qwen3:0.6b", position: 1 });
+  const run = await (await fetch(`${baseUrl}/v1/queue/${runningId}`, auth)).json();
+  assert.deepEqual({ state: run.state, position: run.position }, { state: "running", position: 0 });
+  assert.equal((await fetch(`${baseUrl}/v1/queue/req_unknown`, auth)).status, 404);
+
+  // 排队期间：先是 message_start，之后定期 ping
+  let text = "";
+  for await (const chunk of queued.body) {
+    text += chunk;
+    if (text.split("event: ping").length > 2) break;
+  }
+  assert.match(text, /^event: message_start\n/);
+  waiting.abort();
+  running.abort();
+  await waitFor(async () => (await health()).inflight === 0, "slot to free");
+});
+
+test("long conversations are trimmed to the model context and num_ctx is set", async () => {
+  const history = [];
+  for (let i = 0; i < 6; i++) {
+    history.push({ role: "user", content: `question ${i} ${"x".repeat(800)}` });
+    history.push({ role: "assistant", content: `answer ${i}` });
+  }
+  history.push({ role: "user", content: "latest question" });
+  const r = await post("/v1/messages", { model: "qwen2.5:7b", system: "be brief", max_tokens: 100, messages: history });
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get("x-context-trimmed"), /^drop_oldest; tokens=\d+->\d+$/);
+
+  const sent = calls.at(-1);
+  assert.equal(sent.options.num_ctx, 1024);
+  assert.ok(sent.messages.length < history.length);
+  assert.equal(sent.messages.at(-1).content, "latest question");
+  assert.match(sent.messages[0].content, /^be brief\n\n\[\d+ earlier messages were omitted/);
+
+  const text = await (await fetch(`${baseUrl}/metrics`)).text();
+  assert.match(text, /proxy_context_trims_total\{model="qwen2.5:7b",strategy="drop_oldest"\} 1/);
+
+  const tooLong = await post("/v1/messages", { model: "qwen2.5:7b", messages: [{ role: "user", content: "y".repeat(8000) }] });
+  assert.equal(tooLong.status, 400);
+  assert.match((await tooLong.json()).error.message, /^prompt is too long: \d+ tokens > 1024 maximum$/);
+});
+
+test("API keys are accepted via x-api-key and enforce models, quotas and admin access", async () => {
+  const asLimited = body => fetch(`${baseUrl}/v1/messages`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "x-api-key": "sk-limited" },
+    body: JSON.stringify(body)
+  });
+  const bad = await fetch(`${baseUrl}/v1/models`, { headers: { "x-api-key": "sk-wrong" } });
+  assert.equal(bad.status, 401);
+  assert.equal((await bad.json()).error.type, "authentication_error");
+
+  const models = await (await fetch(`${baseUrl}/v1/models`, { headers: { "x-api-key": "sk-limited" } })).json();
+  assert.ok(models.data.some(m => m.id === "qwen3:0.6b"));
+  assert.ok(!models.data.some(m => m.id === "qwen2.5:7b"));
+
+  const forbidden = await asLimited({ model: "qwen2.5:7b", messages: [{ role: "user", content: "big model please" }] });
+  assert.equal(forbidden.status, 403);
+  assert.equal((await forbidden.json()).error.type, "permission_error");
+
+  const ok = await asLimited({ model: "qwen3:0.6b", messages: [{ role: "user", content: "quota one" }] });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.headers.get("anthropic-ratelimit-requests-limit"), "2");
+  assert.equal(ok.headers.get("anthropic-ratelimit-requests-remaining"), "0");
+  assert.equal(ok.headers.get("anthropic-ratelimit-tokens-limit"), "1000");
+  assert.ok(!Number.isNaN(Date.parse(ok.headers.get("anthropic-ratelimit-requests-reset"))));
+
+  const limited = await asLimited({ model: "qwen3:0.6b", messages: [{ role: "user", content: "quota two" }] });
+  assert.equal(limited.status, 429);
+  assert.match(limited.headers.get("retry-after"), /^\d+$/);
+  assert.equal((await limited.json()).error.type, "rate_limit_error");
+
+  const purge = await fetch(`${baseUrl}/admin/cache`, { method: "DELETE", headers: { "x-api-key": "sk-limited" } });
+  assert.equal(purge.status, 403);
+});
+
+test("/v1/chat/completions routes, forwards tool calls and caches OpenAI responses", async () => {
+  nextReply = {
+    message: {
+      role: "assistant",
+      content: "",
+      tool_calls: [{ function: { name: "ls", arguments: { path: "." } } }]
+    }
+  };
+  const body = {
+    model: "claude-haiku-4-5",
+    messages: [{ role: "developer", content: "be terse" }, { role: "user", content: "list files via openai" }],
+    tools: [{ type: "function", function: { name: "ls", parameters: { type: "object" } } }],
+    max_completion_tokens: 50,
+    temperature: 0
+  };
+  const res = await post("/v1/chat/completions", body);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-routed-model"), "qwen3:0.6b");
+  const completion = await res.json();
+  assert.match(completion.id, /^chatcmpl_/);
+  assert.equal(completion.object, "chat.completion");
+  assert.equal(completion.model, "claude-haiku-4-5");
+  assert.equal(completion.choices[0].finish_reason, "tool_calls");
+  assert.equal(completion.choices[0].message.tool_calls[0].function.name, "ls");
+  assert.equal(completion.choices[0].message.tool_calls[0].function.arguments, "{\"path\":\".\"}");
+  assert.deepEqual(completion.usage, { prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 });
+
+  const sent = calls.at(-1);
+  assert.equal(sent.model, "qwen3:0.6b");
+  assert.equal(sent.messages[0].role, "system");
+  assert.equal(sent.options.num_predict, 50);
+  assert.equal(sent.tools[0].function.name, "ls");
+
+  const upstreamCalls = calls.length;
+  const again = await (await post("/v1/chat/completions", body)).json();
+  assert.equal(calls.length, upstreamCalls);
+  assert.notEqual(again.id, completion.id);
+  assert.deepEqual(again.choices, completion.choices);
+
+  const invalid = await post("/v1/chat/completions", { messages: [] });
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).error.type, "invalid_request_error");
+});
+
+test("/v1/chat/completions streams OpenAI chunks and only forwards usage on request", async () => {
+  const stream = async (content, streamOptions) => {
+    nextReply = { chunks: [{ content: "hel" }, { content: "lo" }] };
+    const res = await post("/v1/chat/completions", {
+      model: "qwen3:0.6b",
+      stream: true,
+      stream_options: streamOptions,
+      temperature: 0,
+      messages: [{ role: "user", content }]
+    });
+    assert.match(res.headers.get("content-type"), /text\/event-stream/);
+    const lines = (await res.text()).split("\n\n").filter(Boolean).map(l => l.slice("data: ".length));
+    assert.equal(lines.at(-1), "[DONE]");
+    return lines.slice(0, -1).map(l => JSON.parse(l));
+  };
+
+  const chunks = await stream("stream via openai");
+  assert.equal(chunks.map(c => c.choices[0]?.delta?.content ?? "").join(""), "hello");
+  assert.equal(chunks.at(-1).choices[0].finish_reason, "stop");
+  assert.ok(chunks.every(c => c.object === "chat.completion.chunk" && c.model === "qwen3:0.6b" && c.id === chunks[0].id));
+  assert.ok(!chunks.some(c => c.usage));
+
+  const withUsage = await stream("stream via openai with usage", { include_usage: true });
+  assert.deepEqual(withUsage.at(-1), { ...withUsage.at(-1), choices: [], usage: { prompt_tokens: 11, completion_tokens: 3, total_tokens: 14 } });
+
+  // 缓存命中时按 chunk 回放
+  const upstreamCalls = calls.length;
+  const replayed = await stream("stream via openai");
+  assert.equal(calls.length, upstreamCalls);
+  assert.equal(replayed.map(c => c.choices[0]?.delta?.content ?? "").join(""), "hello");
+  assert.equal(replayed.at(-1).choices[0].finish_reason, "stop");
+  nextReply = null;
+});
+
+test("streams use named events, ping while waiting and report failures as error events", async () => {
+  nextReply = { delayMs: 350, content: "slow start" };
+  const slow = await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "wait for prefill" }] });
+  const events = parseSSE(await slow.text(), { pings: true });
+  assert.equal(events[0].type, "message_start");
+  const firstBlock = events.findIndex(e => e.type === "content_block_start");
+  assert.ok(events.slice(1, firstBlock).filter(e => e.type === "ping").length >= 2);
+  assert.ok(!events.slice(firstBlock).some(e => e.type === "ping"));
+  assert.equal(events.at(-1).type, "message_stop");
+
+  nextReply = { status: 500, error: "out of memory" };
+  const broken = await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "break the stream" }] });
+  assert.equal(broken.status, 200);
+  const failed = parseSSE(await broken.text());
+  assert.deepEqual(failed.map(e => e.type), ["message_start", "error"]);
+  assert.deepEqual(failed[1].error, { type: "api_error", message: "out of memory" });
+
+  nextReply = { status: 404, error: "model \"qwen3:0.6b\" not found" };
+  const missing = await post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "missing model json" }] });
+  assert.equal(missing.status, 404);
+  const body = await missing.json();
+  assert.equal(body.type, "error");
+  assert.equal(body.error.type, "not_found_error");
+  assert.match(body.error.message, /ollama pull/);
+});
+
+test("message batches run in the background and serve JSONL results", async () => {
+  const auth = { authorization: "Bearer test" };
+  const invalid = await post("/v1/messages/batches", { requests: [{ custom_id: "a", params: { messages: [], stream: true } }] });
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).error.message, /streaming is not supported/);
+
+  calls.length = 0;
+  const created = await post("/v1/messages/batches", {
+    requests: [
+      { custom_id: "summary-1", params: { model: "qwen3:0.6b", max_tokens: 50, messages: [{ role: "user", content: "summarize batch doc" }] } },
+      { custom_id: "summary-2", params: { model: "qwen3:0.6b", max_tokens: 50, temperature: 5, messages: [{ role: "user", content: "x" }] } }
+    ]
+  });
+  assert.equal(created.status, 200);
+  const batch = await created.json();
+  assert.equal(batch.type, "message_batch");
+  assert.match(batch.id, /^msgbatch_/);
+  assert.equal(batch.results_url, null);
+
+  const ended = await waitFor(async () => {
+    const b = await (await fetch(`${baseUrl}/v1/messages/batches/${batch.id}`, { headers: auth })).json();
+    return b.processing_status === "ended" && b;
+  }, "batch to end");
+  assert.deepEqual(ended.request_counts, { processing: 0, succeeded: 1, errored: 1, canceled: 0, expired: 0 });
+  assert.equal(ended.results_url, `${baseUrl}/v1/messages/batches/${batch.id}/results`);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].model, "qwen3:0.6b");
+
+  const results = (await (await fetch(ended.results_url, { headers: auth })).text())
+    .split("\n").filter(Boolean).map(line => JSON.parse(line));
+  const byId = Object.fromEntries(results.map(r => [r.custom_id, r.result]));
+  assert.equal(byId["summary-1"].type, "succeeded");
+  assert.equal(byId["summary-1"].message.content[0].text, "ok");
+  assert.equal(byId["summary-2"].type, "errored");
+  assert.equal(byId["summary-2"].error.error.type, "invalid_request_error");
+
+  // 结果文件读不了时返回错误，而不是让响应挂住
+  const resultsPath = join(batchDir, `${batch.id}.results.jsonl`);
+  const saved = readFileSync(resultsPath);
+  rmSync(resultsPath);
+  mkdirSync(resultsPath);
+  const unreadable = await fetch(ended.results_url, { headers: auth });
+  assert.equal(unreadable.status, 500);
+  assert.equal((await unreadable.json()).error.type, "api_error");
+  rmSync(resultsPath, { recursive: true });
+  writeFileSync(resultsPath, saved);
+
+  const list = await (await fetch(`${baseUrl}/v1/messages/batches?limit=1`, { headers: auth })).json();
+  assert.equal(list.data[0].id, batch.id);
+  // 其他 key 看不到这个 batch
+  const other = await fetch(`${baseUrl}/v1/messages/batches/${batch.id}`, { headers: { "x-api-key": "sk-limited" } });
+  assert.equal(other.status, 404);
+  assert.deepEqual((await (await fetch(`${baseUrl}/v1/messages/batches`, { headers: { "x-api-key": "sk-limited" } })).json()).data, []);
+
+  const cancelled = await post(`/v1/messages/batches/${batch.id}/cancel`, {});
+  assert.equal((await cancelled.json()).processing_status, "ended");
+  const deleted = await fetch(`${baseUrl}/v1/messages/batches/${batch.id}`, { method: "DELETE", headers: auth });
+  assert.deepEqual(await deleted.json(), { id: batch.id, type: "message_batch_deleted" });
+  assert.equal((await fetch(`${baseUrl}/v1/messages/batches/${batch.id}`, { headers: auth })).status, 404);
+});
+
+test("keep_alive is sent per model and admins can list, load and unload models", async () => {
+  const r = await post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "keep me warm" }] });
+  assert.equal(r.status, 200);
+  assert.equal(calls.at(-1).keep_alive, -1);
+  // 流式请求同样走原生 /api/chat，keep_alive 放在请求体顶层
+  await (await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "keep me warm while streaming" }] })).text();
+  assert.deepEqual({ stream: calls.at(-1).stream, keep_alive: calls.at(-1).keep_alive }, { stream: true, keep_alive: -1 });
+  await post("/v1/messages", { model: "qwen2.5:7b", messages: [{ role: "user", content: "default keep alive" }] });
+  assert.equal("keep_alive" in calls.at(-1), false);
+
+  const denied = await fetch(`${baseUrl}/admin/models`, { headers: { "x-api-key": "sk-limited" } });
+  assert.equal(denied.status, 403);
+  const listed = await (await fetch(`${baseUrl}/admin/models`, { headers: { authorization: "Bearer test" } })).json();
+  const qwen = listed.upstreams[0].models.find(m => m.name === "qwen3:0.6b");
+  assert.deepEqual({ loaded: qwen.loaded, keep_alive: qwen.keep_alive }, { loaded: false, keep_alive: -1 });
+
+  const loaded = await post("/admin/models/load", { model: "qwen2.5:7b", keep_alive: "15m" });
+  assert.deepEqual(await loaded.json(), { model: "qwen2.5:7b", action: "load", results: [{ upstream: "ollama", ok: true }] });
+  assert.deepEqual(generateCalls.at(-1), { model: "qwen2.5:7b", keep_alive: "15m" });
+  await post("/admin/models/unload", { model: "qwen2.5:7b" });
+  assert.deepEqual(generateCalls.at(-1), { model: "qwen2.5:7b", keep_alive: 0 });
+
+  const missing = await post("/admin/models/load", { model: "phi4:14b" });
+  assert.equal(missing.status, 404);
+  assert.equal((await post("/admin/models/load", { model: "qwen3:0.6b", keep_alive: "forever" })).status, 400);
+  assert.equal((await post("/admin/models/pull", {})).status, 400);
+});
+
+test("admins can change settings at runtime, control the queue and cancel requests", async () => {
+  const admin = { "content-type": "application/json", authorization: "Bearer test" };
+  const patch = (body, query = "") => fetch(`${baseUrl}/admin/config${query}`, { method: "PATCH", headers: admin, body: JSON.stringify(body) });
+  const requests = async () => (await (await fetch(`${baseUrl}/admin/requests`, { headers: admin })).json()).data;
+
+  const { settings } = await (await fetch(`${baseUrl}/admin/config`, { headers: admin })).json();
+  assert.deepEqual({ maxInflight: settings.maxInflight, queueMaxLength: settings.queueMaxLength }, { maxInflight: 1, queueMaxLength: 1 });
+  assert.deepEqual(settings.keys.limited, { requestsPerMinute: 2, tokensPerDay: 1000, maxConcurrency: 1 });
+  const invalid = await patch({ maxInflight: 0 });
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).error.message, /maxInflight: must be an integer >= 1/);
+  assert.equal((await fetch(`${baseUrl}/admin/config`, { headers: { "x-api-key": "sk-limited" } })).status, 403);
+
+  // 一个请求占着名额，第二个排队；调大模型并发后排队的立即执行
+  nextReply = { hang: true };
+  const hog = await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "admin hog" }] });
+  const hogId = hog.headers.get("request-id");
+  const queued = post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "admin queued" }] });
+  const listed = await waitFor(async () => {
+    const list = await requests();
+    return list.some(r => r.state === "queued") && list;
+  }, "request to queue");
+  assert.deepEqual(listed.map(r => [r.model, r.state]), [["qwen3:0.6b", "running"], ["qwen3:0.6b", "queued"]]);
+  assert.equal(listed[0].id, hogId);
+  assert.ok(listed[0].age_ms >= 0);
+
+  const raised = await patch({ modelConcurrency: { "qwen3:0.6b": 2 } });
+  assert.deepEqual((await raised.json()).settings.modelConcurrency, { "qwen3:0.6b": 2 });
+  assert.equal((await queued).status, 200);
+  await patch({ modelConcurrency: { "qwen3:0.6b": null } });
+
+  // 管理员取消正在生成的请求：客户端收到 error 事件
+  const cancelled = await fetch(`${baseUrl}/admin/requests/${hogId}`, { method: "DELETE", headers: admin });
+  assert.deepEqual(await cancelled.json(), { id: hogId, cancelled: true });
+  const events = parseSSE(await hog.text());
+  assert.deepEqual(events.at(-1), { type: "error", error: { type: "api_error", message: `request ${hogId} was cancelled by an administrator` } });
+  assert.equal((await fetch(`${baseUrl}/admin/requests/${hogId}`, { method: "DELETE", headers: admin })).status, 404);
+  await waitFor(async () => (await health()).inflight === 0, "slot to free");
+
+  // 排队中的非流式请求被取消：api_error，响应头告诉 SDK 不要自动重试
+  nextReply = { hang: true };
+  const busyHog = new AbortController();
+  await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "admin hog again" }] }, busyHog.signal);
+  const victim = post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "cancel me while queued" }] });
+  const { id: victimId } = await waitFor(async () => (await requests()).find(r => r.state === "queued"), "request to queue");
+  await fetch(`${baseUrl}/admin/requests/${victimId}`, { method: "DELETE", headers: admin });
+  const refusedVictim = await victim;
+  assert.equal(refusedVictim.status, 500);
+  assert.equal(refusedVictim.headers.get("x-proxy-cancelled"), "admin");
+  assert.equal(refusedVictim.headers.get("x-should-retry"), "false");
+  assert.deepEqual((await refusedVictim.json()).error, { type: "api_error", message: `request ${victimId} was cancelled by an administrator` });
+  busyHog.abort();
+  await waitFor(async () => (await health()).inflight === 0, "slot to free");
+
+  // drain：新请求返回 529，resume 后恢复
+  const drained = await (await fetch(`${baseUrl}/admin/queue/drain`, { method: "POST", headers: admin })).json();
+  assert.equal(drained.draining, true);
+  const refused = await post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "while draining" }] });
+  assert.equal(refused.status, 529);
+  assert.match((await refused.json()).error.message, /draining/);
+  // batch 请求只在排队已满 / 超时时重试，被 drain 拒绝直接记为 errored
+  const batch = await (await post("/v1/messages/batches", {
+    requests: [{ custom_id: "drained", params: { model: "qwen3:0.6b", max_tokens: 10, messages: [{ role: "user", content: "batch while draining" }] } }]
+  })).json();
+  const ended = await waitFor(async () => {
+    const b = await (await fetch(`${baseUrl}/v1/messages/batches/${batch.id}`, { headers: admin })).json();
+    return b.processing_status === "ended" && b;
+  }, "batch to end");
+  assert.equal(ended.request_counts.errored, 1);
+  await fetch(`${baseUrl}/admin/queue/resume`, { method: "POST", headers: admin });
+
+  // 清空队列：排队中的请求返回 529，正在执行的不受影响
+  nextReply = { hang: true };
+  const busy = new AbortController();
+  await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "busy" }] }, busy.signal);
+  const waiting = post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "to be cleared" }] });
+  await waitFor(async () => (await health()).queued === 1, "request to queue");
+  const cleared = await (await fetch(`${baseUrl}/admin/queue`, { method: "DELETE", headers: admin })).json();
+  assert.deepEqual({ cleared: cleared.cleared, queued: cleared.queued, inflight: cleared.inflight }, { cleared: 1, queued: 0, inflight: 1 });
+  const dropped = await waiting;
+  assert.equal(dropped.status, 529);
+  assert.match((await dropped.json()).error.message, /cleared by an administrator/);
+  busy.abort();
+  await waitFor(async () => (await health()).inflight === 0, "slot to free");
+
+  // ?persist=true 写入 RUNTIME_CONFIG_FILE
+  const persisted = await patch({ keys: { limited: { requestsPerMinute: 5 } } }, "?persist=true");
+  assert.equal((await persisted.json()).persisted, true);
+  const saved = JSON.parse(readFileSync(process.env.RUNTIME_CONFIG_FILE, "utf8"));
+  assert.equal(saved.keys.limited.requestsPerMinute, 5);
+  assert.equal(saved.queueMaxLength, 1);
+  await patch({ keys: { limited: { requestsPerMinute: 2 } } });
+});
+
+test("the dashboard needs an admin key and tails in-flight generations", async () => {
+  assert.equal((await fetch(`${baseUrl}/dashboard`)).status, 401);
+  assert.equal((await fetch(`${baseUrl}/dashboard?key=sk-limited`)).status, 403);
+  // ?key= 换成会话 cookie，重定向到不带 key 的地址
+  const login = await fetch(`${baseUrl}/dashboard?key=test`, { redirect: "manual" });
+  assert.equal(login.status, 303);
+  assert.equal(new URL(login.headers.get("location"), baseUrl).href, `${baseUrl}/dashboard`);
+  const cookie = login.headers.get("set-cookie").split(";")[0];
+  assert.match(login.headers.get("set-cookie"), /HttpOnly; SameSite=Strict/);
+  const session = { cookie };
+  assert.equal((await fetch(`${baseUrl}/dashboard/data?key=test`)).status, 401);
+  assert.equal((await fetch(`${baseUrl}/dashboard/data`, { headers: { cookie: "proxy_dashboard=0123abcd" } })).status, 401);
+  const page = await fetch(`${baseUrl}/dashboard`, { headers: session });
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get("content-type"), /^text\/html/);
+  assert.match(await page.text(), /Claude Local Proxy/);
+
+  nextReply = { content: "recorded" };
+  await post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "dashboard recent" }] });
+
+  nextReply = { hang: true };
+  const gen = await post("/v1/messages", { model: "qwen3:0.6b", stream: true, messages: [{ role: "user", content: "dashboard tail" }] });
+  const id = gen.headers.get("request-id");
+
+  const data = await (await fetch(`${baseUrl}/dashboard/data`, { headers: { authorization: "Bearer test" } })).json();
+  assert.deepEqual(data.requests.map(r => [r.id, r.state]), [[id, "running"]]);
+  assert.equal(data.upstreams[0].name, "ollama");
+  const last = data.recent[0];
+  assert.deepEqual({ model: last.model, outcome: last.outcome, output_tokens: last.output_tokens }, { model: "qwen3:0.6b", outcome: "ok", output_tokens: 2 });
+  assert.ok(last.duration_ms >= 0);
+
+  assert.equal((await fetch(`${baseUrl}/dashboard/tail/req_unknown`, { headers: session })).status, 404);
+  const live = await fetch(`${baseUrl}/dashboard/tail/${id}`, { headers: session });
+  assert.match(live.headers.get("content-type"), /^text\/event-stream/);
+  // 先收到已经生成的内容；请求被取消后收到 done，连接关闭
+  let text = "";
+  let cancelled = false;
+  for await (const chunk of live.body) {
+    text += chunk.toString("utf8");
+    if (!cancelled && text.includes("event: token")) {
+      cancelled = true;
+      await fetch(`${baseUrl}/admin/requests/${id}`, { method: "DELETE", headers: { authorization: "Bearer test" } });
+    }
+  }
+  assert.deepEqual(parseSSE(text), [{ type: "token", kind: "text", text: "thinking" }, { type: "done", outcome: "cancelled" }]);
+  await gen.text();
+  await waitFor(async () => (await health()).inflight === 0, "slot to free");
+});
+
+test("the dashboard tail shows a non-streaming reply once the upstream returns", async () => {
+  nextReply = { content: "all at once", delayMs: 300 };
+  const pending = post("/v1/messages", { model: "qwen3:0.6b", messages: [{ role: "user", content: "dashboard non-stream" }] });
+  let id;
+  await waitFor(async () => {
+    const data = await (await fetch(`${baseUrl}/dashboard/data`, { headers: { authorization: "Bearer test" } })).json();
+    id = data.requests[0]?.id;
+    return !!id;
+  }, "request to show up");
+  const live = await fetch(`${baseUrl}/dashboard/tail/${id}`, { headers: { authorization: "Bearer test" } });
+  assert.equal((await pending).status, 200);
+  assert.deepEqual(parseSSE(await live.text()), [{ type: "token", kind: "text", text: "all at once" }, { type: "done", outcome: "ok" }]);
+});
@@ -1,6 +1,20 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { anthropicToOpenAI, pickModel } from "../proxy.mjs";
+import {
+  anthropicToOpenAI,
+  anthropicToolsToOpenAI,
+  anthropicToolChoiceToOpenAI,
+  openAIToAnthropicContent,
+  openAIToAnthropicMessage,
+  mapFinishReason,
+  createStopMatcher,
+  createThinkTagSplitter,
+  createStreamTranslator,
+  validateSamplingParams,
+  anthropicSamplingToOpenAI,
+  pickModel,
+  supportsVision
+} from "../proxy.mjs";
 
 test("anthropicToOpenAI converts system and message text", () => {
   const input = {
@@ -51,6 +65,344 @@ test("anthropicToOpenAI handles array content with multiple types", () => {
   ]);
 });
 
+test("anthropicToOpenAI maps tool_use and tool_result blocks", () => {
+  const input = {
+    messages: [
+      { role: "user", content: "list files" },
+      {
+        role: "assistant",
+        content: [
+          { type: "text", text: "let me look" },
+          { type: "tool_use", id: "toolu_1", name: "ls", input: { path: "." } }
+        ]
+      },
+      {
+        role: "user",
+        content: [
+          { type: "tool_result", tool_use_id: "toolu_1", content: [{ type: "text", text: "a.js" }] }
+        ]
+      },
+      {
+        role: "user",
+        content: [
+          { type: "tool_result", tool_use_id: "toolu_2", content: "boom", is_error: true },
+          { type: "text", text: "continue" }
+        ]
+      }
+    ]
+  };
+
+  assert.deepEqual(anthropicToOpenAI(input), [
+    { role: "user", content: "list files" },
+    {
+      role: "assistant",
+      content: "let me look",
+      tool_calls: [
+        { id: "toolu_1", type: "function", function: { name: "ls", arguments: "{\"path\":\".\"}" } }
+      ]
+    },
+    { role: "tool", tool_call_id: "toolu_1", content: "a.js" },
+    { role: "tool", tool_call_id: "toolu_2", content: "Error: boom" },
+    { role: "user", content: "continue" }
+  ]);
+});
+
+test("anthropicToOpenAI converts image blocks into image_url parts", () => {
+  const input = {
+    messages: [
+      {
+        role: "user",
+        content: [
+          { type: "text", text: "what is this?" },
+          { type: "image", source: { type: "base64", media_type: "image/jpeg", data: "AAAA" } },
+          { type: "image", source: { type: "url", url: "https://example.com/a.png" } }
+        ]
+      },
+      {
+        role: "user",
+        content: [
+          {
+            type: "tool_result",
+            tool_use_id: "toolu_1",
+            content: [
+              { type: "text", text: "screenshot taken" },
+              { type: "image", source: { type: "base64", media_type: "image/png", data: "BBBB" } }
+            ]
+          }
+        ]
+      }
+    ]
+  };
+
+  assert.deepEqual(anthropicToOpenAI(input), [
+    {
+      role: "user",
+      content: [
+        { type: "text", text: "what is this?" },
+        { type: "image_url", image_url: { url: "data:image/jpeg;base64,AAAA" } },
+        { type: "image_url", image_url: { url: "https://example.com/a.png" } }
+      ]
+    },
+    { role: "tool", tool_call_id: "toolu_1", content: "screenshot taken" },
+    { role: "user", content: [{ type: "image_url", image_url: { url: "data:image/png;base64,BBBB" } }] }
+  ]);
+});
+
+test("anthropicToolsToOpenAI converts custom tools and drops server tools", () => {
+  const schema = { type: "object", properties: { path: { type: "string" } } };
+  assert.deepEqual(
+    anthropicToolsToOpenAI([
+      { name: "ls", description: "list", input_schema: schema },
+      { type: "web_search_20250305", name: "web_search" }
+    ]),
+    [{ type: "function", function: { name: "ls", description: "list", parameters: schema } }]
+  );
+  assert.equal(anthropicToolsToOpenAI([]), undefined);
+});
+
+test("anthropicToolChoiceToOpenAI maps every choice type", () => {
+  assert.equal(anthropicToolChoiceToOpenAI({ type: "auto" }), "auto");
+  assert.equal(anthropicToolChoiceToOpenAI({ type: "any" }), "required");
+  assert.equal(anthropicToolChoiceToOpenAI({ type: "none" }), "none");
+  assert.deepEqual(anthropicToolChoiceToOpenAI({ type: "tool", name: "ls" }), {
+    type: "function",
+    function: { name: "ls" }
+  });
+  assert.equal(anthropicToolChoiceToOpenAI(undefined), undefined);
+});
+
+test("openAIToAnthropicContent converts tool_calls into tool_use blocks", () => {
+  const content = openAIToAnthropicContent({
+    content: "",
+    tool_calls: [
+      { id: "call_1", type: "function", function: { name: "ls", arguments: "{\"path\":\"src\"}" } },
+      { type: "function", function: { name: "pwd", arguments: {} } }
+    ]
+  });
+
+  assert.equal(content.length, 2);
+  assert.deepEqual(content[0], { type: "tool_use", id: "call_1", name: "ls", input: { path: "src" } });
+  assert.equal(content[1].name, "pwd");
+  assert.match(content[1].id, /^toolu_/);
+  assert.deepEqual(content[1].input, {});
+});
+
+test("openAIToAnthropicContent keeps plain text replies", () => {
+  assert.deepEqual(openAIToAnthropicContent({ content: "hi" }), [{ type: "text", text: "hi" }]);
+  assert.deepEqual(openAIToAnthropicContent(undefined), [{ type: "text", text: "" }]);
+});
+
+function translateChunks(chunks) {
+  const events = [];
+  const translator = createStreamTranslator(evt => events.push(evt));
+  for (const chunk of chunks) translator.push(chunk);
+  translator.finish();
+  return events;
+}
+
+test("createStreamTranslator streams text then one tool_use block per tool call", () => {
+  const events = translateChunks([
+    { choices: [{ delta: { content: "Looking" } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, id: "call_a", function: { name: "read", arguments: "" } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: "{\"path\":" } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: "\"a.js\"}" } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 1, id: "call_b", function: { name: "ls", arguments: "{}" } }] } }] },
+    { choices: [{ delta: {}, finish_reason: "tool_calls" }] }
+  ]);
+
+  assert.deepEqual(events, [
+    { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } },
+    { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "Looking" } },
+    { type: "content_block_stop", index: 0 },
+    { type: "content_block_start", index: 1, content_block: { type: "tool_use", id: "call_a", name: "read", input: {} } },
+    { type: "content_block_delta", index: 1, delta: { type: "input_json_delta", partial_json: "{\"path\":" } },
+    { type: "content_block_delta", index: 1, delta: { type: "input_json_delta", partial_json: "\"a.js\"}" } },
+    { type: "content_block_stop", index: 1 },
+    { type: "content_block_start", index: 2, content_block: { type: "tool_use", id: "call_b", name: "ls", input: {} } },
+    { type: "content_block_delta", index: 2, delta: { type: "input_json_delta", partial_json: "{}" } },
+    { type: "content_block_stop", index: 2 },
+    {
+      type: "message_delta",
+      delta: { stop_reason: "tool_use", stop_sequence: null },
+      usage: { input_tokens: 0, output_tokens: 5 }
+    },
+    { type: "message_stop" }
+  ]);
+});
+
+test("createStreamTranslator keeps the first tool name and drops fragments for closed blocks", () => {
+  const events = translateChunks([
+    { choices: [{ delta: { tool_calls: [{ index: 0, id: "call_a", function: { name: "read", arguments: "{\"path\":" } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: "read", arguments: "\"a.js\"}" } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 1, id: "call_b", function: { name: "ls", arguments: "{}" } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: "read", arguments: " " } }] } }] },
+    { choices: [{ delta: {}, finish_reason: "tool_calls" }] }
+  ]);
+  assert.deepEqual(events.filter(e => e.type === "content_block_start").map(e => e.content_block.name), ["read", "ls"]);
+  // 每个 delta 都在自己的 block 关闭之前
+  const stopped = new Set();
+  for (const e of events) {
+    if (e.type === "content_block_stop") stopped.add(e.index);
+    if (e.type === "content_block_delta") assert.ok(!stopped.has(e.index), `delta after stop for block ${e.index}`);
+  }
+  assert.deepEqual(events.filter(e => e.type === "content_block_delta").map(e => [e.index, e.delta.partial_json]), [
+    [0, "{\"path\":"],
+    [0, "\"a.js\"}"],
+    [1, "{}"]
+  ]);
+});
+
+test("createStreamTranslator ends plain text streams with end_turn", () => {
+  const events = translateChunks([
+    { choices: [{ delta: { content: "hi" } }] },
+    { choices: [{ delta: {}, finish_reason: "stop" }] }
+  ]);
+  assert.equal(events[0].content_block.type, "text");
+  assert.deepEqual(events.at(-2).delta, { stop_reason: "end_turn", stop_sequence: null });
+  assert.deepEqual(events.at(-1), { type: "message_stop" });
+});
+
+test("createStreamTranslator reports upstream usage and max_tokens", () => {
+  const events = translateChunks([
+    { choices: [{ delta: { content: "a long" } }] },
+    { choices: [{ delta: {}, finish_reason: "length" }] },
+    { choices: [], usage: { prompt_tokens: 42, completion_tokens: 7 } }
+  ]);
+  assert.deepEqual(events.at(-2), {
+    type: "message_delta",
+    delta: { stop_reason: "max_tokens", stop_sequence: null },
+    usage: { input_tokens: 42, output_tokens: 7 }
+  });
+});
+
+test("mapFinishReason maps OpenAI finish reasons to Anthropic stop reasons", () => {
+  assert.equal(mapFinishReason("stop"), "end_turn");
+  assert.equal(mapFinishReason(null), "end_turn");
+  assert.equal(mapFinishReason("length"), "max_tokens");
+  assert.equal(mapFinishReason("tool_calls"), "tool_use");
+  assert.equal(mapFinishReason("stop", { usedTools: true }), "tool_use");
+  assert.equal(mapFinishReason("stop", { stopSequence: "###" }), "stop_sequence");
+});
+
+test("openAIToAnthropicMessage fills usage and stop_reason", () => {
+  const msg = openAIToAnthropicMessage(
+    {
+      choices: [{ message: { content: "truncated" }, finish_reason: "length" }],
+      usage: { prompt_tokens: 12, completion_tokens: 34 }
+    },
+    { id: "msg_1", model: "sonnet-4.5" }
+  );
+  assert.deepEqual(msg, {
+    id: "msg_1",
+    type: "message",
+    role: "assistant",
+    model: "sonnet-4.5",
+    content: [{ type: "text", text: "truncated" }],
+    stop_reason: "max_tokens",
+    stop_sequence: null,
+    usage: { input_tokens: 12, output_tokens: 34 }
+  });
+});
+
+test("createStopMatcher holds back partial matches and truncates at the stop sequence", () => {
+  const m = createStopMatcher(["</answer>", "STOP"]);
+  assert.deepEqual(m.push("the result is 4</an"), { text: "the result is 4", matched: null });
+  assert.deepEqual(m.push("swer> trailing"), { text: "", matched: "</answer>" });
+
+  const n = createStopMatcher(["STOP"]);
+  assert.deepEqual(n.push("ST"), { text: "", matched: null });
+  assert.deepEqual(n.push("AY here"), { text: "STAY here", matched: null });
+  assert.deepEqual(n.push(" S"), { text: " ", matched: null });
+  assert.equal(n.flush(), "S");
+});
+
+test("createStreamTranslator reports the matched stop sequence", () => {
+  const events = [];
+  const translator = createStreamTranslator(evt => events.push(evt), { stopSequences: ["###"] });
+  translator.push({ choices: [{ delta: { content: "answer #" } }] });
+  assert.equal(translator.stopped, false);
+  translator.push({ choices: [{ delta: { content: "## more" } }] });
+  assert.equal(translator.stopped, true);
+  translator.finish();
+
+  const text = events.filter(e => e.delta?.type === "text_delta").map(e => e.delta.text).join("");
+  assert.equal(text, "answer ");
+  assert.deepEqual(events.at(-2).delta, { stop_reason: "stop_sequence", stop_sequence: "###" });
+});
+
+test("validateSamplingParams rejects out-of-range values", () => {
+  assert.equal(validateSamplingParams({ max_tokens: 1024, temperature: 1, top_p: 0.9, top_k: 40, stop_sequences: ["x"] }), null);
+  assert.match(validateSamplingParams({ max_tokens: 0 }), /^max_tokens:/);
+  assert.match(validateSamplingParams({ max_tokens: 1.5 }), /^max_tokens:/);
+  assert.match(validateSamplingParams({ temperature: 1.5 }), /^temperature:/);
+  assert.match(validateSamplingParams({ top_p: -0.1 }), /^top_p:/);
+  assert.match(validateSamplingParams({ top_k: "40" }), /^top_k:/);
+  assert.match(validateSamplingParams({ stop_sequences: "###" }), /^stop_sequences:/);
+  assert.match(validateSamplingParams({ stop_sequences: [""] }), /^stop_sequences:/);
+  assert.match(validateSamplingParams({ metadata: { user_id: 1 } }), /^metadata\.user_id:/);
+});
+
+test("anthropicSamplingToOpenAI maps sampling fields", () => {
+  assert.deepEqual(
+    anthropicSamplingToOpenAI({ max_tokens: 256, temperature: 0, top_p: 0.5, top_k: 20, metadata: { user_id: "u1" } }),
+    { temperature: 0, max_tokens: 256, top_p: 0.5, top_k: 20, user: "u1" }
+  );
+  assert.deepEqual(anthropicSamplingToOpenAI({}), { temperature: 0.2 });
+});
+
+test("createThinkTagSplitter splits tags that span chunks", () => {
+  const sp = createThinkTagSplitter();
+  assert.deepEqual(sp.push("<thi"), []);
+  assert.deepEqual(sp.push("nk>plan it</th"), [{ thinking: true, text: "plan it" }]);
+  assert.deepEqual(sp.push("ink>\n\nAnswer <"), [{ thinking: false, text: "\n\nAnswer " }]);
+  assert.deepEqual(sp.flush(), [{ thinking: false, text: "<" }]);
+});
+
+test("createStreamTranslator emits thinking blocks when enabled", () => {
+  const chunks = [
+    { choices: [{ delta: { content: "<think>let me" } }] },
+    { choices: [{ delta: { content: " think</think>\n\nIt is 4." } }] },
+    { choices: [{ delta: {}, finish_reason: "stop" }] }
+  ];
+  const events = [];
+  const translator = createStreamTranslator(evt => events.push(evt), { thinking: true });
+  chunks.forEach(c => translator.push(c));
+  translator.finish();
+
+  assert.deepEqual(events.slice(0, 6), [
+    { type: "content_block_start", index: 0, content_block: { type: "thinking", thinking: "", signature: "" } },
+    { type: "content_block_delta", index: 0, delta: { type: "thinking_delta", thinking: "let me" } },
+    { type: "content_block_delta", index: 0, delta: { type: "thinking_delta", thinking: " think" } },
+    { type: "content_block_stop", index: 0 },
+    { type: "content_block_start", index: 1, content_block: { type: "text", text: "" } },
+    { type: "content_block_delta", index: 1, delta: { type: "text_delta", text: "It is 4." } }
+  ]);
+
+  // 未开启 thinking 时推理内容被丢弃，正文仍从 index 0 开始
+  const stripped = translateChunks([
+    { choices: [{ delta: { reasoning_content: "hidden" } }] },
+    { choices: [{ delta: { content: "\nvisible" } }] }
+  ]);
+  assert.deepEqual(stripped.slice(0, 3), [
+    { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } },
+    { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "visible" } },
+    { type: "content_block_stop", index: 0 }
+  ]);
+});
+
+test("openAIToAnthropicContent separates reasoning from the answer", () => {
+  const message = { content: "<think>2+2</think>\n\n4" };
+  assert.deepEqual(openAIToAnthropicContent(message, { thinking: true }), [
+    { type: "thinking", thinking: "2+2", signature: "" },
+    { type: "text", text: "4" }
+  ]);
+  assert.deepEqual(openAIToAnthropicContent(message), [{ type: "text", text: "4" }]);
+  assert.deepEqual(openAIToAnthropicContent({ reasoning_content: "r", content: "a" }, { thinking: true }), [
+    { type: "thinking", thinking: "r", signature: "" },
+    { type: "text", text: "a" }
+  ]);
+});
+
 test("pickModel selects smaller model for short non-code prompts", () => {
   assert.equal(pickModel("你好"), "qwen3:0.6b");
 });
@@ -65,6 +417,13 @@ test("pickModel selects reasoning model for reasoning prompts", () => {
   assert.equal(pickModel("一步一步教我如何做蛋糕"), "qwen2.5:7b");
 });
 
+test("pickModel routes image requests to a vision model", () => {
+  const model = pickModel("帮我看看这段代码截图", { hasImages: true });
+  assert.ok(supportsVision(model));
+  assert.equal(supportsVision("llava:13b"), true);
+  assert.equal(supportsVision("deepseek-coder:6.7b"), false);
+});
+
 test("pickModel selects default model for long non-code prompts", () => {
   const longText = "这是一段很长的文本，" + "重复多次来达到长度要求。".repeat(20);
   assert.equal(pickModel(longText), "llama3.2:latest");
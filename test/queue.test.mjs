@@ -0,0 +1,105 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Queue, QueueError } from "../src/queue.js";
+
+test("Queue removes waiting jobs whose signal aborts", async () => {
+  const q = new Queue(1);
+  let release;
+  const first = q.enqueue(() => new Promise(r => { release = r; }));
+  const ac = new AbortController();
+  let ran = false;
+  const second = q.enqueue(() => { ran = true; }, { signal: ac.signal });
+  const third = q.enqueue(() => "third");
+  assert.equal(q.size, 2);
+
+  ac.abort();
+  await assert.rejects(second, err => err.name === "AbortError" && err.queued === true);
+  assert.equal(q.size, 1);
+
+  release("first");
+  assert.equal(await first, "first");
+  assert.equal(await third, "third");
+  assert.equal(ran, false);
+});
+
+test("Queue rejects already-aborted signals and ignores aborts after a job starts", async () => {
+  const q = new Queue(1);
+  await assert.rejects(q.enqueue(() => 1, { signal: AbortSignal.abort() }), { name: "AbortError" });
+
+  const ac = new AbortController();
+  const job = q.enqueue(async () => {
+    ac.abort();
+    return "finished";
+  }, { signal: ac.signal });
+  assert.equal(await job, "finished");
+});
+
+// 占住唯一的并发名额，返回释放函数
+function hold(q) {
+  let release;
+  const gate = new Promise(r => { release = r; });
+  q.enqueue(() => gate);
+  return release;
+}
+
+test("Queue runs higher priorities first and rotates between clients", async () => {
+  const q = new Queue(1);
+  const release = hold(q);
+  const order = [];
+  const job = name => () => { order.push(name); };
+  const jobs = [
+    q.enqueue(job("bg"), { priority: "background" }),
+    q.enqueue(job("a1"), { client: "a" }),
+    q.enqueue(job("a2"), { client: "a" }),
+    q.enqueue(job("a3"), { client: "a" }),
+    q.enqueue(job("b1"), { client: "b" }),
+    q.enqueue(job("live"), { priority: "interactive", client: "c" })
+  ];
+  assert.deepEqual(q.waiting().map(j => j.client || j.priority), ["c", "a", "b", "a", "a", "background"]);
+  // id 按入队顺序自增：1 是占位任务，7 是 live，6 是 b1
+  assert.equal(q.position(7), 1);
+  assert.equal(q.position(6), 3);
+  assert.equal(q.position(1), 0);
+  assert.equal(q.position(99), null);
+
+  release();
+  await Promise.all(jobs);
+  assert.deepEqual(order, ["live", "a1", "b1", "a2", "a3", "bg"]);
+  assert.throws(() => q.enqueue(() => {}, { priority: "urgent" }), /unknown priority/);
+});
+
+test("Queue rejects overflow and expired jobs with QueueError", async () => {
+  const q = new Queue(1, { maxQueueLength: 1, maxWaitMs: 30 });
+  const release = hold(q);
+  const waiting = q.enqueue(() => "never");
+  await assert.rejects(q.enqueue(() => "overflow"), err => err instanceof QueueError && err.code === "queue_full" && err.retryAfterMs > 0);
+  await assert.rejects(waiting, err => err instanceof QueueError && err.code === "queue_timeout");
+  assert.deepEqual({ size: q.size, rejected: q.rejected, expired: q.expired }, { size: 0, rejected: 1, expired: 1 });
+
+  const patient = q.enqueue(() => "patient", { maxWaitMs: 1000 });
+  release();
+  assert.equal(await patient, "patient");
+});
+
+test("Queue limits and queue options can change while jobs are waiting", async () => {
+  const q = new Queue(1, { maxQueueLength: 1 });
+  const release = hold(q);
+  const waiting = q.enqueue(() => "second");
+  await assert.rejects(q.enqueue(() => "overflow"), err => err.code === "queue_full");
+
+  q.setQueueOptions({ maxQueueLength: 0 });
+  const third = q.enqueue(() => "third");
+  assert.equal(q.size, 2);
+  // 调大并发立即放行排队中的任务
+  q.setLimit(3);
+  assert.equal(await waiting, "second");
+  assert.equal(await third, "third");
+
+  // 调小并发时正在执行的任务不受影响，清空只拒绝等待中的任务
+  q.setLimit(1);
+  const dropped = [q.enqueue(() => "x", { client: "a" }), q.enqueue(() => "y", { client: "b" })];
+  assert.equal(q.clear(), 2);
+  for (const p of dropped) await assert.rejects(p, err => err instanceof QueueError && err.code === "queue_cleared");
+  assert.deepEqual({ size: q.size, inflight: q.inflightCount }, { size: 0, inflight: 1 });
+  release();
+});
@@ -0,0 +1,129 @@
+import test, { before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { readTranscripts, replayTranscripts, renderMarkdown, summarizeMessage } from "../src/replay/replay.js";
+
+// 模拟上游：good 模型正常回答，sloppy 模型返回参数不是 JSON 的工具调用
+const upstream = http.createServer(async (req, res) => {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  res.setHeader("content-type", "application/json");
+  if (req.url === "/api/tags") {
+    res.end(JSON.stringify({ models: [{ name: "good:1b", size: 1 }, { name: "sloppy:1b", size: 2 }] }));
+    return;
+  }
+  if (req.url !== "/api/chat") {
+    res.statusCode = 404;
+    res.end("{}");
+    return;
+  }
+  const payload = JSON.parse(body);
+  const message = payload.model === "sloppy:1b"
+    ? { role: "assistant", content: "", tool_calls: [{ function: { name: "ls", arguments: "{path: ." } }] }
+    : { role: "assistant", content: "all good" };
+  res.end(JSON.stringify({ model: payload.model, message, done: true, done_reason: "stop", prompt_eval_count: 5, eval_count: 2 }));
+});
+
+const dir = mkdtempSync(join(tmpdir(), "replay-"));
+const transcriptFile = join(dir, "transcript.jsonl");
+let proxy;
+let baseUrl;
+
+before(async () => {
+  upstream.listen(0, "127.0.0.1");
+  await once(upstream, "listening");
+  process.env.OLLAMA_BASE_URL = `http://127.0.0.1:${upstream.address().port}`;
+  process.env.PROXY_BEARER = "test";
+  const { app } = await import("../proxy.mjs");
+  proxy = app.listen(0, "127.0.0.1");
+  await once(proxy, "listening");
+  baseUrl = `http://127.0.0.1:${proxy.address().port}`;
+
+  const records = [
+    {
+      request_id: "req_a",
+      duration_ms: 1200,
+      request: { model: "claude-sonnet-4-5", max_tokens: 100, messages: [{ role: "user", content: "say | hi" }] },
+      upstream_request: { model: "qwen3:0.6b" },
+      response: { content: [{ type: "text", text: "hi" }], stop_reason: "end_turn", usage: { output_tokens: 1 } },
+      error: null
+    },
+    {
+      request_id: "req_b",
+      request: {
+        model: "claude-sonnet-4-5",
+        messages: [{ role: "user", content: [{ type: "text", text: "list files" }] }],
+        tools: [{ name: "ls", input_schema: { type: "object" } }]
+      },
+      response: null,
+      error: { message: "timeout" }
+    }
+  ];
+  writeFileSync(transcriptFile, `${records.map(r => JSON.stringify(r)).join("\n")}\n{"event":"not a transcript"}\n${JSON.stringify({ api: "openai", request: { model: "gpt-4o", messages: [] } })}\n`);
+});
+
+after(() => {
+  proxy?.close();
+  upstream.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("summarizeMessage flags tool calls whose arguments did not parse", () => {
+  assert.deepEqual(summarizeMessage({
+    content: [{ type: "text", text: "abc" }, { type: "tool_use", name: "ls", input: { _raw: "{" } }],
+    stop_reason: "tool_use",
+    usage: { output_tokens: 4 }
+  }), { output_chars: 3, output_tokens: 4, stop_reason: "tool_use", tool_calls: 1, tool_calls_parsed: false });
+  assert.equal(summarizeMessage(null).stop_reason, null);
+});
+
+test("replayTranscripts compares override models against the recording", async () => {
+  const records = readTranscripts(transcriptFile);
+  assert.equal(records.length, 2);
+
+  const report = await replayTranscripts(records, { baseUrl, bearer: "test", models: ["good:1b", "sloppy:1b", "typo:1b"] });
+  assert.deepEqual(report.models, ["good:1b", "sloppy:1b", "typo:1b"]);
+
+  const [a, b] = report.results;
+  assert.equal(a.recorded.model, "qwen3:0.6b");
+  assert.equal(a.recorded.latency_ms, 1200);
+  assert.equal(a.replays["good:1b"].output_chars, "all good".length);
+  assert.equal(a.replays["good:1b"].stop_reason, "end_turn");
+  assert.equal(a.replays["good:1b"].routed_model, "good:1b");
+  assert.equal(b.recorded.error, "timeout");
+  assert.equal(b.replays["sloppy:1b"].tool_calls, 1);
+  assert.equal(b.replays["sloppy:1b"].tool_calls_parsed, false);
+
+  assert.deepEqual(report.summary["good:1b"].stop_reasons, { end_turn: 2 });
+  assert.equal(report.summary["sloppy:1b"].tool_calls_parsed, "0/2");
+
+  // 没装的模型被路由规则换成了别的模型：不能算作它的结果
+  assert.match(a.replays["typo:1b"].error, /^routed to \S+ instead of typo:1b$/);
+  assert.equal(report.summary["typo:1b"].errors, 2);
+  assert.equal(report.summary["typo:1b"].misrouted, 2);
+
+  const md = renderMarkdown(report);
+  assert.match(md, /^\| good:1b \| 2 \| 0 \| 0 \| \d+ \| 8 \| end_turn ×2 \| - \|$/m);
+  assert.match(md, /^\| typo:1b \| 2 \| 2 \| 2 \| - \| - \| - \| - \|$/m);
+  assert.match(md, /\| req_a \| say \\\| hi \| qwen3:0\.6b: 1200 ms, 2 chars, end_turn \|/);
+});
+
+test("replay.mjs runs against an in-process proxy and writes both reports", async () => {
+  const out = join(dir, "report");
+  const cli = fileURLToPath(new URL("../replay.mjs", import.meta.url));
+  await promisify(execFile)(process.execPath, [cli, "--transcripts", transcriptFile, "--model", "good:1b", "--out", out], {
+    env: { ...process.env, PROXY_BEARER: "test" },
+    timeout: 30000
+  });
+  const report = JSON.parse(readFileSync(`${out}.json`, "utf8"));
+  assert.equal(report.summary["good:1b"].requests, 2);
+  assert.equal(report.summary["good:1b"].errors, 0);
+  assert.match(readFileSync(`${out}.md`, "utf8"), /^# Replay report/);
+});
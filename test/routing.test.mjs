@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync, utimesSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { setTimeout as delay } from "node:timers/promises";
+import {
+  compileRoutingConfig,
+  defaultRoutingConfig,
+  loadRoutingConfig,
+  routeModel,
+  watchRoutingConfig
+} from "../src/routing/rules.js";
+
+test("default routing config keeps the built-in behavior", () => {
+  const routing = compileRoutingConfig(defaultRoutingConfig({ visionModel: "llava:7b" }));
+  assert.deepEqual(routeModel(routing, { text: "你好" }), { model: "qwen3:0.6b", rule: "short" });
+  assert.equal(routeModel(routing, { text: "修复这个 python bug" }).model, "deepseek-coder:6.7b");
+  assert.equal(routeModel(routing, { text: "为什么天空是蓝色的" }).model, "qwen2.5:7b");
+  assert.equal(routeModel(routing, { text: "长".repeat(200) }).rule, "default");
+  assert.equal(routeModel(routing, { text: "hi", hasImages: true }).model, "llava:7b");
+});
+
+test("rules match on request model, tools and headers in order", () => {
+  const routing = compileRoutingConfig({
+    rules: [
+      { name: "aider", match: { headers: { "X-Client": "^aider" } }, target: "coder" },
+      { name: "haiku", match: { model: "*haiku*" }, target: "tiny" },
+      { name: "agent", match: { hasTools: true, minLength: 5 }, target: "agent" }
+    ],
+    default: "fallback"
+  });
+  assert.equal(routeModel(routing, { text: "x", headers: { "x-client": "aider/0.8" } }).model, "coder");
+  assert.equal(routeModel(routing, { text: "x", requestModel: "claude-haiku-4-5" }).model, "tiny");
+  assert.equal(routeModel(routing, { text: "hello", hasTools: true }).model, "agent");
+  assert.equal(routeModel(routing, { text: "hi", hasTools: true }).model, "fallback");
+});
+
+test("compileRoutingConfig rejects invalid configs with a location", () => {
+  assert.throws(() => compileRoutingConfig({ rules: [] }), /default model is required/);
+  assert.throws(
+    () => compileRoutingConfig({ rules: [{ target: "m", match: { pattern: "(" } }], default: "d" }),
+    /rules\[0\]\.match\.pattern: invalid regex/
+  );
+  assert.throws(
+    () => compileRoutingConfig({ rules: [{ target: "m", match: { size: 1 } }], default: "d" }),
+    /rules\[0\]\.match\.size is not a supported condition/
+  );
+  assert.throws(() => compileRoutingConfig({ rules: [{ match: {} }], default: "d" }), /rules\[0\]\.target is required/);
+});
+
+test("watchRoutingConfig reloads valid changes and reports invalid ones", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "routing-"));
+  const file = join(dir, "routing.json");
+  writeFileSync(file, JSON.stringify({ rules: [], default: "a" }));
+  assert.equal(routeModel(loadRoutingConfig(file), { text: "" }).model, "a");
+
+  const reloaded = [];
+  const errors = [];
+  const stop = watchRoutingConfig(file, c => reloaded.push(c), e => errors.push(e));
+  try {
+    writeFileSync(file, JSON.stringify({ rules: [], default: "b" }));
+    utimesSync(file, new Date(), new Date(Date.now() + 5000));
+    for (let i = 0; i < 30 && !reloaded.length; i += 1) await delay(100);
+    assert.equal(routeModel(reloaded[0], { text: "" }).model, "b");
+
+    writeFileSync(file, "{ not json");
+    utimesSync(file, new Date(), new Date(Date.now() + 10000));
+    for (let i = 0; i < 30 && !errors.length; i += 1) await delay(100);
+    assert.match(errors[0].message, /routing config/);
+  } finally {
+    stop();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
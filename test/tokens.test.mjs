@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { estimateTokens, estimateMessagesTokens, countInputTokens } from "../src/tokens/count.js";
+
+test("estimateTokens counts CJK characters individually", () => {
+  assert.equal(estimateTokens(""), 0);
+  assert.equal(estimateTokens("abcdefgh"), 2);
+  assert.equal(estimateTokens("你好世界"), 4);
+  assert.equal(estimateTokens("你好 world"), 2 + 2);
+});
+
+test("estimateMessagesTokens adds per-message overhead, tools and images", () => {
+  const messages = [
+    { role: "user", content: "abcd" },
+    { role: "user", content: [{ type: "image_url", image_url: { url: "data:," } }] }
+  ];
+  const base = estimateMessagesTokens(messages);
+  assert.ok(base >= 768 + 2 * 4);
+  const tools = [{ type: "function", function: { name: "ls", parameters: { type: "object" } } }];
+  assert.ok(estimateMessagesTokens(messages, tools) > base);
+});
+
+test("countInputTokens prefers the upstream tokenizer and falls back to the estimate", async () => {
+  const paths = [];
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    paths.push(req.url);
+    if (req.url !== "/tokenize") {
+      res.statusCode = 404;
+      return res.end();
+    }
+    const { content } = JSON.parse(body);
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ tokens: content.split(/\s+/) }));
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const payload = { model: "m", messages: [{ role: "user", content: "one two three" }] };
+  try {
+    assert.deepEqual(await countInputTokens({ kind: "llamacpp", baseUrl }, payload), {
+      input_tokens: 4,
+      source: "tokenizer"
+    });
+    // Ollama 没有 /api/tokenize 时回落到估算
+    const estimated = await countInputTokens({ kind: "ollama", baseUrl }, payload);
+    assert.equal(estimated.source, "estimate");
+    assert.equal(estimated.input_tokens, estimateMessagesTokens(payload.messages));
+    // 404 之后记住这个上游没有 tokenizer，不再请求
+    const ollama = { kind: "ollama", baseUrl };
+    await countInputTokens(ollama, payload);
+    assert.equal((await countInputTokens(ollama, payload)).source, "estimate");
+    assert.equal(paths.filter(p => p === "/api/tokenize").length, 2);
+  } finally {
+    server.close();
+  }
+});
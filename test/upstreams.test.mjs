@@ -0,0 +1,210 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { UpstreamPool, loadUpstreamsConfig, fetchFromUpstreams } from "../src/upstreams/pool.js";
+import { toOllamaChat, ollamaChatToOpenAI, ollamaStreamToChunks } from "../src/upstreams/ollamaChat.js";
+
+async function startUpstream(handler) {
+  const server = http.createServer(handler);
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function closedPortUrl() {
+  const { server, url } = await startUpstream(() => {});
+  await new Promise(resolve => server.close(resolve));
+  return url;
+}
+
+test("loadUpstreamsConfig validates the upstream list", () => {
+  const defaults = { baseUrl: "http://127.0.0.1:11434", timeoutMs: 1000 };
+  assert.deepEqual(loadUpstreamsConfig({}, defaults), [
+    { name: "ollama", baseUrl: "http://127.0.0.1:11434", kind: "ollama", models: undefined, weight: 1, timeoutMs: 1000, maxInflight: undefined }
+  ]);
+  assert.throws(() => loadUpstreamsConfig({ UPSTREAMS_JSON: "[]" }, defaults), /non-empty array/);
+  assert.throws(
+    () => loadUpstreamsConfig({ UPSTREAMS_JSON: JSON.stringify([{ baseUrl: "x", kind: "ollama" }]) }, defaults),
+    /upstreams\[0\]\.baseUrl is not a valid URL/
+  );
+  assert.throws(
+    () => loadUpstreamsConfig({ UPSTREAMS_JSON: JSON.stringify([{ baseUrl: "http://a", kind: "vllm" }]) }, defaults),
+    /upstreams\[0\]\.kind must be one of/
+  );
+  assert.throws(
+    () => loadUpstreamsConfig({ UPSTREAMS_JSON: JSON.stringify([{ baseUrl: "http://a", maxInflight: 0 }]) }, defaults),
+    /upstreams\[0\]\.maxInflight must be a positive integer/
+  );
+});
+
+test("candidates only include upstreams serving the model, healthy ones first", () => {
+  const pool = new UpstreamPool([
+    { name: "mini", baseUrl: "http://mini", kind: "ollama", models: ["qwen3:*"], weight: 1, timeoutMs: 1000 },
+    { name: "ws", baseUrl: "http://ws", kind: "llamacpp", models: ["qwen3:*", "deepseek*"], weight: 1, timeoutMs: 1000 }
+  ]);
+  assert.deepEqual(pool.candidates("deepseek-coder:6.7b").map(u => u.name), ["ws"]);
+  pool.upstreams[1].healthy = false;
+  assert.deepEqual(pool.candidates("qwen3:0.6b").map(u => u.name), ["mini", "ws"]);
+});
+
+test("fetchFromUpstreams fails over before the first byte", async () => {
+  const dead = await closedPortUrl();
+  const broken = await startUpstream((req, res) => {
+    res.statusCode = 500;
+    res.end(JSON.stringify({ error: { message: "gpu on fire" } }));
+  });
+  const good = await startUpstream((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ choices: [{ message: { content: "hi" } }] }));
+  });
+  try {
+    const pool = new UpstreamPool([
+      { name: "dead", baseUrl: dead, kind: "openai", models: ["m"], weight: 1000, timeoutMs: 1000 },
+      { name: "broken", baseUrl: broken.url, kind: "openai", models: ["m"], weight: 10, timeoutMs: 1000 },
+      { name: "good", baseUrl: good.url, kind: "openai", models: ["m"], weight: 0.001, timeoutMs: 1000 }
+    ]);
+    // 固定顺序：dead → broken → good
+    pool.candidates = () => pool.upstreams;
+    const { response, upstream, done } = await fetchFromUpstreams(pool, { model: "m", messages: [] });
+    done();
+    assert.equal(upstream.name, "good");
+    assert.equal((await response.json()).choices[0].message.content, "hi");
+    const status = pool.status();
+    assert.equal(status[0].healthy, false);
+    assert.equal(status[1].failures, 1);
+    assert.equal(status[2].healthy, true);
+  } finally {
+    broken.server.close();
+    good.server.close();
+  }
+});
+
+test("fetchFromUpstreams does not fail over on client errors", async () => {
+  const bad = await startUpstream((req, res) => {
+    res.statusCode = 400;
+    res.end(JSON.stringify({ error: { message: "bad tools" } }));
+  });
+  try {
+    const pool = new UpstreamPool([
+      { name: "a", baseUrl: bad.url, kind: "openai", models: ["m"], weight: 1, timeoutMs: 1000 },
+      { name: "b", baseUrl: bad.url, kind: "openai", models: ["m"], weight: 1, timeoutMs: 1000 }
+    ]);
+    await assert.rejects(fetchFromUpstreams(pool, { model: "m", messages: [] }), /ollama_http_400: bad tools/);
+    assert.equal(pool.upstreams[0].requests + pool.upstreams[1].requests, 1);
+  } finally {
+    bad.server.close();
+  }
+});
+
+test("ollama upstreams get the native /api/chat request shape", async () => {
+  const seen = [];
+  const ollama = await startUpstream(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    seen.push({ url: req.url, body: JSON.parse(body) });
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ message: { content: "hi" }, done: true }));
+  });
+  try {
+    const pool = new UpstreamPool([{ name: "mini", baseUrl: ollama.url, kind: "ollama", models: ["m"], weight: 1, timeoutMs: 1000 }]);
+    const { native, done } = await fetchFromUpstreams(pool, {
+      model: "m",
+      messages: [{ role: "user", content: "hello" }],
+      stream: false,
+      temperature: 0,
+      top_k: 20,
+      max_tokens: 64,
+      options: { num_ctx: 8192 },
+      keep_alive: "30m"
+    });
+    done();
+    assert.equal(native, true);
+    assert.equal(seen[0].url, "/api/chat");
+    assert.deepEqual(seen[0].body, {
+      model: "m",
+      messages: [{ role: "user", content: "hello" }],
+      stream: false,
+      options: { num_ctx: 8192, temperature: 0, top_k: 20, num_predict: 64 },
+      keep_alive: "30m"
+    });
+  } finally {
+    ollama.server.close();
+  }
+});
+
+test("top_k is only sent to upstreams that support it", async () => {
+  const seen = [];
+  const server = await startUpstream(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    seen.push(JSON.parse(body));
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ choices: [{ message: { content: "hi" } }] }));
+  });
+  try {
+    for (const kind of ["llamacpp", "openai"]) {
+      const pool = new UpstreamPool([{ name: kind, baseUrl: server.url, kind, models: ["m"], weight: 1, timeoutMs: 1000 }]);
+      const { done } = await fetchFromUpstreams(pool, { model: "m", messages: [], top_k: 20, options: { num_ctx: 8192 }, keep_alive: -1 });
+      done();
+    }
+    assert.equal(seen[0].top_k, 20);
+    assert.equal(seen[1].top_k, undefined);
+    assert.ok(seen.every(body => body.options === undefined && body.keep_alive === undefined));
+  } finally {
+    server.server.close();
+  }
+});
+
+test("toOllamaChat converts images, tool calls and response_format", () => {
+  const body = toOllamaChat({
+    model: "m",
+    messages: [
+      { role: "user", content: [{ type: "text", text: "what is this" }, { type: "image_url", image_url: { url: "data:image/png;base64,AAAA" } }] },
+      { role: "assistant", content: null, tool_calls: [{ id: "call_1", type: "function", function: { name: "ls", arguments: "{\"path\":\".\"}" } }] },
+      { role: "tool", tool_call_id: "call_1", content: "README.md" }
+    ],
+    tools: [{ type: "function", function: { name: "ls" } }],
+    response_format: { type: "json_object" }
+  });
+  assert.deepEqual(body.messages, [
+    { role: "user", content: "what is this", images: ["AAAA"] },
+    { role: "assistant", content: "", tool_calls: [{ function: { name: "ls", arguments: { path: "." } } }] },
+    { role: "tool", content: "README.md", tool_name: "ls" }
+  ]);
+  assert.equal(body.format, "json");
+  assert.equal(body.options, undefined);
+  assert.equal(toOllamaChat({ model: "m", messages: [], tools: body.tools, tool_choice: "none" }).tools, undefined);
+});
+
+test("native responses are converted to OpenAI completions and chunks", async () => {
+  const completion = ollamaChatToOpenAI({
+    model: "m",
+    message: { content: "", thinking: "hmm", tool_calls: [{ function: { name: "ls", arguments: { path: "." } } }] },
+    done: true,
+    done_reason: "stop",
+    prompt_eval_count: 5,
+    eval_count: 2
+  });
+  assert.equal(completion.choices[0].finish_reason, "tool_calls");
+  assert.equal(completion.choices[0].message.reasoning_content, "hmm");
+  assert.equal(completion.choices[0].message.tool_calls[0].function.arguments, "{\"path\":\".\"}");
+  assert.deepEqual(completion.usage, { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 });
+
+  const lines = [
+    { model: "m", message: { content: "hel" }, done: false },
+    { model: "m", message: { content: "lo" }, done: false },
+    { model: "m", message: { content: "" }, done: true, done_reason: "length", prompt_eval_count: 3, eval_count: 2 }
+  ];
+  // 行被拆在两个 chunk 里
+  const text = lines.map(l => JSON.stringify(l)).join("\n");
+  const chunks = [];
+  for await (const c of ollamaStreamToChunks([Buffer.from(text.slice(0, 30)), Buffer.from(text.slice(30))])) chunks.push(c);
+  assert.equal(chunks.map(c => c.choices[0]?.delta.content ?? "").join(""), "hello");
+  assert.equal(chunks.at(-2).choices[0].finish_reason, "length");
+  assert.deepEqual(chunks.at(-1).usage, { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 });
+
+  await assert.rejects(async () => {
+    for await (const c of ollamaStreamToChunks([Buffer.from('{"error":"model crashed"}\n')])) void c;
+  }, /model crashed/);
+});